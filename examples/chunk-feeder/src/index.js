@@ -33,8 +33,8 @@ function App() {
 		}
 	});
 
-	// feed some audio to FeederNode
-	const feed = useCallback(async () => {
+	// creates the AudioContext and FeederNode on first use
+	const getFeederNode = useCallback(async () => {
 		// Create an AudioContext if necessary
 		let ctx = context;
 		if (!context) {
@@ -57,6 +57,13 @@ function App() {
 			feeder.connect(ctx.destination);
 		}
 
+		return feeder;
+	});
+
+	// feed some audio to FeederNode
+	const feed = useCallback(async () => {
+		let feeder = await getFeederNode();
+
 		// prepare some data to feed it
 		let data = new Float32Array(wav.fmt.sampleRate * wav.fmt.numChannels);
 		
@@ -69,6 +76,24 @@ function App() {
 		// finally, feed it the data
 		feeder.feed(data);
 	});
+
+	// feed the rest of the file, 100ms at a time, pausing whenever FeederNode has enough buffered
+	const play = useCallback(async () => {
+		let feeder = await getFeederNode();
+		let chunkLength = Math.round(wav.fmt.sampleRate / 10) * wav.fmt.numChannels;
+
+		const pump = () => {
+			while (offset < samples.length) {
+				let data = samples.slice(offset, offset + chunkLength);
+				offset += data.length;
+
+				if (!feeder.feed(data)) return; // resume in onDrain()
+			}
+		};
+
+		feeder.onDrain = pump;
+		pump();
+	});
 	
 	return (
 		<div className="App">
@@ -76,6 +101,7 @@ function App() {
 				<h1>FeederNode React Example</h1>
 				<input id="id" type="file" accept="audio" /><br></br><br></br>
 				<button onClick={feed}>Feed 1 Second of Data</button>
+				<button onClick={play}>Play the Rest</button>
 			</div>
 		</div>
 	);
@@ -0,0 +1,2 @@
+// stands in for the worklet + worker bundles which the self-contained build embeds as source strings
+export default "/* bundled source */";
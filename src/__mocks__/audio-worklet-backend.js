@@ -1,22 +1,28 @@
-import { AbstractBackend } from "../abstract-backend.js";
+import { AbstractBackend, BufferType } from "../abstract-backend.js";
+import { AssetType, LoadError } from "../load-error.js";
 
 export default function createAudioWorklet(
 	context,
 	nChannels,
-	batchSize,
 	bufferLength,
 	bufferThreshold,
-	pathToWorklet
+	pathToWorklet,
+	bufferType = BufferType.RING_BUFFER
 ) {
-	return new Promise((resolve) => {
+	return new Promise((resolve, reject) => {
+		// makes it easy to check fallback behavior
+		if (pathToWorklet === "/missing.worklet.js") {
+			reject(new LoadError(AssetType.WORKLET, pathToWorklet, "404"));
+		}
+
 		resolve(
 			new AudioWorkletBackend(
 				context,
 				nChannels,
-				batchSize,
 				bufferLength,
 				bufferThreshold,
-				pathToWorklet
+				pathToWorklet,
+				bufferType
 			)
 		);
 	});
@@ -26,23 +32,77 @@ class AudioWorkletBackend extends AbstractBackend {
 	constructor(
 		context,
 		nChannels,
-		batchSize,
 		bufferLength,
 		bufferThreshold,
-		pathToWorklet
+		pathToWorklet,
+		bufferType
 	) {
 		super();
 
 		this.context = context;
 		this.nChannels = nChannels;
-		this.batchSize = batchSize;
+		this.batchSize = 128;
 		this.bufferLength = bufferLength;
 		this.bufferThreshold = bufferThreshold;
 		this.pathToWorklet = pathToWorklet;
+		this.bufferType = bufferType;
+		this.bufferFill = 0;
+		this.nChunksWritten = 0;
+		this.nFramesPlayed = 0;
+		this.nFramesCleared = 0;
+		// stands in for the AudioWorkletNode
+		this.audioNode = {
+			context: context,
+			channelCount: nChannels,
+			channelCountMode: "explicit",
+			channelInterpretation: "speakers",
+		};
 	}
 
-	feed(float32Array) {
+	feed(float32Array, meta) {
 		this.data = float32Array;
+		this.meta = meta;
+		this.nChunksWritten++;
+	}
+
+	end() {
+		this.ended = true;
+	}
+
+	clearBuffer(fadeMs) {
+		this.cleared = { fadeMs };
+	}
+
+	setGain(value, rampMs) {
+		this.gainChange = { value, rampMs };
+	}
+
+	pause(fadeMs) {
+		this.paused = { fadeMs };
+	}
+
+	resume(fadeMs) {
+		this.resumed = { fadeMs };
+	}
+
+	getCurrentBufferFill() {
+		return this.bufferFill;
+	}
+
+	getNFramesPlayed() {
+		return this.nFramesPlayed;
+	}
+
+	getNFramesCleared() {
+		return this.nFramesCleared;
+	}
+
+	getNChunksWritten() {
+		return this.nChunksWritten;
+	}
+
+	requestDrain(threshold, nChunks) {
+		this.drainRequest = { threshold, nChunks };
 	}
 
 	connect(output) {
@@ -57,6 +117,10 @@ class AudioWorkletBackend extends AbstractBackend {
 		this.port = port;
 	}
 	
+	getBufferType() {
+		return this.bufferType;
+	}
+
 	setBufferThreshold(threshold) {
 		if (threshold < 0) {
 			throw "bufferThreshold cannot be less than 0";
@@ -10,13 +10,48 @@ export default class Worker {
 			this.data = e.data;
 
 			this.onmessage({
-				data: e.data,
+				data: {
+					command: "processed",
+					data: e.data,
+					meta: e.meta,
+				},
 			});
 		} else if (e.command === "connect") {
 			this.connected = true;
+		} else if (e.command === "reset") {
+			this.onmessage({
+				data: {
+					command: "reset",
+					fadeMs: e.fadeMs,
+				},
+			});
+		} else if (e.command === "flush") {
+			this.onmessage({
+				data: {
+					command: "flushed",
+				},
+			});
+		} else if (e.command === "setInputFormat") {
+			this.inputFormat = { sampleFormat: e.sampleFormat, options: e.options };
+		} else if (e.command === "setOutputMatrix") {
+			this.matrix = e.matrix;
+		} else if (e.command === "setRatioScale") {
+			this.ratioScale = e.scale;
+		} else if (e.command === "useSharedBuffer") {
+			this.sharedBuffers = e.sharedBuffers;
+		} else if (e.command === "destroy") {
+			this.onmessage({
+				data: {
+					command: "destroyed",
+				},
+			});
 		}
 	}
 
+	terminate() {
+		this.terminated = true;
+	}
+
 	// this will be overwridden
 	onmessage() {}
 }
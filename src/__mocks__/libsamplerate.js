@@ -7,7 +7,7 @@ export const ConverterType = {
 };
 
 // method signature and type checking
-export function create(converterType) {
+export function create(converterType, inputSampleRate, outputSampleRate, options = {}) {
 	return new Promise((resolve) => {
 		// makes it easy to check throwing behavior. copied from original libsamplerate-js library
 		if (converterType === undefined) {
@@ -18,11 +18,36 @@ export function create(converterType) {
 		console.log();
 
 		resolve({
+			_converterType: options.converterType,
+			_nChannels: converterType, // create() is really called with nChannels first
+			_inputSampleRate: inputSampleRate,
+			_outputSampleRate: outputSampleRate,
+			ratio: outputSampleRate / inputSampleRate,
 			simple: (array) => {
 				return array;
 			},
-			full: (array) => {
-				return array;
+			// like the real thing, only returns a different length if the ratio isn't 1
+			full: function (array) {
+				if (this.ratio === 1) return array;
+
+				return new Float32Array(Math.round(array.length * this.ratio));
+			},
+			get converterType() {
+				return this._converterType;
+			},
+			get nChannels() {
+				return this._nChannels;
+			},
+			get inputSampleRate() {
+				return this._inputSampleRate;
+			},
+			get outputSampleRate() {
+				return this._outputSampleRate;
+			},
+			// like the real thing, re-initializes libsamplerate
+			set outputSampleRate(outputSampleRate) {
+				this._outputSampleRate = outputSampleRate;
+				console.log("init");
 			},
 			destroy: () => {
 				console.log("destroy");
@@ -7,8 +7,9 @@ export default class MainThreadResampler extends AbstractProcessor {
 		this.nChannels = nChannels;
 	}
 
-	processBatch(interleavedFloat32Data) {
+	processBatch(interleavedFloat32Data, meta) {
 		this.data = interleavedFloat32Data;
+		this.meta = meta;
 	}
 
 	setPort(port) {
@@ -1,7 +1,16 @@
-import { AbstractBackend } from "../abstract-backend.js";
+import { AbstractBackend, BufferType } from "../abstract-backend.js";
 
 export default class ScriptProcessorBackend extends AbstractBackend {
-	constructor(context, nChannels, batchSize, bufferLength, bufferThreshold) {
+	constructor(
+		context,
+		nChannels,
+		batchSize,
+		bufferLength,
+		bufferThreshold,
+		bufferType = BufferType.RING_BUFFER,
+		bufferOptions = {},
+		concealment = null
+	) {
 		super();
 
 		this.context = context;
@@ -9,11 +18,64 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 		this.batchSize = batchSize;
 		this.bufferLength = bufferLength;
 		this.bufferThreshold = bufferThreshold;
+		this.bufferType = bufferType;
+		this.bufferOptions = bufferOptions;
+		this.concealment = concealment;
 		this.audioNode = context.createScriptProcessor(batchSize, 0, nChannels);
+		this.bufferFill = 0;
+		this.nChunksWritten = 0;
+		this.nFramesPlayed = 0;
+		this.nFramesCleared = 0;
 	}
 
-	feed(float32Array) {
+	feed(float32Array, meta) {
 		this.data = float32Array;
+		this.meta = meta;
+		this.nChunksWritten++;
+	}
+
+	end() {
+		this.ended = true;
+	}
+
+	clearBuffer(fadeMs) {
+		this.cleared = { fadeMs };
+	}
+
+	setGain(value, rampMs) {
+		this.gainChange = { value, rampMs };
+	}
+
+	pause(fadeMs) {
+		this.paused = { fadeMs };
+	}
+
+	resume(fadeMs) {
+		this.resumed = { fadeMs };
+	}
+
+	getCurrentBufferFill() {
+		return this.bufferFill;
+	}
+
+	getNFramesPlayed() {
+		return this.nFramesPlayed;
+	}
+
+	getNFramesCleared() {
+		return this.nFramesCleared;
+	}
+
+	getNChunksWritten() {
+		return this.nChunksWritten;
+	}
+
+	requestDrain(threshold, nChunks) {
+		this.drainRequest = { threshold, nChunks };
+	}
+
+	getBufferType() {
+		return this.bufferType;
 	}
 
 	connect(output) {
@@ -1,36 +1,53 @@
 import AbstractProcessor from "../abstract-processor";
+import { AssetType, LoadError } from "../load-error";
 
 export default function createWorkerResampler(
 	nChannels,
 	inputSampleRate,
 	outputSampleRate,
-	converterType
+	converterType,
+	pathToWorker,
+	pathToWasm
 ) {
-	return new Promise((resolve) => {
+	return new Promise((resolve, reject) => {
+		// makes it easy to check fallback behavior
+		if (pathToWorker === "/missing.worker.js") {
+			reject(new LoadError(AssetType.WORKER, pathToWorker, "404"));
+		}
+
 		resolve(
 			new WorkerResampler(
 				nChannels,
 				inputSampleRate,
 				outputSampleRate,
-				converterType
+				converterType,
+				pathToWorker,
+				pathToWasm
 			)
 		);
 	});
 }
 
 class WorkerResampler extends AbstractProcessor {
-	constructor(nChannels, inputSampleRate, outputSampleRate, converterType) {
+	constructor(nChannels, inputSampleRate, outputSampleRate, converterType, pathToWorker, pathToWasm) {
 		super(inputSampleRate, outputSampleRate);
 
 		this.nChannels = nChannels;
 		this.converterType = converterType;
+		this.pathToWorker = pathToWorker;
+		this.pathToWasm = pathToWasm;
 	}
 
-	processBatch(interleavedFloat32Data) {
+	processBatch(interleavedFloat32Data, meta) {
 		this.data = interleavedFloat32Data;
+		this.meta = meta;
 	}
 
 	setPort(port) {
 		this.port = port;
 	}
+
+	setSharedBuffer(sharedBuffers) {
+		this.sharedBuffers = sharedBuffers;
+	}
 }
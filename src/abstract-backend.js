@@ -3,6 +3,8 @@ export const BackendState = {
 	READY: 2,
 	PLAYING: 3,
 	STARVED: 4,
+	ENDED: 5,
+	PAUSED: 6,
 };
 Object.freeze(BackendState);
 
@@ -11,22 +13,111 @@ Object.freeze(BackendState);
  */
 export const BufferType = {
 	RING_BUFFER: 'ring_buffer',  // Circular buffer, good for continuous playback
-	FIFO_QUEUE: 'fifo_queue'     // First-in-first-out queue, good for "consume once" behavior
+	FIFO_QUEUE: 'fifo_queue',    // First-in-first-out queue, good for "consume once" behavior
+	JITTER_BUFFER: 'jitter_buffer' // Reorders packets by sequence number, good for WebRTC/WebSocket voice
 };
 Object.freeze(BufferType);
 
+/**
+ * What a ring buffer does with data which doesn't fit
+ */
+export const OverflowPolicy = {
+	GROW: 'grow',               // Resize the buffer to fit. Never drops data, but latency and memory grow unbounded
+	DROP_OLDEST: 'drop-oldest', // Drop the oldest unread data to make room, keeping latency bounded
+	DROP_NEWEST: 'drop-newest', // Write as much as fits and drop the rest of the incoming data
+	REJECT: 'reject'            // Drop incoming data entirely unless all of it fits
+};
+Object.freeze(OverflowPolicy);
+
+/**
+ * How the channels of fed audio are arranged. Speaker layouts are up/down-mixed to the destination by the
+ * Web Audio API's speaker rules, discrete channels are passed thru or dropped/silenced by index
+ */
+export const ChannelLayout = {
+	MONO: 'mono',         // 1 channel
+	STEREO: 'stereo',     // 2 channels: L, R
+	QUAD: 'quad',         // 4 channels: L, R, SL, SR
+	SURROUND_5_1: '5.1',  // 6 channels: L, R, C, LFE, SL, SR
+	DISCRETE: 'discrete'  // any number of channels, e.g. ambisonics
+};
+Object.freeze(ChannelLayout);
+
+/** The number of channels of each speaker layout */
+export const CHANNEL_LAYOUT_SIZES = {
+	[ChannelLayout.MONO]: 1,
+	[ChannelLayout.STEREO]: 2,
+	[ChannelLayout.QUAD]: 4,
+	[ChannelLayout.SURROUND_5_1]: 6,
+};
+Object.freeze(CHANNEL_LAYOUT_SIZES);
+
+/**
+ * Picks the speaker layout with `nChannels` channels, or 'discrete' if there isn't one
+ *
+ * @param  { Number } nChannels The number of channels
+ * @return { String }           One of ChannelLayout
+ */
+export function defaultChannelLayout(nChannels) {
+	let layout = Object.keys(CHANNEL_LAYOUT_SIZES).find(
+		(key) => CHANNEL_LAYOUT_SIZES[key] === nChannels
+	);
+
+	return layout || ChannelLayout.DISCRETE;
+}
+
 /** Abstract class representing an Audio Backend */
 export class AbstractBackend {
 	/**
 	 * Queues audio data for propagation to the next AudioNode in the graph
 	 *
 	 * @param { Float32Array } float32Array Mono or interleaved audio data
+	 * @param { Object }       meta         Packet info ({ seq, timestamp, arrival }) passed to feed(). Optional
 	 */
 	/* eslint-disable-next-line */
-	feed(float32Array) {
+	feed(float32Array, meta) {
 		throw "feed() must be implemented";
 	}
 
+	/**
+	 * Signals that no more data is coming. Whatever is buffered plays out, even if it's less than
+	 * bufferThreshold, then the state changes to ENDED instead of STARVED
+	 */
+	end() {
+		throw "end() must be implemented";
+	}
+
+	/**
+	 * Stops reading from the buffer, and plays silence instead, until resume() is called. Data can still
+	 * be fed meanwhile. Moves to PAUSED, after fading out over `fadeMs` if playing
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade out. 0 to pause straight away
+	 */
+	/* eslint-disable-next-line */
+	pause(fadeMs) {
+		throw "pause() must be implemented";
+	}
+
+	/**
+	 * Undoes pause(): returns to the state from before pausing, fading in over `fadeMs` if that was PLAYING
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade in. 0 to resume at full volume straight away
+	 */
+	/* eslint-disable-next-line */
+	resume(fadeMs) {
+		throw "resume() must be implemented";
+	}
+
+	/**
+	 * Changes the gain applied to the output, ramping linearly to it
+	 *
+	 * @param { Number } value  The new gain. 1 for unchanged, 0 for silence
+	 * @param { Number } rampMs Duration (ms) of the ramp. 0 to change straight away
+	 */
+	/* eslint-disable-next-line */
+	setGain(value, rampMs) {
+		throw "setGain() must be implemented";
+	}
+
 	/**
 	 * Connect to the given destination. Destination should be an AudioNode.
 	 *
@@ -50,7 +141,93 @@ export class AbstractBackend {
 	getCurrentBufferFill() {
 		throw "getCurrentBufferFill() must be implemented";
 	}
-	
+
+	/**
+	 * Takes a snapshot of the buffer fill, state and counters. Backends whose buffer lives on another
+	 * thread should override this to ask that thread, rather than return values which may be stale.
+	 *
+	 * @returns {Promise} Resolves with { bufferFill, state, nChunksWritten, nFramesPlayed, nFramesCleared }
+	 */
+	queryState() {
+		return Promise.resolve({
+			bufferFill: this.getCurrentBufferFill(),
+			state: this.state,
+			nChunksWritten: this.getNChunksWritten(),
+			nFramesPlayed: this.getNFramesPlayed(),
+			nFramesCleared: this.getNFramesCleared(),
+		});
+	}
+
+	/**
+	 * Like getCurrentBufferFill(), but never stale. See queryState()
+	 *
+	 * @returns {Promise} Resolves with the current number of samples in the buffer
+	 */
+	getBufferFillAsync() {
+		return this.queryState().then((snapshot) => snapshot.bufferFill);
+	}
+
+	/**
+	 * Gets the number of frames (samples per channel) of buffered data played so far. Silence played while
+	 * starved or buffering isn't counted. May lag behind if playback happens on another thread.
+	 *
+	 * @returns {number} The number of frames played
+	 */
+	getNFramesPlayed() {
+		throw "getNFramesPlayed() must be implemented";
+	}
+
+	/**
+	 * Gets the number of frames (samples per channel) discarded by clearBuffer() so far, including any played
+	 * while fading out. May lag behind if playback happens on another thread.
+	 *
+	 * @returns {number} The number of frames cleared
+	 */
+	getNFramesCleared() {
+		throw "getNFramesCleared() must be implemented";
+	}
+
+	/**
+	 * Gets the buffer fill and the frame counters together, as they were at the same moment. Backends whose
+	 * buffer lives on another thread should override this to return the values last reported together.
+	 * May lag behind, like the getters it combines.
+	 *
+	 * @returns {Object} { bufferFill, nFramesPlayed, nFramesCleared }
+	 */
+	getPlaybackCounters() {
+		return {
+			bufferFill: this.getCurrentBufferFill(),
+			nFramesPlayed: this.getNFramesPlayed(),
+			nFramesCleared: this.getNFramesCleared(),
+		};
+	}
+
+	/**
+	 * Gets the number of chunks written to the buffer so far, i.e. the number of feed() calls which have
+	 * reached it. May lag behind if the buffer lives on another thread.
+	 *
+	 * @returns {number} The number of chunks written
+	 */
+	getNChunksWritten() {
+		throw "getNChunksWritten() must be implemented";
+	}
+
+	/**
+	 * Asks for onDrain() to be called once `nChunks` chunks have been written to the buffer, and the buffer
+	 * fill has dropped below `threshold`. Replaces any earlier request.
+	 *
+	 * @param {Number} threshold Buffer fill (samples per channel) to drop below
+	 * @param {Number} nChunks   The number of chunks which must have been written first
+	 */
+	/* eslint-disable-next-line */
+	requestDrain(threshold, nChunks) {
+		throw "requestDrain() must be implemented";
+	}
+
+	/**
+	 * Called once the buffer has drained, as requested by requestDrain(). Override me.
+	 */
+	onDrain() {}
 
 	/**
 	 * Sets a MessageChannel Port to receive processed data from. Should be, but doesn't *have* to be
@@ -69,6 +246,30 @@ export class AbstractBackend {
 	/* eslint-disable-next-line */
 	onStateChange(state) {}
 
+	/**
+	 * Called whenever the buffer is resized, i.e. it grew to fit data written to it. Override me.
+	 *
+	 * @param {Number} bufferLength The new length of the buffer (samples per channel)
+	 */
+	/* eslint-disable-next-line */
+	onBufferLengthChange(bufferLength) {}
+
+	/**
+	 * Called if playback fails after the backend was created, e.g. the AudioWorkletProcessor threw. Override me.
+	 *
+	 * @param {Error|Event} error What went wrong
+	 */
+	/* eslint-disable-next-line */
+	onError(error) {}
+
+	/**
+	 * Called whenever data is dropped because the buffer overflowed. Override me.
+	 *
+	 * @param {Number} nDropped The number of samples (per channel) dropped
+	 */
+	/* eslint-disable-next-line */
+	onOverflow(nDropped) {}
+
 	/**
 	 * Gets the type of buffer being used by this backend
 	 * 
@@ -79,9 +280,22 @@ export class AbstractBackend {
 	}
 	
 	/**
-	 * Clears all audio data from the buffer
+	 * Clears all audio data from the buffer. If playing, the first `fadeMs` of the cleared data should still
+	 * be played, fading out, so that playback doesn't stop with a click
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade out. 0 to stop straight away
 	 */
-	clearBuffer() {
+	/* eslint-disable-next-line */
+	clearBuffer(fadeMs) {
 		throw "clearBuffer() must be implemented";
 	}
+
+	/**
+	 * Stops playback and releases the AudioNode, buffers and ports held by the backend. Override me if necessary.
+	 *
+	 * @return { Promise } Resolves once cleanup has finished
+	 */
+	destroy() {
+		return Promise.resolve();
+	}
 }
@@ -1,3 +1,7 @@
+import ChannelMixer from "./channel-mixer.js";
+import ImaAdpcmDecoder from "./ima-adpcm.js";
+import { SampleFormat } from "./util.js";
+
 /** Abstract class for Processors which process audio data before handing to AudioNode chain */
 export default class AbstractProcessor {
 	/**
@@ -9,15 +13,19 @@ export default class AbstractProcessor {
 	constructor(inputSampleRate, outputSampleRate) {
 		this.inputSampleRate = inputSampleRate;
 		this.outputSampleRate = outputSampleRate;
+		this._outputMixer = null;
+		this._inputDecoder = null;
 	}
 
 	/**
-	 * Operate on interleavedFloat32Data. Once operations are complete, return data with onProcessed()
+	 * Operate on interleavedFloat32Data. Once operations are complete, return data with onProcessed(),
+	 * along with `meta`
 	 *
 	 * @param { Float32Array } interleavedFloat32Data Mono or interleaved audio data
+	 * @param { Object }       meta                   Packet info ({ seq, timestamp, arrival }). Optional
 	 */
 	/* eslint-disable-next-line */
-	processBatch(interleavedFloat32Data) {
+	processBatch(interleavedFloat32Data, meta) {
 		throw new Error("processBatch must be overridden!");
 	}
 
@@ -25,12 +33,66 @@ export default class AbstractProcessor {
 	 * Called once data has been operated on by processBatch(). Override me.
 	 *
 	 * @param { Float32Array } interleavedFloat32Data Mono or interleaved audio data
+	 * @param { Object }       meta                   The `meta` passed to processBatch()
 	 */
 	/* eslint-disable-next-line */
-	onProcessed(interleavedFloat32Data) {
+	onProcessed(interleavedFloat32Data, meta) {
 		throw new Error("onProcessed must be overridden!");
 	}
 
+	/**
+	 * Called if processed data was dropped because the buffer shared with the backend overflowed. Only
+	 * processors which write to a SharedRingBuffer call this. Override me.
+	 *
+	 * @param { Number } nDropped The number of samples (per channel) dropped
+	 */
+	/* eslint-disable-next-line */
+	onOverflow(nDropped) {}
+
+	/**
+	 * Called if processing fails after the processor was created, e.g. its Worker threw. Override me.
+	 *
+	 * @param { Error|Event } error What went wrong
+	 */
+	/* eslint-disable-next-line */
+	onError(error) {}
+
+	/**
+	 * Signals that no more data is coming. Processors which hold data back (e.g. in a filter) should pass
+	 * it on thru onProcessed(), then call onFlushed(). Override me if necessary.
+	 *
+	 * @param { Boolean } withTail false to skip passing held back data on, e.g. if the backend needs packet info
+	 */
+	/* eslint-disable-next-line */
+	flush(withTail = true) {
+		this.onFlushed();
+	}
+
+	/**
+	 * Called once flush() has passed on everything processed. Override me.
+	 */
+	onFlushed() {}
+
+	/**
+	 * Forgets any history kept for continuity between batches (e.g. filter state), so that the next batch
+	 * starts afresh. Then the backend's buffer must be cleared, once everything processed so far has reached
+	 * it: processors connected to the backend by a MessagePort tell it directly, others call onReset().
+	 * Override me if necessary.
+	 *
+	 * @param { Number } fadeMs Passed on to the backend's clearBuffer()
+	 */
+	reset(fadeMs = 0) {
+		this.onReset(fadeMs);
+	}
+
+	/**
+	 * Called once reset() is done, and the backend's buffer should be cleared. Override me.
+	 *
+	 * @param { Number } fadeMs The `fadeMs` passed to reset()
+	 */
+	/* eslint-disable-next-line */
+	onReset(fadeMs) {}
+
 	/**
 	 * Sets a MessageChannel Port to send processed data thru. Should be, but doesn't *have* to be
 	 * implemented by subclasses.
@@ -39,4 +101,88 @@ export default class AbstractProcessor {
 	 */
 	/* eslint-disable-next-line */
 	setPort(port) {}
+
+	/**
+	 * Sets a SharedRingBuffer to write processed data to, instead of sending it thru the port set with
+	 * setPort(). Should be, but doesn't *have* to be implemented by subclasses.
+	 *
+	 * @param { Object } sharedBuffers The `sharedBuffers` of a SharedRingBuffer
+	 */
+	/* eslint-disable-next-line */
+	setSharedBuffer(sharedBuffers) {}
+
+	/**
+	 * Scales the resampling ratio (outputSampleRate / inputSampleRate) by a factor close to 1, to
+	 * compensate for clock drift. Should be, but doesn't *have* to be implemented by subclasses.
+	 *
+	 * @param { Number } scale Factor to scale the ratio by. 1 for no compensation
+	 */
+	/* eslint-disable-next-line */
+	setRatioScale(scale) {}
+
+	/**
+	 * Decodes each batch passed to processBatch() before processing it, for formats which depend on the
+	 * rest of the stream. Processors which don't decode in processBatch() must override me.
+	 *
+	 * @param { String } sampleFormat Only SampleFormat.IMA_ADPCM is supported
+	 * @param { Object } options      { nChannels, blockAlign }. See ImaAdpcmDecoder
+	 */
+	setInputFormat(sampleFormat, options) {
+		if (sampleFormat !== SampleFormat.IMA_ADPCM) throw `unsupported input format ${sampleFormat}`;
+
+		this._inputDecoder = new ImaAdpcmDecoder(options.nChannels, options.blockAlign);
+	}
+
+	/**
+	 * Decodes a batch with the decoder set by setInputFormat(), if any
+	 *
+	 * @param  { TypedArray } data The batch passed to processBatch()
+	 * @return { Float32Array }    Mono or interleaved audio data
+	 */
+	_decodeInput(data) {
+		if (this._inputDecoder === null) return data;
+
+		return this._inputDecoder.decode(data);
+	}
+
+	/**
+	 * Mixes processed data thru `matrix` before passing it on, e.g. to upmix after resampling so that
+	 * fewer channels are resampled. Processors which don't pass data thru onProcessed() must override me.
+	 *
+	 * @param { Array } matrix See ChannelMixer
+	 */
+	setOutputMatrix(matrix) {
+		this._outputMixer = new ChannelMixer(matrix);
+	}
+
+	/**
+	 * Mixes processed data thru the matrix set with setOutputMatrix(), if any
+	 *
+	 * @param  { Float32Array } interleavedFloat32Data Processed data
+	 * @return { Float32Array }                        The mixed data
+	 */
+	_mixOutput(interleavedFloat32Data) {
+		if (this._outputMixer === null) return interleavedFloat32Data;
+
+		return this._outputMixer.process(interleavedFloat32Data);
+	}
+
+	/**
+	 * Estimates the delay the processor adds between its input and its output, e.g. due to filter length.
+	 * Override me if necessary.
+	 *
+	 * @return { Number } The delay, in seconds
+	 */
+	getDelay() {
+		return 0;
+	}
+
+	/**
+	 * Releases any resources (Workers, WASM memory, etc) held by the processor. Override me if necessary.
+	 *
+	 * @return { Promise } Resolves once cleanup has finished
+	 */
+	destroy() {
+		return Promise.resolve();
+	}
 }
@@ -1,22 +1,38 @@
+import { OverflowPolicy } from "./abstract-backend.js";
+
 class AudioQueue {
 	/**
 	 * Constructor
 	 *
-	 * @param { Number } initialCapacity Initial capacity of the queue (in samples). Will grow as needed.
-	 * @param { Number } nChannels The number of channels. 0 < nChannel < "infinity"
+	 * @param { Number } capacity       Maximum number of samples (per channel) in the queue. Only extended with
+	 *                                  OverflowPolicy.GROW
+	 * @param { Number } nChannels      The number of channels. 0 < nChannel < "infinity"
+	 * @param { String } overflowPolicy What write() does with data which doesn't fit. One of OverflowPolicy.
+	 *                                  By default the queue grows without limit
 	 */
-	constructor(initialCapacity = 32768, nChannels = 2) {
-		if (initialCapacity <= 0) throw "initialCapacity must be >= 1";
+	constructor(capacity = 32768, nChannels = 2, overflowPolicy = OverflowPolicy.GROW) {
+		if (capacity <= 0) throw "capacity must be >= 1";
 		if (nChannels < 1) throw "nChannels must >= 1";
+		if (!Object.values(OverflowPolicy).includes(overflowPolicy))
+			throw `unknown overflowPolicy ${overflowPolicy}`;
 
 		this._queue = [];
 		this._nChannels = nChannels;
-		this._initialCapacity = initialCapacity;
+		this._capacity = capacity;
+		this._overflowPolicy = overflowPolicy;
 		this._samplesInQueue = 0;
 	}
 
+	/**
+	 * The capacity (per channel), which only changes if the queue grows. This used to be the number of
+	 * samples queued; use getNReadableSamples() for that
+	 */
 	get bufferLength() {
-		return this._samplesInQueue;
+		return this._capacity;
+	}
+
+	get overflowPolicy() {
+		return this._overflowPolicy;
 	}
 
 	/**
@@ -37,10 +53,10 @@ class AudioQueue {
 	 */
 	read(nSamples, channels = null) {
 		let readableSamples = Math.min(nSamples, this.getNReadableSamples());
-		
+
 		// If nothing to read, return empty arrays
 		if (readableSamples === 0) {
-			return channels === null 
+			return channels === null
 				? Array.apply(null, Array(this._nChannels)).map(() => new Float32Array(0))
 				: channels.map(ch => ch.fill(0, 0, nSamples));
 		}
@@ -48,7 +64,7 @@ class AudioQueue {
 		let _channels = channels === null
 			? Array.apply(null, Array(this._nChannels)).map(() => new Float32Array(nSamples))
 			: channels;
-		
+
 		// Fill channels with zeros initially if we're using provided arrays
 		if (channels !== null) {
 			for (let j = 0; j < _channels.length; j++) {
@@ -57,19 +73,19 @@ class AudioQueue {
 		}
 
 		let samplesRead = 0;
-		
+
 		while (samplesRead < readableSamples && this._queue.length > 0) {
 			const chunk = this._queue[0];
 			const samplesInChunk = chunk.length / this._nChannels;
 			const samplesToReadFromChunk = Math.min(samplesInChunk, readableSamples - samplesRead);
-			
+
 			// Copy data from chunk to output channels
 			for (let i = 0; i < samplesToReadFromChunk; i++) {
 				for (let j = 0; j < this._nChannels; j++) {
 					_channels[j][samplesRead + i] = chunk[i * this._nChannels + j];
 				}
 			}
-			
+
 			if (samplesToReadFromChunk === samplesInChunk) {
 				// We've consumed the entire chunk
 				this._queue.shift();
@@ -77,42 +93,109 @@ class AudioQueue {
 				// We've consumed part of the chunk, keep the rest
 				this._queue[0] = chunk.slice(samplesToReadFromChunk * this._nChannels);
 			}
-			
+
 			samplesRead += samplesToReadFromChunk;
 		}
-		
+
 		this._samplesInQueue -= samplesRead;
-		
+
 		return _channels;
 	}
 
 	/**
-	 * Writes data to the queue
+	 * Writes data to the queue. If there isn't enough room, the overflow policy decides whether the queue
+	 * grows, queued data is dropped, or (some of) float32Data is dropped.
 	 *
 	 * @param  { Float32Array } float32Data Mono or multi-channel interleaved data
-	 * @return { Array } Array containing [false, samplesInQueue] (didResize is always false for queue)
+	 * @return { Array }        Array containing [didResize, capacity, nDropped]. nDropped is the number of
+	 *                          samples (per channel) dropped, whether queued or from float32Data
 	 */
 	write(float32Data) {
 		if (!ArrayBuffer.isView(float32Data))
 			throw `Must submit a TypedArray. Received ${float32Data.constructor.name}`;
-		
-		// Make a copy of the data and add it to the queue
-		const copy = new Float32Array(float32Data);
-		this._queue.push(copy);
-		
-		// Update sample count
-		this._samplesInQueue += copy.length / this._nChannels;
-		
-		return [false, this._samplesInQueue];
+
+		let didResize = false;
+		let nDropped = 0;
+		let nIncoming = float32Data.length / this._nChannels;
+		let nFree = this._capacity - this._samplesInQueue;
+
+		if (nIncoming > nFree) {
+			switch (this._overflowPolicy) {
+				case OverflowPolicy.GROW:
+					this._capacity = this._samplesInQueue + nIncoming;
+					didResize = true;
+					break;
+				case OverflowPolicy.DROP_OLDEST:
+					// only the tail of a chunk longer than the whole queue can be kept
+					if (nIncoming > this._capacity) {
+						nDropped += nIncoming - this._capacity;
+						float32Data = float32Data.subarray((nIncoming - this._capacity) * this._nChannels);
+						nIncoming = this._capacity;
+					}
+
+					nDropped += this._discard(nIncoming - nFree);
+					break;
+				case OverflowPolicy.DROP_NEWEST:
+					nDropped = nIncoming - nFree;
+					float32Data = float32Data.subarray(0, nFree * this._nChannels);
+					nIncoming = nFree;
+					break;
+				case OverflowPolicy.REJECT:
+					return [false, this._capacity, nIncoming];
+				default:
+			}
+		}
+
+		if (nIncoming > 0) {
+			// Make a copy of the data and add it to the queue
+			this._queue.push(new Float32Array(float32Data));
+			this._samplesInQueue += nIncoming;
+		}
+
+		return [didResize, this._capacity, nDropped];
 	}
 
 	/**
 	 * Clears all data from the queue
+	 *
+	 * @return { Number } The number of samples (per channel) discarded
 	 */
 	clear() {
+		let nCleared = this._samplesInQueue;
+
 		this._queue = [];
 		this._samplesInQueue = 0;
+
+		return nCleared;
+	}
+
+	/**
+	 * Removes samples from the front of the queue without reading them
+	 *
+	 * @param  { Number } nSamples The number of samples (per channel) to remove
+	 * @return { Number }          The number of samples (per channel) removed
+	 */
+	_discard(nSamples) {
+		let nDiscarded = 0;
+
+		while (nDiscarded < nSamples && this._queue.length > 0) {
+			const chunk = this._queue[0];
+			const samplesInChunk = chunk.length / this._nChannels;
+			const samplesToDiscard = Math.min(samplesInChunk, nSamples - nDiscarded);
+
+			if (samplesToDiscard === samplesInChunk) {
+				this._queue.shift();
+			} else {
+				this._queue[0] = chunk.slice(samplesToDiscard * this._nChannels);
+			}
+
+			nDiscarded += samplesToDiscard;
+		}
+
+		this._samplesInQueue -= nDiscarded;
+
+		return nDiscarded;
 	}
 }
 
-export default AudioQueue; 
\ No newline at end of file
+export default AudioQueue;
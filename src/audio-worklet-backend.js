@@ -1,7 +1,12 @@
 import { AbstractBackend, BackendState, BufferType } from "./abstract-backend";
+import { AssetType, LoadError } from "./load-error";
+
+// time (ms) destroy() waits for the AudioWorkletProcessor to release itself, before giving up on it
+const DESTROY_TIMEOUT = 1000;
 
 /**
- * Loads the AudioWorkletProcessor, initializes it, then resolves with a new instance of AudioWorkletBackend
+ * Loads the AudioWorkletProcessor, initializes it, then resolves with a new instance of AudioWorkletBackend.
+ * Rejects with a LoadError if the module fails to load or doesn't load within `initTimeout` ms
  *
  * @param { AudioContext } context         The parent AudioContext
  * @param { Number }       nChannels       The number of input and output channels
@@ -10,7 +15,11 @@ import { AbstractBackend, BackendState, BufferType } from "./abstract-backend";
  *                                         audio begins propagating to the next AudioNode in the graph
  * @param { String }       pathToWorklet   The location of the AudioWorklet file. Default is
  *                                         '/audio-feeder.worklet.js'
- * @param { String }       bufferType      The type of buffer to use (ring_buffer or fifo_queue)
+ * @param { String }       bufferType      The type of buffer to use. One of BufferType
+ * @param { Number }       initTimeout     Time (ms) to wait for the module to load before rejecting
+ * @param { Object }       bufferOptions   Type-specific buffer options. See buffer-factory.js
+ * @param { Object }       concealment     { fadeMs } to conceal dropouts when starved. See concealer.js.
+ *                                         null to play silence instead
  */
 export default function createAudioWorklet(
 	context,
@@ -18,7 +27,10 @@ export default function createAudioWorklet(
 	bufferLength,
 	bufferThreshold,
 	pathToWorklet,
-	bufferType = BufferType.RING_BUFFER
+	bufferType = BufferType.RING_BUFFER,
+	initTimeout = 10000,
+	bufferOptions = {},
+	concealment = null
 ) {
 	let _nChannels = nChannels;
 
@@ -33,25 +45,51 @@ export default function createAudioWorklet(
 		}
 	}
 
-	return new Promise((resolve) => {
-		context.audioWorklet.addModule(pathToWorklet).then(() => {
-			let workletNode = new WorkletNode(context);
-			workletNode.port.postMessage({
-				command: "init",
-				nChannels: nChannels,
-				bufferLength: bufferLength,
-				bufferThreshold: bufferThreshold,
-				bufferType: bufferType
-			});
-
-			let backend = new AudioWorkletBackend(
-				nChannels,
-				bufferLength,
-				workletNode,
-				bufferType
+	return new Promise((resolve, reject) => {
+		let timedOut = false;
+		let timeout = setTimeout(() => {
+			timedOut = true;
+			reject(
+				new LoadError(
+					AssetType.WORKLET,
+					pathToWorklet,
+					`timed out after ${initTimeout}ms`
+				)
 			);
-			resolve(backend);
-		});
+		}, initTimeout);
+
+		context.audioWorklet
+			.addModule(pathToWorklet)
+			.then(() => {
+				// the promise has already rejected, so a node created now would never be destroyed
+				if (timedOut) return;
+
+				// constructing the node fails if the module loaded but didn't register "FeederNode"
+				let workletNode = new WorkletNode(context);
+				workletNode.port.postMessage({
+					command: "init",
+					nChannels: nChannels,
+					bufferLength: bufferLength,
+					bufferThreshold: bufferThreshold,
+					bufferType: bufferType,
+					bufferOptions: bufferOptions,
+					concealment: concealment,
+				});
+
+				let backend = new AudioWorkletBackend(
+					nChannels,
+					bufferLength,
+					workletNode,
+					bufferType
+				);
+
+				clearTimeout(timeout);
+				resolve(backend);
+			})
+			.catch((err) => {
+				clearTimeout(timeout);
+				reject(new LoadError(AssetType.WORKLET, pathToWorklet, err));
+			});
 	});
 }
 
@@ -74,26 +112,80 @@ class AudioWorkletBackend extends AbstractBackend {
 		this.batchSize = 128;
 		this.state = BackendState.READY;
 		this._currentBufferFill = 0;
+		this._nChunksWritten = 0;
+		this._nFramesPlayed = 0;
+		this._nFramesCleared = 0;
 		this._bufferFillCallbacks = new Map();
 		this._nextCallbackId = 1;
 		this._bufferType = bufferType;
+		this.gain = audioNode.parameters.get("gain");
 		
 		audioNode.port.onmessage = this._onMessage.bind(this);
+		audioNode.onprocessorerror = (e) => this.onError(e);
 	}
 
 	/**
 	 * Passes data to the AudioWorkletProcessor for playback
+	 *
+	 * @param {Float32Array} float32Array Mono or interleaved audio data
+	 * @param {Object}       meta         Packet info ({ seq, timestamp, arrival }). Only used by JitterBuffer
 	 */
-	feed(float32Array) {
+	feed(float32Array, meta) {
 		if (this.state === BackendState.UNINITIALIZED) {
 			console.warn("tried to call feed() on uninitialized backend");
 		} else {
-			this.audioNode.port.postMessage({ command: "feed", data: float32Array }, [
-				float32Array.buffer,
-			]);
+			this.audioNode.port.postMessage(
+				{ command: "feed", data: float32Array, meta: meta },
+				[float32Array.buffer]
+			);
+		}
+	}
+
+	/**
+	 * Tells the AudioWorkletProcessor that no more data is coming. See AbstractBackend.end()
+	 */
+	end() {
+		this.audioNode.port.postMessage({ command: "end" });
+	}
+
+	/**
+	 * Schedules a linear ramp of the gain AudioParam to `value`, starting now. Replaces any automation
+	 * scheduled from now on
+	 *
+	 * @param { Number } value  The new gain. 1 for unchanged, 0 for silence
+	 * @param { Number } rampMs Duration (ms) of the ramp. 0 to change straight away
+	 */
+	setGain(value, rampMs = 0) {
+		let now = this.audioNode.context.currentTime;
+
+		this.gain.cancelScheduledValues(now);
+		this.gain.setValueAtTime(this.gain.value, now);
+
+		if (rampMs > 0) {
+			this.gain.linearRampToValueAtTime(value, now + rampMs / 1000);
+		} else {
+			this.gain.setValueAtTime(value, now);
 		}
 	}
 
+	/**
+	 * Tells the AudioWorkletProcessor to stop reading from the buffer. See AbstractBackend.pause()
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade out. 0 to pause straight away
+	 */
+	pause(fadeMs = 0) {
+		this.audioNode.port.postMessage({ command: "pause", fadeMs: fadeMs });
+	}
+
+	/**
+	 * Tells the AudioWorkletProcessor to undo pause(). See AbstractBackend.resume()
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade in. 0 to resume at full volume straight away
+	 */
+	resume(fadeMs = 0) {
+		this.audioNode.port.postMessage({ command: "resume", fadeMs: fadeMs });
+	}
+
 	/**
 	 * Passes the port the audioNode to receive data directly from resamplers.
 	 *
@@ -119,11 +211,39 @@ class AudioWorkletBackend extends AbstractBackend {
 		this.audioNode.disconnect();
 	}
 
+	/**
+	 * Disconnects, then asks the AudioWorkletProcessor to release its buffer + ports and stop processing.
+	 * A processor which has crashed, or doesn't answer within DESTROY_TIMEOUT ms, is given up on
+	 *
+	 * @return { Promise } Resolves once the AudioWorkletProcessor has been released
+	 */
+	destroy() {
+		this.disconnect();
+		this.state = BackendState.UNINITIALIZED;
+
+		return new Promise((resolve) => {
+			let timeout = setTimeout(() => this._onDestroyed(), DESTROY_TIMEOUT);
+
+			this._onDestroyed = () => {
+				clearTimeout(timeout);
+				this._onDestroyed = () => {};
+
+				this.audioNode.port.close();
+				this._rejectPendingQueries();
+				resolve();
+			};
+			this.audioNode.onprocessorerror = () => this._onDestroyed();
+
+			this.audioNode.port.postMessage({ command: "destroy" });
+		});
+	}
+
 	/**
 	 * Gets the current fill level of the ring buffer from the AudioWorklet.
 	 * This is implemented in two ways:
 	 * 1. Returns the last known buffer fill value for synchronous usage
 	 * 2. Requests an updated value from the worklet, which will be available on the next call
+	 * Use getBufferFillAsync() when the value must be up to date.
 	 * 
 	 * @returns {number} The current number of samples in the buffer
 	 */
@@ -135,6 +255,84 @@ class AudioWorkletBackend extends AbstractBackend {
 		return this._currentBufferFill;
 	}
 	
+	/**
+	 * Asks the AudioWorkletProcessor for its buffer fill, state and counters, and waits for the answer.
+	 * Rejects if the backend is destroyed before the AudioWorkletProcessor answers.
+	 *
+	 * @returns {Promise} Resolves with { bufferFill, state, nChunksWritten, nFramesPlayed, nFramesCleared }
+	 */
+	queryState() {
+		if (this.state === BackendState.UNINITIALIZED)
+			return Promise.reject(Error("queryState() called on uninitialized backend"));
+
+		return new Promise((resolve, reject) => {
+			let callbackId = this._nextCallbackId++;
+
+			this._bufferFillCallbacks.set(callbackId, { resolve, reject });
+			this.audioNode.port.postMessage({ command: "getBufferFill", callbackId: callbackId });
+		});
+	}
+
+	/**
+	 * Gets the number of frames of buffered data played, as last reported by the AudioWorkletProcessor.
+	 * Doesn't request an update; getCurrentBufferFill() and getPlaybackCounters() do
+	 *
+	 * @returns {number} The number of frames played
+	 */
+	getNFramesPlayed() {
+		return this._nFramesPlayed;
+	}
+
+	/**
+	 * Gets the number of frames discarded by clearBuffer(), as last reported by the AudioWorkletProcessor.
+	 * Doesn't request an update; getCurrentBufferFill() and getPlaybackCounters() do
+	 *
+	 * @returns {number} The number of frames cleared
+	 */
+	getNFramesCleared() {
+		return this._nFramesCleared;
+	}
+
+	/**
+	 * Gets the buffer fill and frame counters from the AudioWorkletProcessor's last report, which sends
+	 * them together. Like getCurrentBufferFill(), requests one update for next time
+	 *
+	 * @returns {Object} { bufferFill, nFramesPlayed, nFramesCleared }
+	 */
+	getPlaybackCounters() {
+		this.audioNode.port.postMessage({ command: "getBufferFill" });
+
+		return {
+			bufferFill: this._currentBufferFill,
+			nFramesPlayed: this._nFramesPlayed,
+			nFramesCleared: this._nFramesCleared,
+		};
+	}
+
+	/**
+	 * Gets the number of chunks written to the buffer, as last reported by the AudioWorkletProcessor
+	 *
+	 * @returns {number} The number of chunks written
+	 */
+	getNChunksWritten() {
+		return this._nChunksWritten;
+	}
+
+	/**
+	 * Asks the AudioWorkletProcessor to report back once `nChunks` chunks have been written to the buffer,
+	 * and the buffer fill has dropped below `threshold`. onDrain() is called then. Replaces any earlier request.
+	 *
+	 * @param {Number} threshold Buffer fill (samples per channel) to drop below
+	 * @param {Number} nChunks   The number of chunks which must have been written first
+	 */
+	requestDrain(threshold, nChunks) {
+		this.audioNode.port.postMessage({
+			command: "requestDrain",
+			threshold: threshold,
+			nChunks: nChunks,
+		});
+	}
+
 	/**
 	 * Sets a new buffer threshold value and sends it to the worklet processor
 	 * 
@@ -164,24 +362,52 @@ class AudioWorkletBackend extends AbstractBackend {
 	_onMessage(e) {
 		if (e.data.command === "bufferLengthChange") {
 			this.bufferLength = e.data.bufferLength;
+			this.onBufferLengthChange(this.bufferLength);
 		} else if (e.data.command === "stateChange") {
 			this.onStateChange(e.data.state);
+		} else if (e.data.command === "overflow") {
+			this.onOverflow(e.data.nDropped);
+		} else if (e.data.command === "destroyed") {
+			this._onDestroyed();
+		} else if (e.data.command === "drain") {
+			this._currentBufferFill = e.data.bufferFill;
+			this._nChunksWritten = e.data.nChunksWritten;
+			this.onDrain();
 		} else if (e.data.command === "bufferFillUpdate") {
 			this._currentBufferFill = e.data.bufferFill;
+			this._nChunksWritten = e.data.nChunksWritten;
+			this._nFramesPlayed = e.data.nFramesPlayed;
+			this._nFramesCleared = e.data.nFramesCleared;
 			
-			
-			// Resolve any pending callbacks
+			// Resolve the pending queryState(), if this update answers one
 			if (e.data.callbackId && this._bufferFillCallbacks.has(e.data.callbackId)) {
 				const callback = this._bufferFillCallbacks.get(e.data.callbackId);
-				callback(this._currentBufferFill);
 				this._bufferFillCallbacks.delete(e.data.callbackId);
+
+				callback.resolve({
+					bufferFill: e.data.bufferFill,
+					state: e.data.state,
+					nChunksWritten: e.data.nChunksWritten,
+					nFramesPlayed: e.data.nFramesPlayed,
+					nFramesCleared: e.data.nFramesCleared,
+				});
 			}
-	
+
 		} else {
 			throw `command ${e.data.command} unrecognized`;
 		}
 	}
 
+	/**
+	 * Rejects every queryState() still waiting for the AudioWorkletProcessor, which won't answer any more
+	 */
+	_rejectPendingQueries() {
+		this._bufferFillCallbacks.forEach((callback) => {
+			callback.reject(Error("backend destroyed before queryState() completed"));
+		});
+		this._bufferFillCallbacks.clear();
+	}
+
 	/**
 	 * Gets the type of buffer being used by this backend
 	 * 
@@ -192,9 +418,11 @@ class AudioWorkletBackend extends AbstractBackend {
 	}
 	
 	/**
-	 * Clears all audio data from the buffer
+	 * Clears all audio data from the buffer, fading out what was playing over `fadeMs`
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade out. 0 to stop straight away
 	 */
-	clearBuffer() {
-		this.audioNode.port.postMessage({ command: "clearBuffer" });
+	clearBuffer(fadeMs = 0) {
+		this.audioNode.port.postMessage({ command: "clearBuffer", fadeMs: fadeMs });
 	}
 }
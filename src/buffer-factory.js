@@ -0,0 +1,33 @@
+import RingBuffer from "./ring-buffer.js";
+import AudioQueue from "./audio-queue.js";
+import JitterBuffer from "./jitter-buffer.js";
+import { BufferType } from "./abstract-backend.js";
+
+/**
+ * Creates the buffer which a backend reads from. All buffers implement bufferLength, getNReadableSamples(),
+ * read(), write() and clear()
+ *
+ * @param  { String } bufferType   One of BufferType
+ * @param  { Number } bufferLength The length of the buffer (per channel)
+ * @param  { Number } nChannels    The number of channels
+ * @param  { Number } sampleRate   Sample rate of the buffered data
+ * @param  { Object } options      Type-specific options: overflowPolicy for RingBuffer and AudioQueue;
+ *                                 minDelay and maxDelay for JitterBuffer
+ * @return { Object }              A RingBuffer, AudioQueue or JitterBuffer
+ */
+export default function createBuffer(
+	bufferType,
+	bufferLength,
+	nChannels,
+	sampleRate,
+	options = {}
+) {
+	switch (bufferType) {
+		case BufferType.FIFO_QUEUE:
+			return new AudioQueue(bufferLength, nChannels, options.overflowPolicy);
+		case BufferType.JITTER_BUFFER:
+			return new JitterBuffer(bufferLength, nChannels, sampleRate, options);
+		default:
+			return new RingBuffer(bufferLength, nChannels, options.overflowPolicy);
+	}
+}
@@ -0,0 +1,99 @@
+/**
+ * Preset channel matrices, for when the number of fed channels differs from the number played
+ */
+export const ChannelMix = {
+	DUPLICATE: 'duplicate', // output channel j plays input channel j % inputChannels, e.g. mono to both of stereo
+	AVERAGE: 'average',     // output channel j plays the mean of input channels j, j + outputChannels, ... e.g. stereo to mono
+	DISCRETE: 'discrete'    // output channel j plays input channel j, or silence if there isn't one
+};
+Object.freeze(ChannelMix);
+
+/**
+ * Builds the matrix which mixes `inputChannels` channels into `outputChannels`. Matrices are arrays of
+ * `outputChannels` rows, each holding the gain of each of the `inputChannels` input channels
+ *
+ * @param  { Array|String } matrix         A matrix, which is returned as is, or one of ChannelMix. If
+ *                                         undefined, duplicates mono, averages down to mono, and maps
+ *                                         other channel counts discretely
+ * @param  { Number }       inputChannels  The number of channels fed
+ * @param  { Number }       outputChannels The number of channels played
+ * @return { Array }                       The matrix, or null if undefined and the channel counts match
+ */
+export function createChannelMatrix(matrix, inputChannels, outputChannels) {
+	if (Array.isArray(matrix)) return matrix;
+
+	if (matrix === undefined) {
+		if (inputChannels === outputChannels) return null;
+
+		if (inputChannels === 1) matrix = ChannelMix.DUPLICATE;
+		else if (outputChannels === 1) matrix = ChannelMix.AVERAGE;
+		else matrix = ChannelMix.DISCRETE;
+	}
+
+	let rows = [];
+
+	for (let j = 0; j < outputChannels; j++) {
+		let row = new Array(inputChannels).fill(0);
+
+		if (matrix === ChannelMix.DUPLICATE) {
+			row[j % inputChannels] = 1;
+		} else if (matrix === ChannelMix.AVERAGE) {
+			let taps = [];
+			for (let i = j; i < inputChannels; i += outputChannels) taps.push(i);
+			taps.forEach((i) => (row[i] = 1 / taps.length));
+		} else if (j < inputChannels) {
+			row[j] = 1;
+		}
+
+		rows.push(row);
+	}
+
+	return rows;
+}
+
+/**
+ * Mixes interleaved audio from one number of channels to another, thru a matrix of gains
+ */
+export default class ChannelMixer {
+	/**
+	 * Constructor
+	 *
+	 * @param { Array } matrix `outputChannels` rows, each holding the gain of each input channel
+	 */
+	constructor(matrix) {
+		this.outputChannels = matrix.length;
+		this.inputChannels = matrix[0].length;
+
+		// only visit the input channels which contribute to each output channel
+		this._taps = matrix.map((row) => {
+			return row
+				.map((gain, i) => ({ channel: i, gain: gain }))
+				.filter((tap) => tap.gain !== 0);
+		});
+	}
+
+	/**
+	 * Mixes a batch of audio
+	 *
+	 * @param  { Float32Array } interleaved `inputChannels` channels of interleaved audio
+	 * @return { Float32Array }             `outputChannels` channels of interleaved audio
+	 */
+	process(interleaved) {
+		let nFrames = interleaved.length / this.inputChannels;
+		let mixed = new Float32Array(nFrames * this.outputChannels);
+
+		for (let j = 0; j < this.outputChannels; j++) {
+			let taps = this._taps[j];
+
+			for (let t = 0; t < taps.length; t++) {
+				let { channel, gain } = taps[t];
+
+				for (let n = 0; n < nFrames; n++) {
+					mixed[n * this.outputChannels + j] += interleaved[n * this.inputChannels + channel] * gain;
+				}
+			}
+		}
+
+		return mixed;
+	}
+}
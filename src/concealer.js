@@ -0,0 +1,228 @@
+// range of pitches (Hz) which concealment searches for a period to repeat
+const MIN_PITCH = 50;
+const MAX_PITCH = 400;
+
+// rate (Hz) the history is decimated to for the coarse period search; well above 2 * MAX_PITCH
+const SEARCH_RATE = 4000;
+
+// length (ms) of the crossfade from concealment back to real data
+const CROSSFADE_MS = 5;
+
+/**
+ * Hides dropouts when a backend runs out of data mid-stream. Keeps a short history of played audio, and
+ * when there's nothing left to play, repeats its last pitch period while fading out over `fadeMs`. Once
+ * real data is available again, crossfades from the concealment back into it.
+ */
+export default class Concealer {
+	/**
+	 * Constructor
+	 *
+	 * @param { Number } nChannels  The number of channels
+	 * @param { Number } sampleRate Sample rate of the played audio
+	 * @param { Number } fadeMs     Time (ms) over which concealment fades to silence
+	 */
+	constructor(nChannels, sampleRate, fadeMs = 60) {
+		this._minLag = Math.round(sampleRate / MAX_PITCH);
+		this._maxLag = Math.round(sampleRate / MIN_PITCH);
+		this._decimation = Math.max(1, Math.floor(sampleRate / SEARCH_RATE));
+		this._fadeStep = 1 / Math.max(1, Math.round((fadeMs / 1000) * sampleRate));
+		this._crossfadeLength = Math.max(1, Math.round((CROSSFADE_MS / 1000) * sampleRate));
+
+		// the last period is compared against the one before it, so keep two of the longest period
+		this._history = Array.apply(null, Array(nChannels)).map(() => {
+			return new Float32Array(2 * this._maxLag);
+		});
+		this._decimated = new Float32Array(Math.floor((2 * this._maxLag) / this._decimation));
+
+		this._concealing = false;
+		this._period = this._maxLag;
+		this._pos = 0; // samples generated since concealment started
+		this._gain = 1;
+		this._crossfadePos = 0;
+	}
+
+	/**
+	 * Called once per batch by the backend. channels[0..nRead) holds real data; the rest is filled in.
+	 *
+	 * @param { Array }  channels Output channels, all the same length
+	 * @param { Number } nRead    The number of real samples (per channel) at the start of channels
+	 */
+	process(channels, nRead) {
+		let length = channels[0].length;
+
+		if (nRead > 0) {
+			if (this._concealing) this._crossfade(channels, nRead);
+			this._remember(channels, nRead);
+		}
+
+		if (nRead < length) {
+			if (!this._concealing) this._start();
+			this._conceal(channels, nRead, length);
+		}
+	}
+
+	/**
+	 * Forgets the played audio, e.g. after the buffer was cleared
+	 */
+	reset() {
+		for (let j = 0; j < this._history.length; j++) {
+			this._history[j].fill(0);
+		}
+		this._concealing = false;
+	}
+
+	/**
+	 * Starts concealing: picks the pitch period to repeat and resets the fade
+	 */
+	_start() {
+		this._period = this._findPeriod();
+		this._pos = 0;
+		this._gain = 1;
+		this._crossfadePos = 0;
+		this._concealing = true;
+	}
+
+	/**
+	 * Fills channels[start..end) with the repeated period, fading out
+	 *
+	 * @param { Array }  channels Output channels
+	 * @param { Number } start    First index to fill
+	 * @param { Number } end      Index after the last one to fill
+	 */
+	_conceal(channels, start, end) {
+		for (let i = start; i < end; i++) {
+			if (this._gain === 0) {
+				for (let j = 0; j < channels.length; j++) channels[j][i] = 0;
+			} else {
+				this._nextConcealed(channels, i, 0);
+			}
+		}
+	}
+
+	/**
+	 * Crossfades from concealment into the real data in channels[0..nRead). Can span multiple batches
+	 *
+	 * @param { Array }  channels Output channels, holding real data
+	 * @param { Number } nRead    The number of real samples (per channel)
+	 */
+	_crossfade(channels, nRead) {
+		for (let i = 0; i < nRead && this._crossfadePos < this._crossfadeLength; i++) {
+			let weight = this._crossfadePos++ / this._crossfadeLength;
+			this._nextConcealed(channels, i, weight);
+		}
+
+		if (this._crossfadePos === this._crossfadeLength) this._concealing = false;
+	}
+
+	/**
+	 * Mixes the next concealed sample into channels at index i, then advances the fade
+	 *
+	 * @param { Array }  channels Output channels
+	 * @param { Number } i        Index to write to
+	 * @param { Number } weight   Weight of what's already in channels; the concealed sample gets 1 - weight
+	 */
+	_nextConcealed(channels, i, weight) {
+		let historyLength = this._history[0].length;
+		let src = historyLength - this._period + (this._pos % this._period);
+
+		for (let j = 0; j < channels.length; j++) {
+			channels[j][i] =
+				channels[j][i] * weight +
+				this._history[j][src] * this._gain * (1 - weight);
+		}
+
+		this._pos++;
+		this._gain = Math.max(0, this._gain - this._fadeStep);
+	}
+
+	/**
+	 * Appends the real data in channels[0..nRead) to the history
+	 *
+	 * @param { Array }  channels Output channels, holding real data
+	 * @param { Number } nRead    The number of real samples (per channel)
+	 */
+	_remember(channels, nRead) {
+		for (let j = 0; j < this._history.length; j++) {
+			let history = this._history[j];
+			let n = Math.min(nRead, history.length);
+
+			history.copyWithin(0, n);
+			history.set(channels[j].subarray(nRead - n, nRead), history.length - n);
+		}
+	}
+
+	/**
+	 * Finds the pitch period of the last played audio, using normalized autocorrelation of the first channel.
+	 * This runs inside a single render quantum, so the search is done on a decimated copy of the history
+	 * first, then refined at the full rate around the best coarse lag.
+	 *
+	 * @return { Number } The period, in samples
+	 */
+	_findPeriod() {
+		let d = this._decimation;
+		if (d === 1) return this._bestLag(this._history[0], this._minLag, this._maxLag, this._maxLag);
+
+		// box filter and decimate; the history is zero padded at its start, so align to its end
+		let x = this._history[0];
+		let decimated = this._decimated;
+		let offset = x.length - decimated.length * d;
+		for (let i = 0; i < decimated.length; i++) {
+			let sum = 0;
+			for (let k = 0; k < d; k++) sum += x[offset + i * d + k];
+			decimated[i] = sum / d;
+		}
+
+		let coarseLag = this._bestLag(
+			decimated,
+			Math.max(1, Math.floor(this._minLag / d)),
+			Math.floor(this._maxLag / d),
+			Math.floor(this._maxLag / d)
+		);
+
+		return this._bestLag(
+			x,
+			Math.max(this._minLag, (coarseLag - 1) * d),
+			Math.min(this._maxLag, (coarseLag + 1) * d),
+			this._maxLag
+		);
+	}
+
+	/**
+	 * Finds the lag in [minLag, maxLag] with the highest normalized autocorrelation over the last
+	 * windowLength samples of x
+	 *
+	 * @param { Float32Array } x            Signal to search
+	 * @param { Number }       minLag       Shortest lag to try
+	 * @param { Number }       maxLag       Longest lag to try; x must hold windowLength + maxLag samples
+	 * @param { Number }       windowLength Number of samples to correlate
+	 *
+	 * @return { Number } The best lag
+	 */
+	_bestLag(x, minLag, maxLag, windowLength) {
+		let windowStart = x.length - windowLength;
+
+		let energy = 0;
+		for (let i = windowStart; i < x.length; i++) energy += x[i] * x[i];
+
+		let bestLag = maxLag;
+		let bestScore = -Infinity;
+
+		for (let lag = minLag; lag <= maxLag; lag++) {
+			let correlation = 0;
+			let laggedEnergy = 0;
+
+			for (let i = windowStart; i < x.length; i++) {
+				correlation += x[i] * x[i - lag];
+				laggedEnergy += x[i - lag] * x[i - lag];
+			}
+
+			let score = correlation / Math.sqrt(energy * laggedEnergy + 1e-12);
+			if (score > bestScore) {
+				bestScore = score;
+				bestLag = lag;
+			}
+		}
+
+		return bestLag;
+	}
+}
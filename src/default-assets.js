@@ -0,0 +1,27 @@
+/**
+ * Returns the default locations of the helper files which FeederNode loads at runtime. Used whenever
+ * pathToWorklet, pathToWorker or pathToWasm aren't passed to createNode().
+ *
+ * The self-contained build (dist/feeder-node.inline.js) replaces this module with inline-assets.js.
+ * See webpack.config.js
+ *
+ * @param  { Object } supplied The options passed to createNode(). Unused: plain paths cost nothing to make
+ * @return { Object }          { pathToWorklet, pathToWorker, pathToWasm }
+ */
+/* eslint-disable-next-line */
+export default function getDefaultAssetPaths(supplied = {}) {
+	return {
+		pathToWorklet: "/feeder-node.worklet.js",
+		pathToWorker: "/feeder-node.worker.js",
+		pathToWasm: "/libsamplerate.wasm",
+	};
+}
+
+/**
+ * Called once the helper files have loaded. Plain paths don't need releasing, unlike the Blob URLs of the
+ * self-contained build
+ *
+ * @param { Object } assetPaths Returned by getDefaultAssetPaths()
+ */
+/* eslint-disable-next-line */
+export function releaseDefaultAssetPaths(assetPaths) {}
@@ -0,0 +1,54 @@
+// weight of each new buffer fill measurement in the running average
+const SMOOTHING = 0.05;
+// ratio adjustment per unit of relative fill error, e.g. 10% above target => 0.1% fewer samples
+const GAIN = 0.01;
+// largest ratio adjustment. 0.2% is ~3.5 cents of pitch shift, which is inaudible
+const MAX_ADJUSTMENT = 0.002;
+// ratio scales are rounded to this, so that tiny fluctuations don't each result in a change
+const STEP = 0.00001;
+
+/**
+ * Compensates for clock drift between the producer of audio and the AudioContext. Watches the buffer fill
+ * while playing and nudges the resampling ratio so that the fill, and therefore latency, stays at a target:
+ * fewer samples are produced while the buffer is fuller than the target, more while it's emptier.
+ */
+export default class DriftController {
+	/**
+	 * Constructor
+	 *
+	 * @param { Number } targetFill Buffer fill (samples per channel) to hold steady
+	 */
+	constructor(targetFill) {
+		this.targetFill = targetFill;
+		this.ratioScale = 1;
+
+		this._smoothedFill = undefined;
+	}
+
+	/**
+	 * Forgets previous measurements, e.g. after playback (re)starts. Keeps the current ratio scale
+	 */
+	reset() {
+		this._smoothedFill = undefined;
+	}
+
+	/**
+	 * Takes a new buffer fill measurement and updates the ratio scale
+	 *
+	 * @param  { Number } fill The current buffer fill (samples per channel)
+	 * @return { Number }      Factor to scale the resampling ratio by. Between 1 - MAX_ADJUSTMENT and 1 + MAX_ADJUSTMENT
+	 */
+	update(fill) {
+		this._smoothedFill =
+			this._smoothedFill === undefined
+				? fill
+				: this._smoothedFill + (fill - this._smoothedFill) * SMOOTHING;
+
+		let error = (this._smoothedFill - this.targetFill) / Math.max(1, this.targetFill);
+		let adjustment = Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, error * GAIN));
+
+		this.ratioScale = 1 - Math.round(adjustment / STEP) * STEP;
+
+		return this.ratioScale;
+	}
+}
@@ -0,0 +1,45 @@
+import GainRamp from "./gain-ramp.js";
+
+/**
+ * The first few ms of audio which was cleared from a buffer, faded out to silence. Mixed into the output
+ * after clearing, so that playback stops smoothly instead of being cut off mid-waveform
+ */
+export default class FadeTail {
+	/**
+	 * Constructor
+	 *
+	 * @param { Array }  channels   Audio to fade out, one Float32Array per channel. Faded in place
+	 * @param { Number } sampleRate Sample rate of the audio
+	 * @param { Number } fadeMs     Duration (ms) of the fade. Audio beyond that is silenced
+	 */
+	constructor(channels, sampleRate, fadeMs) {
+		let ramp = new GainRamp(sampleRate);
+		ramp.rampTo(0, fadeMs);
+		ramp.process(channels);
+
+		this._channels = channels;
+		this._pos = 0;
+	}
+
+	/** Whether all of the tail has been mixed into the output */
+	get isDone() {
+		return this._pos >= this._channels[0].length;
+	}
+
+	/**
+	 * Adds as much of the rest of the tail as fits to the start of channels
+	 *
+	 * @param { Array } channels Output channels, all the same length
+	 */
+	mixInto(channels) {
+		let n = Math.min(channels[0].length, this._channels[0].length - this._pos);
+
+		for (let j = 0; j < channels.length; j++) {
+			for (let i = 0; i < n; i++) {
+				channels[j][i] += this._channels[j][this._pos + i];
+			}
+		}
+
+		this._pos += n;
+	}
+}
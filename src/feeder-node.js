@@ -1,14 +1,72 @@
-import { BackendState, BufferType } from "./abstract-backend";
-import { toFloat32 } from "./util";
+import {
+	BackendState,
+	BufferType,
+	ChannelLayout,
+	OverflowPolicy,
+	defaultChannelLayout,
+} from "./abstract-backend";
+import {
+	toFloat32,
+	interleavePlanar,
+	bytesPerSample,
+	supportsSharedMemory,
+	SampleFormat,
+} from "./util";
+import SharedRingBuffer from "./shared-ring-buffer.js";
+import DriftController from "./drift-controller.js";
+import ChannelMixer from "./channel-mixer.js";
+import PacketReorderer from "./packet-reorderer.js";
 
-export default class FeederNode {
+/**
+ * Feeds PCM audio into the AudioNode graph. Dispatches the following events, whose `detail` is:
+ *
+ *     ready, playing, starved: { state }                    The new BackendState
+ *     ended:                   { state }                    Everything fed before end() has played
+ *     paused:                  { state }                    pause() took effect
+ *     bufferlengthchange:      { bufferLength }             The buffer grew (overflowPolicy 'grow')
+ *     overflow:                { nDropped, nDroppedSamples } Samples dropped now, and in total
+ *     drain:                   {}                           feed() can be called again after returning false
+ *     error:                   { error }                    The resampler or backend failed mid-stream
+ *
+ * The onBackendReady() etc. overrides are still called, before the event is dispatched
+ */
+export default class FeederNode extends EventTarget {
 	/**
 	 * Constructor
 	 *
+	 * `options` is an object which supports the follow members:
+	 * {
+	 *     implementation:    { Object }  The backend + resampler picked by createNode(), and any fallbacks taken
+	 *     driftCompensation: { Boolean } default false. Nudge the resampling ratio to hold the buffer fill steady
+	 *     targetBufferFill:  { Number }  default bufferThreshold. Buffer fill (samples per channel) to hold
+	 *     overflowPolicy:    { String }  The backend's ring buffer overflow policy, if it has one. A shared
+	 *                                    ring buffer can't grow, so without one it drops the newest data
+	 *     highWaterMark:     { Number }  default bufferLength / 2. Buffer fill (samples per channel) at which
+	 *                                    feed() starts returning false
+	 *     channelLayout:     { String }  default depends on nChannels. One of ChannelLayout. Sets
+	 *                                    channelInterpretation to 'discrete' or 'speakers', which decides
+	 *                                    how the channels are mixed to a destination with a different count
+	 *     inputChannels:     { Number }  default backend.nChannels. The number of channels fed
+	 *     channelMatrix:     { Array }   Mixes inputChannels channels to the backend's. Applied before
+	 *                                    resampling if it removes channels, otherwise after. See ChannelMixer
+	 *     sampleFormat:      { String }  One of SampleFormat. If given, feed() decodes the bytes of the data
+	 *                                    it's passed in this format, and accepts ArrayBuffers too. The
+	 *                                    resampler decodes 'ima-adpcm', e.g. in its worker
+	 *     blockAlign:        { Number }  default 0. For 'ima-adpcm', bytes per block (WAV's nBlockAlign), or
+	 *                                    0 for a continuous stream. See ImaAdpcmDecoder
+	 *     maxReorderDelay:   { Number }  default 20. For jitter buffers, how long (ms) of audio may queue up
+	 *                                    behind a missing packet before it's skipped. See PacketReorderer
+	 * }
+	 *
 	 * @param { AbstractProcessor } resampler Resamples data before handing to the backend for propagation
 	 * @param { AbstractBackend }   backend   Propagates audio data to the next AudioNode in the graph
+	 * @param { Object }            options   See above
 	 */
-	constructor(resampler, backend) {
+	constructor(resampler, backend, options = {}) {
+		super();
+
+		let overflowPolicy = options.overflowPolicy || null;
+
 		// init MessageChannel if using both async resampler and backend
 		if (
 			resampler.constructor.name === "WorkerResampler" &&
@@ -17,14 +75,113 @@ export default class FeederNode {
 			let channel = new MessageChannel();
 			resampler.setPort(channel.port1);
 			backend.setPort(channel.port2);
+
+			// skip postMessage() between the threads if they can share memory. A SharedRingBuffer can't
+			// resize, so only use it in place of a regular ring buffer which isn't allowed to grow
+			if (
+				supportsSharedMemory() &&
+				backend.getBufferType() === BufferType.RING_BUFFER &&
+				overflowPolicy !== OverflowPolicy.GROW
+			) {
+				let sharedBuffer = new SharedRingBuffer(
+					backend.bufferLength,
+					backend.nChannels,
+					null,
+					overflowPolicy || OverflowPolicy.DROP_NEWEST
+				);
+				resampler.setSharedBuffer(sharedBuffer.sharedBuffers);
+			}
 		}
 
 		// set callbacks
 		resampler.onProcessed = this._onResampleComplete.bind(this);
 		backend.onStateChange = this._onBackendStateChange.bind(this);
+		// data is dropped by the backend, or by the worker if it writes to a SharedRingBuffer
+		backend.onOverflow = this._onOverflow.bind(this);
+		resampler.onOverflow = this._onOverflow.bind(this);
+		backend.onDrain = this._onDrain.bind(this);
+		backend.onBufferLengthChange = this._onBufferLengthChange.bind(this);
+		backend.onError = this._onError.bind(this);
+		resampler.onError = this._onError.bind(this);
+		// only called if the resampler isn't connected to the backend by a MessageChannel. If it is, the
+		// end of the stream is passed on thru the channel instead
+		resampler.onFlushed = () => backend.end();
+		resampler.onReset = (fadeMs) => backend.clearBuffer(fadeMs);
 
 		this._resampler = resampler;
 		this._backend = backend;
+		this._destroyed = false;
+		this._playing = false;
+		this._nDroppedSamples = 0;
+		// output frames are converted to playback position at the drift ratio scale they were resampled
+		// at, so the position and frame count are rebased whenever the scale changes
+		this._ratioScale = 1;
+		this._positionAtScaleChange = 0;
+		this._nFramesAtScaleChange = 0;
+		this._gain = 1; // set by setGain(), and restored by unmute()
+		this._muted = false;
+		this._highWaterMark = options.highWaterMark || backend.bufferLength / 2;
+		this._channelLayout = options.channelLayout || defaultChannelLayout(backend.nChannels);
+		this._inputChannels = options.inputChannels || backend.nChannels;
+		this._inputMixer = null;
+		this._sampleFormat = options.sampleFormat;
+		// decoded by the resampler, so the data fed to it is still 4 bits per sample
+		this._isAdpcm = this._sampleFormat === SampleFormat.IMA_ADPCM;
+
+		if (this._isAdpcm) {
+			resampler.setInputFormat(this._sampleFormat, {
+				nChannels: this._inputChannels,
+				blockAlign: options.blockAlign || 0,
+			});
+		}
+
+		// channelInterpretation only decides how a node mixes its input, so the layout is set on a node
+		// which the backend plays into. channelCount, channelCountMode and channelInterpretation all describe
+		// this node, which passes the channels thru as they are unless its channelCount is changed
+		this._output = backend.audioNode.context.createGain();
+		this._output.channelCount = backend.nChannels;
+		this._output.channelCountMode = "explicit";
+		this._output.channelInterpretation =
+			this._channelLayout === ChannelLayout.DISCRETE ? "discrete" : "speakers";
+		backend.connect(this._output);
+
+		// estimated output length (samples per channel) of each chunk fed, but not yet written to the buffer
+		this._inFlight = [];
+		this._nChunksFed = 0;
+		this._waitingForDrain = false;
+		// packets are put back in order before they're resampled, since the resampler's filter has state
+		this._reorderer =
+			this.getBufferType() === BufferType.JITTER_BUFFER
+				? new PacketReorderer(
+						resampler.inputSampleRate,
+						options.maxReorderDelay === undefined ? 20 : options.maxReorderDelay
+				  )
+				: null;
+		this._whenDestroyed = new Promise((resolve) => (this._resolveDestroyed = resolve));
+		this._ratio = resampler.outputSampleRate / resampler.inputSampleRate || 1;
+		this._implementation = options.implementation || {
+			backend: backend.constructor.name,
+			resampler: resampler.constructor.name,
+			fallbacks: [],
+		};
+
+		// mix on whichever side of the resampler has fewer channels, so that the least data is resampled
+		// and posted between threads. ADPCM can only be mixed once the resampler has decoded it
+		if (options.channelMatrix) {
+			if (this._inputChannels < backend.nChannels || this._isAdpcm) {
+				resampler.setOutputMatrix(options.channelMatrix);
+			} else {
+				this._inputMixer = new ChannelMixer(options.channelMatrix);
+			}
+		}
+
+		if (options.driftCompensation) {
+			this._driftController = new DriftController(
+				options.targetBufferFill || this.bufferThreshold
+			);
+			/** true while waiting for the buffer fill measured by _compensateDrift() */
+			this._measuringDrift = false;
+		}
 	}
 
 	/** getters */
@@ -34,6 +191,12 @@ export default class FeederNode {
 	get nChannels() {
 		return this._backend.nChannels;
 	}
+	get inputChannels() {
+		return this._inputChannels;
+	}
+	get sampleFormat() {
+		return this._sampleFormat;
+	}
 	get batchSize() {
 		return this._backend.batchSize;
 	}
@@ -41,6 +204,43 @@ export default class FeederNode {
 		return this._backend.bufferThreshold;
 	}
 
+	get highWaterMark() {
+		return this._highWaterMark;
+	}
+
+	/** Total number of samples (per channel) dropped because the buffer overflowed */
+	get nDroppedSamples() {
+		return this._nDroppedSamples;
+	}
+
+	/**
+	 * The gain AudioParam of the AudioWorkletNode, for automating the gain directly. null with a
+	 * ScriptProcessorNode; use setGain() instead
+	 */
+	get gain() {
+		return this._backend.gain || null;
+	}
+
+	/** How the channels are arranged. One of ChannelLayout */
+	get channelLayout() {
+		return this._channelLayout;
+	}
+
+	/** Whether mute() has been called, without a following unmute() */
+	get muted() {
+		return this._muted;
+	}
+
+	/**
+	 * Describes which backend and resampler are in use, and why. `fallbacks` contains one entry
+	 * ({ component, from, to, reason }) for each preferred implementation which wasn't used.
+	 *
+	 * @return { Object } { backend, resampler, fallbacks }
+	 */
+	get implementation() {
+		return this._implementation;
+	}
+
 	/**
 	 * Sets a new buffer threshold value
 	 * 
@@ -50,7 +250,10 @@ export default class FeederNode {
 		this._backend.setBufferThreshold(threshold);
 	}
 
-	/** AudioNode-compliant getters. All defer to underlying AudioNode */
+	/**
+	 * AudioNode-compliant getters. numberOfInputs and numberOfOutputs defer to the underlying AudioNode, the
+	 * channel properties to the node which the backend plays into
+	 */
 	get numberOfInputs() {
 		return this._backend.audioNode.numberOfInputs;
 	}
@@ -58,24 +261,27 @@ export default class FeederNode {
 		return this._backend.audioNode.numberOfOutputs;
 	}
 	get channelCount() {
-		return this._backend.audioNode.channelCount;
+		return this._output.channelCount;
 	}
 	get channelCountMode() {
-		return this._backend.audioNode.channelCountMode;
+		return this._output.channelCountMode;
 	}
 	get channelInterpretation() {
-		return this._backend.audioNode.channelInterpretation;
+		return this._output.channelInterpretation;
 	}
 
-	/** AudioNode-compliant setters. All defer to underlying AudioNode */
+	/**
+	 * AudioNode-compliant setters. All defer to the node which the backend plays into. Setting channelCount
+	 * has FeederNode mix its channels to that many, following channelInterpretation, which channelLayout sets
+	 */
 	set channelCount(channelCount) {
-		this._backend.audioNode.channelCount = channelCount;
+		this._output.channelCount = channelCount;
 	}
 	set channelCountMode(channelCountMode) {
-		this._backend.audioNode.channelCountMode = channelCountMode;
+		this._output.channelCountMode = channelCountMode;
 	}
 	set channelInterpretation(channelInterpretation) {
-		this._backend.audioNode.channelInterpretation = channelInterpretation;
+		this._output.channelInterpretation = channelInterpretation;
 	}
 
 	/**
@@ -84,32 +290,214 @@ export default class FeederNode {
 	 * @param {AudioNode} destination The node to connect to
 	 */
 	connect(destination) {
-		this._backend.connect(destination);
+		this._output.connect(destination);
 	}
 
 	/** Disconnects from the currently-connected AudioNode */
 	disconnect() {
-		this._backend.disconnect();
+		this._output.disconnect();
 	}
 
 	/**
 	 * Feeds raw PCM audio data to the underlying node. Any kind of TypedArray can be submitted - FeederNode
-	 * will automatically convert to Float32 and scale to -1 < n < 1.
+	 * will automatically convert to Float32 and scale to -1 < n < 1. Planar audio can be submitted too, as
+	 * an Array of TypedArrays (one per channel), an AudioBuffer or a WebCodecs AudioData, and is
+	 * interleaved internally. If the node was created with a `sampleFormat`, TypedArrays (and
+	 * ArrayBuffers) are treated as raw bytes in that format instead.
+	 *
+	 * When using BufferType.JITTER_BUFFER, each call is a packet and `packetInfo` is required:
+	 * {
+	 *     seq:       { Number } Sequence number of the packet; consecutive packets have consecutive numbers,
+	 *                           which may wrap from 65535 to 0 as RTP's do
+	 *     timestamp: { Number } Time (ms) at which the packet was captured/sent, on the sender's clock. Used
+	 *                           to measure jitter
+	 * }
+	 *
+	 * Like Node's stream.write(), returns false once the buffer (plus any data still being resampled) holds
+	 * `highWaterMark` samples. The data is buffered anyway, subject to the overflow policy, but the caller
+	 * should stop feeding until onDrain() is called.
+	 *
+	 * @param  {TypedArray|Array|AudioBuffer|AudioData} data       Interleaved or planar audio, or an
+	 *                                                             ArrayBuffer with `sampleFormat`. See above
+	 * @param  {Object}                                 packetInfo See above. Ignored by other buffer types
+	 * @return {Boolean}                                           false if the caller should wait for
+	 *                                                             onDrain() before feeding more
+	 */
+	feed(data, packetInfo) {
+		if (this._destroyed) throw Error("FeederNode.feed() called after destroy()");
+		if (this._endPromise !== undefined) throw Error("FeederNode.feed() called after end()");
+
+		let meta;
+
+		if (this.getBufferType() === BufferType.JITTER_BUFFER) {
+			if (packetInfo === undefined || typeof packetInfo.seq !== "number") {
+				throw Error(
+					"FeederNode.feed() must receive { seq, timestamp } when using a jitter buffer"
+				);
+			}
+
+			// arrival is stamped here, on the main thread, so that it's as close to the network as possible
+			meta = {
+				seq: packetInfo.seq,
+				timestamp: packetInfo.timestamp,
+				arrival: performance.now(),
+			};
+		}
+
+		return this._feedInterleaved(this._toInterleaved(data), meta);
+	}
+
+	/**
+	 * Feeds a stream of chunks, e.g. the body of a fetch() Response or the messages of a WebSocket, until
+	 * it's done. Chunks may split sample frames anywhere: a partial frame is held back until the rest of it
+	 * arrives. Reading pauses whenever feed() would return false, until the node drains, and big chunks
+	 * are fed in pieces of at most highWaterMark samples, so that the buffer isn't overrun.
+	 *
+	 * `options` is an object which supports the follow members:
+	 * {
+	 *     sampleFormat: { String }      default the node's sampleFormat. One of SampleFormat, to decode the
+	 *                                   bytes of each chunk with. Without one, chunks are decoded by feed()
+	 *     signal:       { AbortSignal } Once aborted, stops piping and cancels the source
+	 *     end:          { Boolean }     default true. Whether to call end() once the source is done
+	 * }
+	 *
+	 * Piping stops quietly, cancelling the source, if the node is ended or destroyed meanwhile. If the
+	 * source ends part way thru a sample frame, the partial frame is dropped and the Promise rejects. Jitter
+	 * buffers aren't supported, since each packet needs packetInfo.
+	 *
+	 * @param  { ReadableStream|AsyncIterable } source  Chunks of TypedArrays, ArrayBuffers or Blobs. Or,
+	 *                                                  without a sampleFormat, anything feed() accepts
+	 * @param  { Object }                       options See above
+	 * @return { Promise }                              Resolves once everything in the source has been fed.
+	 *                                                  Rejects if reading or decoding fails, also
+	 *                                                  dispatching an `error` event, or with the signal's
+	 *                                                  reason once aborted
+	 */
+	async pipeFrom(source, options = {}) {
+		if (this.getBufferType() === BufferType.JITTER_BUFFER)
+			throw Error("FeederNode.pipeFrom() can't feed a jitter buffer, since packets need packetInfo");
+
+		let sampleFormat = options.sampleFormat !== undefined ? options.sampleFormat : this._sampleFormat;
+		if ((sampleFormat === SampleFormat.IMA_ADPCM) !== this._isAdpcm)
+			throw Error("FeederNode.pipeFrom() can only feed ima-adpcm to a node created to decode it");
+
+		let signal = options.signal;
+		if (signal && signal.aborted) throw signal.reason;
+
+		// elements per frame, and per piece fed. The ADPCM decoder takes any number of bytes, 2 samples each
+		let frameLength = this._inputChannels;
+		if (sampleFormat !== undefined && !this._isAdpcm) frameLength *= bytesPerSample(sampleFormat);
+
+		let maxFrames = Math.max(1, Math.floor(this._highWaterMark / this._ratio));
+		let pieceLength = maxFrames * this._inputChannels;
+		if (this._isAdpcm) pieceLength = Math.ceil(pieceLength / 2);
+
+		let reader = openSource(source);
+		let pending = null; // start of a partial frame
+
+		// waiting on the source or a drain stops once the node is destroyed, or the signal aborted
+		let stops = [this._whenDestroyed];
+		let onAbort;
+		if (signal) {
+			stops.push(new Promise((resolve, reject) => (onAbort = () => reject(signal.reason))));
+			signal.addEventListener("abort", onAbort);
+		}
+
+		try {
+			while (await this._waitToFeed(stops)) {
+				let result = await Promise.race([reader.read(), ...stops]);
+				if (!this._canFeed()) break;
+				if (result.done) {
+					// nobody waits on this end(), so a destroy() before it has played mustn't go unhandled
+					if (options.end !== false) this.end().catch(() => {});
+					// what was whole still plays, but truncated input mustn't look like a clean end
+					if (pending !== null) {
+						let unit = sampleFormat !== undefined ? "bytes" : "samples";
+						throw Error(
+							`FeederNode.pipeFrom()'s source ended with ${pending.length} ${unit} of an incomplete sample frame`
+						);
+					}
+
+					reader.close();
+					return;
+				}
+
+				let chunk = result.value;
+				if (typeof Blob !== "undefined" && chunk instanceof Blob) chunk = await chunk.arrayBuffer();
+
+				let data;
+				if (this._isAdpcm) {
+					data = copyBytes(chunk);
+				} else if (sampleFormat !== undefined) {
+					[data, pending] = splitFrames(toBytes(chunk), pending, frameLength);
+					data = toFloat32(data, sampleFormat);
+				} else {
+					[data, pending] = splitFrames(this._toInterleaved(chunk), pending, frameLength);
+				}
+
+				// processBatch() may transfer each piece to another thread, so they're copied unless whole
+				for (let i = 0; i < data.length; i += pieceLength) {
+					if (!(await this._waitToFeed(stops))) break;
+
+					this._feedInterleaved(data.length > pieceLength ? data.slice(i, i + pieceLength) : data);
+				}
+			}
+
+			reader.cancel();
+		} catch (err) {
+			reader.cancel(err);
+			// so that a pipe nobody awaits, e.g. createNodeFromWavStream()'s, still reports its failure
+			let aborted = signal !== undefined && signal.aborted && err === signal.reason;
+			if (!aborted && !this._destroyed) this._onError(err);
+			throw err;
+		} finally {
+			if (signal) signal.removeEventListener("abort", onAbort);
+		}
+	}
+
+	/**
+	 * Feeds interleaved data to the resampler, and tracks how full the buffer will be once it's resampled
 	 *
-	 * @param {TypedArray} data Any TypedArray. Conversion will be done automatically
+	 * @param  { Float32Array } parsedData inputChannels channels of interleaved audio, or bytes of ADPCM
+	 * @param  { Object }       meta       Packet info, for jitter buffers
+	 * @return { Boolean }                 See feed()
 	 */
-	feed(data) {
-		let parsedData;
+	_feedInterleaved(parsedData, meta) {
+		if (this._driftController) this._compensateDrift();
+
+		// processBatch() may transfer parsedData to another thread, so measure it first. ADPCM is
+		// estimated at 2 samples per byte, ignoring block headers
+		let nSamples = (this._isAdpcm ? parsedData.length * 2 : parsedData.length) / this._inputChannels;
+		if (this._inputMixer !== null) parsedData = this._inputMixer.process(parsedData);
 
-		if (ArrayBuffer.isView(data)) {
-			parsedData = toFloat32(data);
+		if (this._reorderer !== null) {
+			this._reorderer.push(parsedData, meta, nSamples).forEach((packet) => {
+				this._processBatch(packet.data, packet.meta, packet.nSamples);
+			});
 		} else {
-			throw Error(
-				`FeederNode.feed() must receive an instance of TypedArray. You passed ${data.constructor.name}`
-			);
+			this._processBatch(parsedData, meta, nSamples);
 		}
 
-		this._resampler.processBatch(parsedData);
+		if (this._estimateBufferFill() < this._highWaterMark) return true;
+
+		this._waitingForDrain = true;
+		this._backend.requestDrain(this._highWaterMark, this._nChunksFed);
+
+		return false;
+	}
+
+	/**
+	 * Passes a batch to the resampler, and counts it as in flight until the backend has written it
+	 *
+	 * @param { Float32Array } data     Interleaved audio, or bytes of ADPCM
+	 * @param { Object }       meta     Packet info, for jitter buffers
+	 * @param { Number }       nSamples Length of the batch (samples per channel), before resampling
+	 */
+	_processBatch(data, meta, nSamples) {
+		this._resampler.processBatch(data, meta);
+
+		this._nChunksFed++;
+		this._inFlight.push(nSamples * this._ratio);
 	}
 
 	/**
@@ -120,8 +508,44 @@ export default class FeederNode {
 	getCurrentBufferFill() {
 		return this._backend.getCurrentBufferFill();
 	}
-	
-	
+
+	/**
+	 * Like getCurrentBufferFill(), but asks the audio thread for the fill instead of returning the last
+	 * value it reported
+	 *
+	 * @returns {Promise} Resolves with the current number of samples in the buffer
+	 */
+	getBufferFillAsync() {
+		return this._backend.getBufferFillAsync();
+	}
+
+	/**
+	 * Takes a snapshot of the backend's state and counters, all measured at the same moment. With an
+	 * AudioWorklet, this is a round trip to the audio thread. Rejects after destroy()
+	 *
+	 * @returns {Promise} Resolves with { bufferFill, bufferLength, state, nChunksWritten, nFramesPlayed,
+	 *                    nDroppedSamples, playbackPosition }. state is one of BackendState, and
+	 *                    playbackPosition is in seconds. See getPlaybackPosition()
+	 */
+	queryState() {
+		if (this._destroyed) return Promise.reject(Error("FeederNode.queryState() called after destroy()"));
+
+		let nDroppedSamples = this._nDroppedSamples;
+
+		return this._backend.queryState().then((snapshot) => {
+			return {
+				bufferFill: snapshot.bufferFill,
+				bufferLength: this.bufferLength,
+				state: snapshot.state,
+				nChunksWritten: snapshot.nChunksWritten,
+				nFramesPlayed: snapshot.nFramesPlayed,
+				nDroppedSamples: nDroppedSamples,
+				playbackPosition: this._toPlaybackPosition(
+					snapshot.nFramesPlayed + snapshot.nFramesCleared + nDroppedSamples
+				),
+			};
+		});
+	}
 
 	/**
 	 * Calculates the health of the buffer as a normalized value between 0-1
@@ -135,34 +559,427 @@ export default class FeederNode {
 		return Math.min(1, Math.max(0, currentFill / maxFill));
 	}
 
+	/**
+	 * Returns how far into the fed stream playback has got, e.g. to sync captions or video to the audio.
+	 * Counts the frames of fed audio which have been played, plus any dropped by the overflow policy or
+	 * discarded by clearBuffer(), so it doesn't advance while starved or buffering. Frames are converted to
+	 * time in the input stream at the drift compensation ratio they were resampled at. With an AudioWorklet,
+	 * the counts are the ones last reported by the audio thread, so they may lag by a render quantum or so.
+	 *
+	 * @return { Number } The playback position in the input stream, in seconds
+	 */
+	getPlaybackPosition() {
+		return this._toPlaybackPosition(this._getNFramesConsumed());
+	}
+
+	/**
+	 * Estimates how long audio fed now takes to be heard: the buffered audio (including audio which is
+	 * still being resampled), plus the resampler's filter delay, plus the AudioContext's output latency
+	 *
+	 * @return { Number } The latency, in seconds
+	 */
+	getLatency() {
+		let buffered = this._estimateBufferFill() / this._resampler.outputSampleRate;
+		let outputLatency = this._backend.audioNode.context.outputLatency || 0;
+
+		return buffered + this._resampler.getDelay() + outputLatency;
+	}
+
+	/**
+	 * Changes the volume, ramping linearly to it. Applied sample-accurately before the output, whichever
+	 * backend is in use. If muted, the new gain takes effect on unmute()
+	 *
+	 * @param { Number } value  The new gain. 1 for unchanged, 0 for silence
+	 * @param { Number } rampMs Duration (ms) of the ramp. 0 to change straight away
+	 */
+	setGain(value, rampMs = 0) {
+		if (!Number.isFinite(value) || value < 0) throw `invalid gain ${value}`;
+
+		this._gain = value;
+		if (!this._muted) this._backend.setGain(value, rampMs);
+	}
+
+	/**
+	 * Silences the output, remembering the gain to restore on unmute(). Data is still read from the buffer
+	 *
+	 * @param { Number } rampMs Duration (ms) of the ramp down. 0 to mute straight away
+	 */
+	mute(rampMs = 0) {
+		if (this._muted) return;
+
+		this._muted = true;
+		this._backend.setGain(0, rampMs);
+	}
+
+	/**
+	 * Undoes mute(), ramping back to the last gain passed to setGain()
+	 *
+	 * @param { Number } rampMs Duration (ms) of the ramp up. 0 to unmute straight away
+	 */
+	unmute(rampMs = 0) {
+		if (!this._muted) return;
+
+		this._muted = false;
+		this._backend.setGain(this._gain, rampMs);
+	}
+
+	/**
+	 * Holds playback: stops reading from the buffer and plays silence, e.g. to put a call on hold. feed()
+	 * can still be called, and buffered data is kept, subject to the overflow policy. Moves the backend
+	 * to PAUSED: onBackendPaused() is called, and a `paused` event dispatched.
+	 *
+	 * `options` is an object which supports the follow members:
+	 * {
+	 *     fadeMs: { Number } default 0. If playing, fade out over this long (ms) first, to avoid a click
+	 * }
+	 *
+	 * @param { Object } options See above
+	 */
+	pause(options = {}) {
+		this._backend.pause(options.fadeMs || 0);
+	}
+
+	/**
+	 * Undoes pause(), returning to the state from before pausing. The state change is reported as usual,
+	 * e.g. by onBackendPlaying() and a `playing` event.
+	 *
+	 * `options` is an object which supports the follow members:
+	 * {
+	 *     fadeMs: { Number } default 0. If resuming playback, fade in over this long (ms)
+	 * }
+	 *
+	 * @param { Object } options See above
+	 */
+	resume(options = {}) {
+		this._backend.resume(options.fadeMs || 0);
+	}
+
+	/**
+	 * Signals the end of the stream, like closing a file. The resampler's tail is flushed, then whatever is
+	 * buffered plays out, even if it's less than bufferThreshold. Then the backend changes state to ENDED
+	 * instead of STARVED: onBackendEnded() is called, and an `ended` event dispatched. Calling feed()
+	 * afterwards throws. Calling end() more than once returns the same Promise.
+	 *
+	 * @return { Promise } Resolves once everything fed has played. Rejects if the node is destroyed first
+	 */
+	end() {
+		if (this._destroyed) return Promise.reject(Error("FeederNode.end() called after destroy()"));
+
+		if (this._endPromise === undefined) {
+			this._endPromise = new Promise((resolve, reject) => {
+				this._resolveEnd = resolve;
+				this._rejectEnd = reject;
+			});
+
+			// packets held back waiting for missing ones won't be joined by them now
+			if (this._reorderer !== null) {
+				this._reorderer.flush().forEach((packet) => {
+					this._processBatch(packet.data, packet.meta, packet.nSamples);
+				});
+			}
+
+			// a jitter buffer can't take the tail, since it has no packet info
+			this._resampler.flush(this.getBufferType() !== BufferType.JITTER_BUFFER);
+		}
+
+		return this._endPromise;
+	}
+
+	/**
+	 * Frees the FeederNode: disconnects it, terminates the resampler's Worker, frees libsamplerate,
+	 * closes the MessageChannel between resampler and backend, and stops the backend from processing.
+	 * Calling feed() afterwards throws. Calling destroy() more than once returns the same Promise.
+	 *
+	 * @return { Promise } Resolves once cleanup has finished, or been given up on if the Worker or
+	 *                     AudioWorkletProcessor has crashed or hung
+	 */
+	destroy() {
+		if (this._destroyPromise === undefined) {
+			this._destroyed = true;
+			this._resolveDestroyed();
+			// no-op if everything has played already
+			if (this._rejectEnd) this._rejectEnd(Error("FeederNode destroyed before everything fed had played"));
+			this._output.disconnect();
+			this._destroyPromise = Promise.all([
+				this._resampler.destroy(),
+				this._backend.destroy(),
+			]).then(() => {});
+		}
+
+		return this._destroyPromise;
+	}
+
 	/** Override these for Backend state callbacks */
 	onBackendReady() {}
 	onBackendPlaying() {}
 	onBackendStarved() {}
+	onBackendEnded() {}
+	onBackendPaused() {}
+
+	/**
+	 * Override me to be notified once feed() can be called again, after it returned false
+	 */
+	onDrain() {}
+
+	/**
+	 * Override me to be notified whenever data is dropped because the buffer overflowed
+	 *
+	 * @param { Number } nDropped The number of samples (per channel) dropped
+	 */
+	/* eslint-disable-next-line */
+	onOverflow(nDropped) {}
+
+	/**
+	 * Measures the buffer fill and passes the resulting ratio scale on to the resampler. Only measures while
+	 * playing, since the buffer is expected to be below target while (re)buffering. Asks the backend for
+	 * the fill instead of using getCurrentBufferFill(), which is stale when the buffer is on the audio
+	 * thread; one measurement at a time, so feeding faster than the audio thread answers skips some
+	 */
+	_compensateDrift() {
+		if (!this._playing || this._measuringDrift) return;
+
+		this._measuringDrift = true;
+		this._backend
+			.getBufferFillAsync()
+			.then((fill) => {
+				this._measuringDrift = false;
+				if (!this._playing || this._destroyed) return;
+
+				let staleScale = this._driftController.ratioScale;
+				let scale = this._driftController.update(fill);
+
+				if (scale === staleScale) return;
+
+				// frames still buffered were resampled at the stale scale, but compensation only ever
+				// changes the scale by fractions of a percent, so the difference is negligible
+				let nFrames = this._getNFramesConsumed();
+				this._positionAtScaleChange = this._toPlaybackPosition(nFrames);
+				this._nFramesAtScaleChange = nFrames;
+				this._ratioScale = scale;
+
+				this._resampler.setRatioScale(scale);
+			})
+			.catch(() => {
+				this._measuringDrift = false; // destroyed before the audio thread answered
+			});
+	}
+
+	/**
+	 * The number of output frames played, dropped or cleared so far
+	 *
+	 * @return { Number } The number of frames
+	 */
+	_getNFramesConsumed() {
+		// both counters from one report of the audio thread, so that they agree
+		let counters = this._backend.getPlaybackCounters();
+
+		return counters.nFramesPlayed + counters.nFramesCleared + this._nDroppedSamples;
+	}
+
+	/**
+	 * Converts a number of output frames consumed to a position in the input stream
+	 *
+	 * @param  { Number } nFrames Output frames played, dropped or cleared, as from _getNFramesConsumed()
+	 * @return { Number }         The position, in seconds
+	 */
+	_toPlaybackPosition(nFrames) {
+		let nFramesSinceChange = nFrames - this._nFramesAtScaleChange;
+
+		return (
+			this._positionAtScaleChange +
+			nFramesSinceChange / (this._resampler.outputSampleRate * this._ratioScale)
+		);
+	}
+
+	/**
+	 * Converts anything feed() accepts to interleaved Float32 data
+	 *
+	 * @param  { TypedArray|Array|AudioBuffer|AudioData } data See feed()
+	 * @return { Float32Array }                                 inputChannels channels of interleaved audio,
+	 *                                                          or a copy of the bytes of ADPCM
+	 */
+	_toInterleaved(data) {
+		if (this._isAdpcm) return copyBytes(data);
+		if (ArrayBuffer.isView(data)) return toFloat32(data, this._sampleFormat);
+		if (data instanceof ArrayBuffer && this._sampleFormat !== undefined)
+			return toFloat32(data, this._sampleFormat);
+
+		let channels;
+		let sampleFormat; // AudioBuffer + AudioData channels are always copied out as Float32
+
+		if (
+			Array.isArray(data) &&
+			data.length > 0 &&
+			data.every((channel) => ArrayBuffer.isView(channel))
+		) {
+			channels = data;
+			sampleFormat = this._sampleFormat;
+		} else if (data && typeof data.getChannelData === "function") {
+			// AudioBuffer
+			channels = [];
+			for (let i = 0; i < data.numberOfChannels; i++) {
+				channels.push(data.getChannelData(i));
+			}
+		} else if (data && typeof data.copyTo === "function" && data.numberOfFrames !== undefined) {
+			// AudioData. Browsers convert any sample format to f32-planar when copying
+			channels = [];
+			for (let i = 0; i < data.numberOfChannels; i++) {
+				let channel = new Float32Array(data.numberOfFrames);
+				data.copyTo(channel, { planeIndex: i, format: "f32-planar" });
+				channels.push(channel);
+			}
+		} else {
+			throw Error(
+				"FeederNode.feed() must receive a TypedArray, an Array of TypedArrays, an AudioBuffer or an " +
+					`AudioData. You passed ${data === null || data === undefined ? data : data.constructor.name}`
+			);
+		}
+
+		if (channels.length !== this._inputChannels) {
+			throw Error(
+				`FeederNode.feed() received ${channels.length} channels, but expects ${this._inputChannels}`
+			);
+		}
+
+		return interleavePlanar(channels, sampleFormat);
+	}
+
+	/**
+	 * Estimates what the buffer fill will be once everything fed so far has been resampled: the last fill
+	 * reported by the backend, plus the estimated length of the chunks which haven't reached it yet
+	 *
+	 * @return { Number } The estimated buffer fill (samples per channel)
+	 */
+	_estimateBufferFill() {
+		let nUnwritten = this._nChunksFed - this._backend.getNChunksWritten();
+		this._inFlight.splice(0, Math.max(0, this._inFlight.length - nUnwritten));
+
+		let nInFlight = this._inFlight.reduce((sum, n) => sum + n, 0);
+
+		return this.getCurrentBufferFill() + nInFlight;
+	}
+
+	/**
+	 * Called by the backend once it has drained, after feed() returned false
+	 */
+	_onDrain() {
+		if (!this._waitingForDrain || this._destroyed) return;
+
+		this._waitingForDrain = false;
+		this.onDrain();
+		this._dispatch("drain", {});
+	}
+
+	/**
+	 * Whether pipeFrom() can carry on feeding
+	 *
+	 * @return { Boolean } false once the node has been ended or destroyed
+	 */
+	_canFeed() {
+		return !this._destroyed && this._endPromise === undefined;
+	}
+
+	/**
+	 * Waits for the node to drain, if the last feed() returned false
+	 *
+	 * @param  { Array }   stops Promises which stop the wait once settled, e.g. once the node is destroyed
+	 * @return { Boolean }       Whether pipeFrom() can carry on feeding
+	 */
+	async _waitToFeed(stops) {
+		if (this._waitingForDrain && this._canFeed()) {
+			let onDrain;
+			let drained = new Promise((resolve) => (onDrain = resolve));
+
+			this.addEventListener("drain", onDrain);
+			try {
+				await Promise.race([drained, ...stops]);
+			} finally {
+				this.removeEventListener("drain", onDrain);
+			}
+		}
+
+		return this._canFeed();
+	}
+
+	/**
+	 * Called by the backend whenever its buffer grows
+	 *
+	 * @param { Number } bufferLength The new length of the buffer (samples per channel)
+	 */
+	_onBufferLengthChange(bufferLength) {
+		this._dispatch("bufferlengthchange", { bufferLength: bufferLength });
+	}
+
+	/**
+	 * Called by the resampler or the backend if it fails mid-stream
+	 *
+	 * @param { Error|Event } error What went wrong
+	 */
+	_onError(error) {
+		this._dispatch("error", { error: error });
+	}
+
+	/**
+	 * Dispatches a CustomEvent to the listeners added with addEventListener()
+	 *
+	 * @param { String } type   The event type
+	 * @param { Object } detail The event's `detail`
+	 */
+	_dispatch(type, detail) {
+		this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+	}
 
 	/**
 	 * Called by this._resampler if a MessageChannel isn't in use to transfer data from the
 	 * resampler directly to the backend
 	 *
 	 * @param {Float32Array} float32Array Mono or interleaved audio data
+	 * @param {Object}       meta         Packet info passed to processBatch()
 	 */
-	_onResampleComplete(float32Array) {
-		this._backend.feed(float32Array);
+	_onResampleComplete(float32Array, meta) {
+		this._backend.feed(float32Array, meta);
+	}
+
+	/**
+	 * Called by the backend, or by the resampler if it writes to a SharedRingBuffer, whenever data is
+	 * dropped because the buffer overflowed
+	 *
+	 * @param { Number } nDropped The number of samples (per channel) dropped
+	 */
+	_onOverflow(nDropped) {
+		this._nDroppedSamples += nDropped;
+		this.onOverflow(nDropped);
+		this._dispatch("overflow", { nDropped: nDropped, nDroppedSamples: this._nDroppedSamples });
 	}
 
 	/**
 	 * Called by the back whenever its state changes
 	 *
-	 * @param { BackendState } state one of [BackendState.READY, BackendState.PLAYING, BackendState.STARVED]
+	 * @param { BackendState } state one of [BackendState.READY, BackendState.PLAYING, BackendState.STARVED,
+	 *                               BackendState.ENDED, BackendState.PAUSED]
 	 */
 	_onBackendStateChange(state) {
+		this._playing = state === BackendState.PLAYING;
+		if (this._playing && this._driftController) this._driftController.reset();
+
 		switch (state) {
 			case BackendState.READY:
-				return this.onBackendReady();
+				this.onBackendReady();
+				return this._dispatch("ready", { state: state });
 			case BackendState.PLAYING:
-				return this.onBackendPlaying();
+				this.onBackendPlaying();
+				return this._dispatch("playing", { state: state });
 			case BackendState.STARVED:
-				return this.onBackendStarved();
+				this.onBackendStarved();
+				return this._dispatch("starved", { state: state });
+			case BackendState.ENDED:
+				this.onBackendEnded();
+				this._dispatch("ended", { state: state });
+				if (this._resolveEnd) this._resolveEnd();
+				return;
+			case BackendState.PAUSED:
+				this.onBackendPaused();
+				return this._dispatch("paused", { state: state });
 			default:
 				throw `unknown state ${state}`;
 		}
@@ -178,9 +995,125 @@ export default class FeederNode {
 	}
 	
 	/**
-	 * Clears all audio data from the buffer
+	 * Clears all audio data from the buffer, e.g. when the user barges in on a voice assistant.
+	 *
+	 * `options` is an object which supports the follow members:
+	 * {
+	 *     fadeMs:         { Number }  default 0. If playing, fade out over this long (ms) instead of cutting
+	 *                                 the audio off mid-waveform
+	 *     resetResampler: { Boolean } default false. Also reset the resampler's filter state, so none of the
+	 *                                 audio fed before bleeds into what's fed next. The buffer is then cleared
+	 *                                 once data still being resampled has reached it, so that's dropped too
+	 * }
+	 *
+	 * @param { Object } options See above
 	 */
-	clearBuffer() {
-		this._backend.clearBuffer();
+	clearBuffer(options = {}) {
+		let fadeMs = options.fadeMs || 0;
+
+		if (this._reorderer !== null) this._reorderer.clear();
+
+		if (options.resetResampler) {
+			this._resampler.reset(fadeMs);
+		} else {
+			this._backend.clearBuffer(fadeMs);
+		}
 	}
 }
+
+/**
+ * Copies the bytes of encoded data, which the resampler decodes. processBatch() may transfer the buffer
+ * it's passed to another thread, which must not take the caller's buffer with it
+ *
+ * @param  { TypedArray|ArrayBuffer } data Encoded audio
+ * @return { Uint8Array }                  A copy of its bytes
+ */
+function copyBytes(data) {
+	if (ArrayBuffer.isView(data)) {
+		return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+	}
+	if (data instanceof ArrayBuffer) return new Uint8Array(data.slice(0));
+
+	throw Error(
+		`FeederNode.feed() must receive a TypedArray or an ArrayBuffer of ima-adpcm. You passed ${
+			data === null || data === undefined ? data : data.constructor.name
+		}`
+	);
+}
+
+/**
+ * Reads a ReadableStream or an async iterable, one chunk at a time
+ *
+ * @param  { ReadableStream|AsyncIterable } source See FeederNode.pipeFrom()
+ * @return { Object }                              { read() resolving with { done, value }, close() once
+ *                                                 done, and cancel(reason) to stop early }
+ */
+function openSource(source) {
+	if (source && typeof source.getReader === "function") {
+		let reader = source.getReader();
+
+		return {
+			read: () => reader.read(),
+			close: () => reader.releaseLock(),
+			cancel: (reason) => reader.cancel(reason).catch(() => {}), // rejects if the stream failed
+		};
+	}
+
+	if (source && typeof source[Symbol.asyncIterator] === "function") {
+		let iterator = source[Symbol.asyncIterator]();
+
+		return {
+			read: () => iterator.next(),
+			close: () => {},
+			cancel: () => {
+				if (typeof iterator.return === "function") Promise.resolve(iterator.return()).catch(() => {});
+			},
+		};
+	}
+
+	throw Error(
+		`FeederNode.pipeFrom() must receive a ReadableStream or an async iterable. You passed ${
+			source === null || source === undefined ? source : source.constructor.name
+		}`
+	);
+}
+
+/**
+ * Views a chunk of encoded audio as bytes
+ *
+ * @param  { TypedArray|ArrayBuffer } chunk A chunk of the source
+ * @return { Uint8Array }                   Its bytes, not copied
+ */
+function toBytes(chunk) {
+	if (ArrayBuffer.isView(chunk)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+	if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+
+	throw Error(
+		`FeederNode.pipeFrom() must receive chunks of bytes with a sampleFormat. You passed ${
+			chunk === null || chunk === undefined ? chunk : chunk.constructor.name
+		}`
+	);
+}
+
+/**
+ * Joins the partial frame left over from the last chunk to the next one, then splits off the whole
+ * frames. Either part is copied if need be, so that neither shares the chunk's buffer with the other
+ *
+ * @param  { TypedArray } data        The next chunk
+ * @param  { TypedArray } pending     The partial frame left over, or null
+ * @param  { Number }     frameLength Elements per frame
+ * @return { Array }                  [the whole frames, the partial frame left over or null]
+ */
+function splitFrames(data, pending, frameLength) {
+	if (pending !== null) {
+		let joined = new data.constructor(pending.length + data.length);
+		joined.set(pending);
+		joined.set(data, pending.length);
+		data = joined;
+	}
+
+	let nWhole = data.length - (data.length % frameLength);
+	if (nWhole === data.length) return [data, null];
+
+	return [data.slice(0, nWhole), data.slice(nWhole)];
+}
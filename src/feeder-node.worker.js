@@ -1,15 +1,52 @@
 import { create } from "@alexanderolsen/libsamplerate-js";
+import SharedRingBuffer from "./shared-ring-buffer.js";
+import ChannelMixer from "./channel-mixer.js";
+import ImaAdpcmDecoder from "./ima-adpcm.js";
+import LinearResampler from "./resampler.js";
+import {
+	getConverterDelay,
+	writeInterleavedToChannels,
+	writeChannelsToInterleaved,
+} from "./util.js";
 
 /** Port send data directly to audio thread */
 let backendPort = undefined;
+/** Buffer shared with the audio thread. Takes precedence over backendPort if set */
+let sharedBuffer = undefined;
 let resampler;
+/** Mixes resampled data to the backend's channel count, if it differs from the resampler's */
+let mixer = undefined;
+/** Decodes fed data before it's resampled, if it's in a format which depends on the rest of the stream */
+let decoder = undefined;
+/**
+ * Applies the drift compensation ratio scale after libsamplerate, whose ratio can only change by
+ * re-initializing it, which resets its filter state and clicks. This costs quality: linear interpolation
+ * low-passes by an amount which depends on where it interpolates between two samples (not at all on a
+ * sample, down to -3 dB at a quarter of the sample rate half way), and doesn't filter what it images. At
+ * a ratio this close to 1 that position sweeps slowly, so high frequencies waver in level. It's skipped
+ * while the scale is exactly 1: without driftCompensation, or while the smoothed buffer fill is within
+ * 0.05% of its target (see DriftController)
+ */
+let driftResampler;
 
 self.onmessage = async function (e) {
 	if (e.data.command == "feed") {
-		feed(e.data.data);
+		feed(e.data.data, e.data.meta);
 	} else if (e.data.command === "connect") {
 		// if using AudioWorklet as well, send data directly from this thread to Audio thread
 		backendPort = e.ports[0];
+	} else if (e.data.command === "useSharedBuffer") {
+		// if memory can be shared with the Audio thread, skip postMessage() altogether. Forwarded through
+		// backendPort so the Audio thread only switches buffers after receiving everything already posted
+		sharedBuffer = new SharedRingBuffer(
+			undefined,
+			undefined,
+			e.data.sharedBuffers
+		);
+		backendPort.postMessage({
+			command: "useSharedBuffer",
+			sharedBuffers: e.data.sharedBuffers,
+		});
 	} else if (e.data.command === "init") {
 		// this should be called immediately after loading this Worker
 		let converterType = e.data.converterType;
@@ -18,37 +55,157 @@ self.onmessage = async function (e) {
 		let outputSampleRate = e.data.outputSampleRate;
 		let pathToWasm = e.data.pathToWasm;
 
-		await init(
-			converterType,
-			nChannels,
-			inputSampleRate,
-			outputSampleRate,
-			pathToWasm
-		);
+		try {
+			await init(
+				converterType,
+				nChannels,
+				inputSampleRate,
+				outputSampleRate,
+				pathToWasm
+			);
+		} catch (err) {
+			// let the main thread reject createNode() instead of waiting forever
+			postMessage({ command: "initError", error: String(err) });
+			return;
+		}
 		postMessage({ command: "postInit" });
+	} else if (e.data.command === "setInputFormat") {
+		// only ima-adpcm is decoded here. Other formats are decoded on the main thread
+		decoder = new ImaAdpcmDecoder(e.data.options.nChannels, e.data.options.blockAlign);
+	} else if (e.data.command === "setOutputMatrix") {
+		mixer = new ChannelMixer(e.data.matrix);
+	} else if (e.data.command === "setRatioScale") {
+		setRatioScale(e.data.scale);
+	} else if (e.data.command === "reset") {
+		reset(e.data.fadeMs);
+	} else if (e.data.command === "flush") {
+		flush(e.data.withTail);
+	} else if (e.data.command === "destroy") {
+		destroy();
+		postMessage({ command: "destroyed" });
 	} else {
 		throw "received unrecognized command";
 	}
 };
 
+/**
+ * Decodes data if necessary, then resamples it and sends it to the backend for propagation
+ *
+ * @param { TypedArray } data Mono or interleaved audio data, with as many channels as the resampler. Raw
+ *                            bytes if a decoder has been set
+ * @param { Object }     meta Packet info ({ seq, timestamp, arrival }), passed along with the resampled data
+ */
+function feed(data, meta) {
+	if (resampler === undefined) return; // destroyed
+
+	resample(decoder === undefined ? new Float32Array(data) : decoder.decode(data), meta);
+}
+
 /**
  * Resamples data and sends it to the backend for propagation
  *
- * @param { Float32Array } data Mono or interleaved audio data
+ * @param { Float32Array } interleaved Mono or interleaved audio data, with as many channels as the resampler
+ * @param { Object }       meta        Packet info, passed along with the resampled data
  */
-function feed(data) {
-	let interleaved = new Float32Array(data);
+function resample(interleaved, meta) {
 	let resampled = resampler.full(interleaved);
+	if (driftResampler.ratioScale !== 1) {
+		let channels = writeInterleavedToChannels(resampled, resampler.nChannels);
+		resampled = writeChannelsToInterleaved(driftResampler.resample(channels));
+	}
+	if (mixer !== undefined) resampled = mixer.process(resampled);
 
-	if (backendPort == undefined) {
-		postMessage(resampled, [resampled.buffer]);
-	} else {
-		backendPort.postMessage({ command: "feed", data: resampled }, [
+	if (sharedBuffer !== undefined) {
+		// the Audio thread never sees data written here, so overflows are reported from this thread
+		let [, , nDropped] = sharedBuffer.write(resampled);
+		if (nDropped > 0) postMessage({ command: "overflow", nDropped: nDropped });
+	} else if (backendPort == undefined) {
+		postMessage({ command: "processed", data: resampled, meta: meta }, [
 			resampled.buffer,
 		]);
+	} else {
+		backendPort.postMessage(
+			{ command: "feed", data: resampled, meta: meta },
+			[resampled.buffer]
+		);
+	}
+}
+
+/**
+ * Scales the resampling ratio to compensate for clock drift
+ *
+ * @param { Number } scale Factor to scale the ratio by. 1 for no compensation
+ */
+function setRatioScale(scale) {
+	if (resampler === undefined) return; // destroyed
+
+	// don't interpolate from whatever was resampled the last time the scale wasn't 1
+	if (driftResampler.ratioScale === 1) driftResampler.reset();
+	driftResampler.ratioScale = scale;
+}
+
+/**
+ * Resets the sample rate converter's filter state, then has the backend's buffer cleared. Sent thru the
+ * same route as the data, so the clear arrives after everything resampled before the reset
+ *
+ * @param { Number } fadeMs Duration (ms) of the backend's fade out
+ */
+function reset(fadeMs) {
+	if (resampler === undefined) return; // destroyed
+
+	// the setter re-initializes libsamplerate
+	resampler.outputSampleRate = resampler.outputSampleRate;
+	driftResampler.reset();
+
+	if (backendPort === undefined) {
+		postMessage({ command: "reset", fadeMs: fadeMs });
+	} else {
+		backendPort.postMessage({ command: "clearBuffer", fadeMs: fadeMs });
 	}
 }
 
+/**
+ * Pushes silence thru the sample rate converter to flush the tail held back by its filter, then signals
+ * the end of the stream. Sent thru the same route as the data, so it arrives after all of it
+ *
+ * @param { Boolean } withTail false to skip flushing the tail
+ */
+function flush(withTail) {
+	if (resampler === undefined) return; // destroyed
+
+	if (withTail) {
+		let delay = getConverterDelay(
+			resampler.converterType,
+			resampler.inputSampleRate,
+			resampler.outputSampleRate
+		);
+		let nFrames = Math.ceil(delay * resampler.inputSampleRate);
+
+		if (nFrames > 0) resample(new Float32Array(nFrames * resampler.nChannels), undefined);
+	}
+
+	if (backendPort === undefined) {
+		postMessage({ command: "flushed" });
+	} else {
+		backendPort.postMessage({ command: "end" });
+	}
+}
+
+/**
+ * Frees the sample rate converter and closes the port to the audio thread
+ */
+function destroy() {
+	if (resampler !== undefined) resampler.destroy();
+	if (backendPort !== undefined) backendPort.close();
+
+	resampler = undefined;
+	driftResampler = undefined;
+	backendPort = undefined;
+	mixer = undefined;
+	decoder = undefined;
+	sharedBuffer = undefined;
+}
+
 /**
  * Load the sample rate converter WASM module and make it accessible module-wide
  *
@@ -64,4 +221,5 @@ async function init(
 		converterType: converterType,
 		wasmPath: wasmPath,
 	});
+	driftResampler = new LinearResampler(outputSampleRate, outputSampleRate, nChannels);
 }
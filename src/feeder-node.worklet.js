@@ -1,5 +1,8 @@
-import RingBuffer from "./ring-buffer.js";
-import AudioQueue from "./audio-queue.js";
+import createBuffer from "./buffer-factory.js";
+import SharedRingBuffer from "./shared-ring-buffer.js";
+import Concealer from "./concealer.js";
+import GainRamp from "./gain-ramp.js";
+import FadeTail from "./fade-tail.js";
 import { writeSilence } from "./util.js";
 import { BackendState, BufferType } from "./abstract-backend";
 
@@ -16,7 +19,20 @@ export default class WorkletProcessor extends AudioWorkletProcessor {
 		this.nChannels;
 		this.state = BackendState.UNINITIALIZED;
 		this._bufferType = BufferType.RING_BUFFER; // default to ring buffer
-		
+		this._destroyed = false;
+		this._nChunksFed = 0; // chunks received thru "feed" messages
+		this._nFramesPlayed = 0; // frames of buffered data played, excluding silence + concealment
+		this._nFramesCleared = 0; // frames of buffered data discarded by "clearBuffer"
+		this._drainRequest = null; // { threshold, nChunks } if the main thread is waiting for a drain
+		this._ending = false; // set by "end", from the main thread or the resampler worker
+		this._pausing = false; // set by "pause" while fading out
+		this._stateBeforePause = undefined;
+		this._fadeTail = null; // what "clearBuffer" cleared, fading out
+	}
+
+	/** The gain applied to the output. Exposed as AudioWorkletNode.parameters.get("gain") */
+	static get parameterDescriptors() {
+		return [{ name: "gain", defaultValue: 1, minValue: 0, automationRate: "a-rate" }];
 	}
 
 	/**
@@ -24,47 +40,106 @@ export default class WorkletProcessor extends AudioWorkletProcessor {
 	 *
 	 * @param {Array} inputs      An array containing 0 Float32Arrays. unused
 	 * @param {Array} outputs     An array containing this.nChannels Float32Arrays
-	 * @param {Object} parameters Object containing audio parameters. unused
+	 * @param {Object} parameters { gain }: 1 value if constant over this render quantum, else 1 per sample
 	 */
 	/* eslint-disable-next-line */
 	process(inputs, outputs, parameters) {
+		// returning false lets the browser garbage collect the processor
+		if (this._destroyed) return false;
+
 		this._updateState();
 	  
 		if (this.state === BackendState.PLAYING) {
+		  let nRead = Math.min(BATCH_SIZE, this._buffer.getNReadableSamples());
 		  this._buffer.read(BATCH_SIZE, outputs[0]);
+		  this._nFramesPlayed += nRead;
+
+		  // the end of the stream isn't a dropout, so pad the last batch with silence
+		  if (this._ending) writeSilence(outputs[0].map((out) => out.subarray(nRead)));
+		  else if (this._concealer) this._concealer.process(outputs[0], nRead);
+
+		  this._gainRamp.process(outputs[0]);
+		  if (this._pausing && !this._gainRamp.isRamping) this._enterPause();
+		} else if (this.state === BackendState.STARVED && this._concealer) {
+		  this._concealer.process(outputs[0], 0);
 		} else {
 		  writeSilence(outputs[0]);
 		}
+
+		if (this._fadeTail !== null) {
+		  this._fadeTail.mixInto(outputs[0]);
+		  if (this._fadeTail.isDone) this._fadeTail = null;
+		}
+
+		this._applyGain(outputs[0], parameters.gain);
+
+		this._checkDrain();
 	  
 		return true;
 	  }
 	
 
 
+	/**
+	 * Multiplies the output by the gain AudioParam, sample by sample if it's being automated
+	 *
+	 * @param {Array}        channels Output channels
+	 * @param {Float32Array} gain     1 value if constant over this render quantum, else 1 per sample
+	 */
+	_applyGain(channels, gain) {
+		if (gain.length === 1) {
+			if (gain[0] === 1) return;
+
+			for (let j = 0; j < channels.length; j++) {
+				for (let i = 0; i < channels[j].length; i++) channels[j][i] *= gain[0];
+			}
+		} else {
+			for (let j = 0; j < channels.length; j++) {
+				for (let i = 0; i < channels[j].length; i++) channels[j][i] *= gain[i];
+			}
+		}
+	}
+
 	/**
 	 * Changes state depending on how much data is available to read into AudioNode chain. If
 	 * WorkletProcess runs out of data, switches to STARVED; once it buffers enough data, switch
-	 * back to PLAYING
+	 * back to PLAYING. After end(), runs out of data into ENDED instead
 	 */
 	_updateState() {
 		let staleState = this.state;
 
 		switch (this.state) {
 			case BackendState.UNINITIALIZED:
+			case BackendState.PAUSED:
 				return;
 			case BackendState.PLAYING:
 				if (this._buffer.getNReadableSamples() === 0)
-					this.state = BackendState.STARVED;
+					this.state = this._ending ? BackendState.ENDED : BackendState.STARVED;
 				break;
 			case BackendState.READY:
 			case BackendState.STARVED:
-				if (this._buffer.getNReadableSamples() >= this.bufferThreshold)
+				// once ending, play out whatever is left, even if it's below the threshold
+				if (this._ending)
+					this.state = this._buffer.getNReadableSamples() > 0
+						? BackendState.PLAYING
+						: BackendState.ENDED;
+				else if (this._buffer.getNReadableSamples() >= this.bufferThreshold)
 					this.state = BackendState.PLAYING;
 				break;
 			default:
 		}
 
 		if (staleState != this.state) this._notifyStateChange();
+		if (this._pausing && this.state !== BackendState.PLAYING) this._endPauseFade();
+	}
+
+	/**
+	 * Called when the buffer runs dry during a pause fade out, which only advances while playing. Pauses
+	 * straight away if starved. After the end of the stream there's nothing left to pause
+	 */
+	_endPauseFade() {
+		if (this.state === BackendState.STARVED) this._enterPause();
+		else this._pausing = false;
 	}
 
 	/**
@@ -81,31 +156,126 @@ export default class WorkletProcessor extends AudioWorkletProcessor {
 	 * @param {Event} e https://developer.mozilla.org/en-US/docs/Web/API/MessagePort
 	 */
 	_onMessage(e) {
+		if (this._destroyed) return;
+
 		let data = e.data;
 		let command = data.command;
 
 		if (command === "init") {
 			this._bufferType = data.bufferType;
-			this._init(data.bufferLength, data.nChannels, data.bufferThreshold);
+			this._init(
+				data.bufferLength,
+				data.nChannels,
+				data.bufferThreshold,
+				data.bufferOptions,
+				data.concealment
+			);
 		} else if (command === "feed") {
-			this._feed(data.data);
+			this._feed(data.data, data.meta);
 		} else if (command === "setBufferThreshold") {
 			this.bufferThreshold = data.threshold;
 		} else if (command === "connect") {
-			e.ports[0].onmessage = this._onMessage.bind(this);
+			this._resamplerPort = e.ports[0];
+			this._resamplerPort.onmessage = this._onMessage.bind(this);
+		} else if (command === "useSharedBuffer") {
+			this._useSharedBuffer(data.sharedBuffers);
+		} else if (command === "requestDrain") {
+			this._drainRequest = { threshold: data.threshold, nChunks: data.nChunks };
+			this._checkDrain();
+		} else if (command === "pause") {
+			this.pause(data.fadeMs);
+		} else if (command === "resume") {
+			this.resume(data.fadeMs);
+		} else if (command === "end") {
+			this._ending = true;
 		} else if (command === "getBufferFill") {
 			this._sendBufferFill(data.callbackId);
 		} else if (command === "clearBuffer") {
-			if (this._buffer) {
-				this._buffer.clear();
-			}
+			this._clearBuffer(data.fadeMs);
+		} else if (command === "destroy") {
+			this._destroy();
 		} else {
 			throw Error("command not specified");
 		}
 	}
 
 	/**
-	 * Sends the current buffer fill level back to the main thread
+	 * Stops reading from the buffer until resume(). Called thru the "pause" command
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade out. 0 to pause straight away
+	 */
+	pause(fadeMs = 0) {
+		if (this.state === BackendState.PLAYING && fadeMs > 0) {
+			// PAUSED once the fade out completes
+			this._pausing = true;
+			this._gainRamp.rampTo(0, fadeMs);
+		} else if (
+			this.state === BackendState.READY ||
+			this.state === BackendState.PLAYING ||
+			this.state === BackendState.STARVED
+		) {
+			this._enterPause();
+		}
+	}
+
+	/**
+	 * Undoes pause(). Called thru the "resume" command
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade in. 0 to resume at full volume straight away
+	 */
+	resume(fadeMs = 0) {
+		if (this._pausing) {
+			// still fading out: fade back in from wherever the fade out got to
+			this._pausing = false;
+			this._gainRamp.rampTo(1, fadeMs);
+		} else if (this.state === BackendState.PAUSED) {
+			this.state = this._stateBeforePause;
+			this._gainRamp.rampTo(1, this.state === BackendState.PLAYING ? fadeMs : 0);
+			this._notifyStateChange();
+		}
+	}
+
+	/**
+	 * Moves to PAUSED, remembering the state to return to on resume()
+	 */
+	_enterPause() {
+		this._pausing = false;
+		this._stateBeforePause = this.state;
+		this._gainRamp.rampTo(0, 0);
+		this.state = BackendState.PAUSED;
+		this._notifyStateChange();
+	}
+
+	/**
+	 * Clears all audio data from the buffer. If playing, the first `fadeMs` of the cleared data are still
+	 * played, fading out, so that playback doesn't stop with a click
+	 *
+	 * @param {Number} fadeMs Duration (ms) of the fade out. 0 (or undefined) to stop straight away
+	 */
+	_clearBuffer(fadeMs = 0) {
+		if (!this._buffer) return;
+
+		// counted as they're discarded, since a SharedRingBuffer may hold more than getNReadableSamples()
+		let nCleared = 0;
+
+		if (fadeMs > 0 && this.state === BackendState.PLAYING) {
+			let nSamples = Math.min(
+				Math.round((fadeMs / 1000) * sampleRate),
+				this._buffer.getNReadableSamples()
+			);
+
+			if (nSamples > 0) {
+				this._fadeTail = new FadeTail(this._buffer.read(nSamples), sampleRate, fadeMs);
+				nCleared = nSamples;
+			}
+		}
+
+		this._nFramesCleared += nCleared + this._buffer.clear();
+		if (this._concealer) this._concealer.reset();
+	}
+
+	/**
+	 * Sends the current buffer fill level, state and counters back to the main thread
 	 * 
 	 * @param {number} callbackId Optional ID to identify the callback on the main thread
 	 */
@@ -118,19 +288,57 @@ export default class WorkletProcessor extends AudioWorkletProcessor {
 		this.port.postMessage({
 			command: "bufferFillUpdate",
 			bufferFill: bufferFill,
+			nChunksWritten: this._getNChunksWritten(),
+			nFramesPlayed: this._nFramesPlayed,
+			nFramesCleared: this._nFramesCleared,
+			state: this.state,
 			callbackId: callbackId
 		});
 	}
 
+	/**
+	 * Number of chunks written to the buffer so far, whether posted or written to a shared buffer
+	 *
+	 * @return {Number} The number of chunks written
+	 */
+	_getNChunksWritten() {
+		if (this._buffer instanceof SharedRingBuffer)
+			return this._nChunksFed + this._buffer.nWrites;
+
+		return this._nChunksFed;
+	}
+
+	/**
+	 * Tells the main thread that the buffer has drained, if a drain was requested and its conditions are met
+	 */
+	_checkDrain() {
+		let request = this._drainRequest;
+		if (request === null || !this._buffer) return;
+
+		let nChunksWritten = this._getNChunksWritten();
+		let bufferFill = this._buffer.getNReadableSamples();
+
+		if (nChunksWritten >= request.nChunks && bufferFill < request.threshold) {
+			this._drainRequest = null;
+			this.port.postMessage({
+				command: "drain",
+				bufferFill: bufferFill,
+				nChunksWritten: nChunksWritten,
+			});
+		}
+	}
+
 	/**
 	 * Queues audio data to be played back
 	 *
 	 * @param {Float32Array} float32Array interleaved (if channels > 0) audio data
+	 * @param {Object}       meta         Packet info ({ seq, timestamp, arrival }). Only used by JitterBuffer
 	 */
-	_feed(float32Array) {
+	_feed(float32Array, meta) {
 
 		// Normal path - write to buffer
-		let [didResize, bufferLength] = this._buffer.write(float32Array);
+		let [didResize, bufferLength, nDropped] = this._buffer.write(float32Array, meta);
+		this._nChunksFed++;
 
 		if (didResize) {
 
@@ -139,9 +347,39 @@ export default class WorkletProcessor extends AudioWorkletProcessor {
 				bufferLength: bufferLength,
 			});
 		}
+
+		if (nDropped > 0) {
+			this.port.postMessage({ command: "overflow", nDropped: nDropped });
+		}
 		
 		// Send buffer fill update after adding new data
 		this._sendBufferFill();
+		this._checkDrain();
+	}
+
+	/**
+	 * Switches to reading from a buffer shared with the resampler worker. The worker forwards this
+	 * through the resampler port, after any data it already posted, and writes to the shared buffer
+	 * directly from then on, so "feed" messages stop arriving.
+	 *
+	 * @param {Object} sharedBuffers The `sharedBuffers` of a SharedRingBuffer created on the main thread
+	 */
+	_useSharedBuffer(sharedBuffers) {
+		this._buffer = new SharedRingBuffer(undefined, undefined, sharedBuffers);
+	}
+
+	/**
+	 * Releases the buffer and the port to the resampler, then stops processing
+	 */
+	_destroy() {
+		if (this._resamplerPort !== undefined) this._resamplerPort.close();
+
+		this._resamplerPort = undefined;
+		this._buffer = undefined;
+		this._destroyed = true;
+		this.state = BackendState.UNINITIALIZED;
+
+		this.port.postMessage({ command: "destroyed" });
 	}
 
 	/**
@@ -150,14 +388,23 @@ export default class WorkletProcessor extends AudioWorkletProcessor {
 	 * @param {Number} bufferLength    the length of the buffer
 	 * @param {Number} nChannels       the number of outputs channels
 	 * @param {Number} bufferThreshold # of samples (per channel) to queue before transmission to output begins
+	 * @param {Object} bufferOptions   Type-specific buffer options. See buffer-factory.js
+	 * @param {Object} concealment     { fadeMs } to conceal dropouts when starved. Falsy to play silence instead
 	 */
-	_init(bufferLength, nChannels, bufferThreshold) {
-		// Create the appropriate buffer based on type
-		if (this._bufferType === BufferType.FIFO_QUEUE) {
-			this._buffer = new AudioQueue(bufferLength, nChannels);
-		} else {
-			this._buffer = new RingBuffer(bufferLength, nChannels);
+	_init(bufferLength, nChannels, bufferThreshold, bufferOptions, concealment) {
+		this._buffer = createBuffer(
+			this._bufferType,
+			bufferLength,
+			nChannels,
+			sampleRate,
+			bufferOptions
+		);
+
+		if (concealment) {
+			this._concealer = new Concealer(nChannels, sampleRate, concealment.fadeMs);
 		}
+
+		this._gainRamp = new GainRamp(sampleRate);
 		
 		this.bufferThreshold = bufferThreshold;
 		this.state = BackendState.READY;
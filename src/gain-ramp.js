@@ -0,0 +1,79 @@
+/**
+ * Applies a gain to played audio, and ramps it linearly to a new value, e.g. to fade out before pausing
+ * instead of cutting the audio off with a click
+ */
+export default class GainRamp {
+	/**
+	 * Constructor
+	 *
+	 * @param { Number } sampleRate Sample rate of the played audio
+	 * @param { Number } gain       The initial gain
+	 */
+	constructor(sampleRate, gain = 1) {
+		this._sampleRate = sampleRate;
+		this._gain = gain;
+		this._target = gain;
+		this._step = 0;
+	}
+
+	/** The current gain */
+	get gain() {
+		return this._gain;
+	}
+
+	/** Whether the gain is still moving towards the target passed to rampTo() */
+	get isRamping() {
+		return this._gain !== this._target;
+	}
+
+	/**
+	 * Starts ramping from the current gain to `target`. Replaces any ramp in progress
+	 *
+	 * @param { Number } target The gain to ramp to
+	 * @param { Number } fadeMs Duration (ms) of the ramp. 0 to jump to `target` straight away
+	 */
+	rampTo(target, fadeMs) {
+		let length = Math.round((fadeMs / 1000) * this._sampleRate);
+
+		this._target = target;
+
+		if (length < 1) {
+			this._gain = target;
+			this._step = 0;
+		} else {
+			this._step = (target - this._gain) / length;
+		}
+	}
+
+	/**
+	 * Applies the gain to channels in place, advancing the ramp by one step per sample
+	 *
+	 * @param { Array } channels Output channels, all the same length
+	 */
+	process(channels) {
+		if (!this.isRamping && this._gain === 1) return;
+
+		let length = channels[0].length;
+
+		for (let i = 0; i < length; i++) {
+			if (this.isRamping) this._advance();
+
+			for (let j = 0; j < channels.length; j++) {
+				channels[j][i] *= this._gain;
+			}
+		}
+	}
+
+	/**
+	 * Moves the gain one step towards the target, without overshooting it
+	 */
+	_advance() {
+		let next = this._gain + this._step;
+
+		if ((this._step > 0 && next >= this._target) || (this._step < 0 && next <= this._target)) {
+			this._gain = this._target;
+		} else {
+			this._gain = next;
+		}
+	}
+}
@@ -0,0 +1,162 @@
+// how much the step index moves after each 4-bit code, by the code's magnitude (its low 3 bits)
+const INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8];
+
+// quantizer step size for each of the 89 step indexes
+const STEP_TABLE = [
+	7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45, 50, 55, 60, 66, 73, 80,
+	88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230, 253, 279, 307, 337, 371, 408, 449, 494, 544,
+	598, 658, 724, 796, 876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749,
+	3024, 3327, 3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442, 11487, 12635,
+	13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794, 32767,
+];
+
+/**
+ * Decodes a stream of IMA/DVI ADPCM to Float32, 4 bits per sample. Keeps the predictor + step index of
+ * each channel, and any partial block, between calls to decode(), so a stream can be decoded in chunks of
+ * any size.
+ *
+ * Two framings are supported:
+ * - continuous: a headerless stream of 4-bit codes, low nibble first, interleaved sample by sample
+ * - block-based, as in WAV files: each block of `blockAlign` bytes starts with a 4 byte header per channel
+ *   (16-bit little-endian predictor, step index, reserved), which is also the first sample. The codes
+ *   follow in groups of 4 bytes (8 samples) per channel, low nibble first
+ */
+export default class ImaAdpcmDecoder {
+	/**
+	 * Constructor
+	 *
+	 * @param { Number } nChannels  The number of interleaved channels
+	 * @param { Number } blockAlign Bytes per block (WAV's nBlockAlign), or 0 for continuous framing
+	 */
+	constructor(nChannels, blockAlign = 0) {
+		// each block holds a header, then whole groups of 4 bytes, per channel
+		let headerLength = 4 * nChannels;
+		if (
+			blockAlign > 0 &&
+			(blockAlign <= headerLength || (blockAlign - headerLength) % headerLength !== 0)
+		)
+			throw `invalid blockAlign ${blockAlign} for ${nChannels} channels`;
+
+		this.nChannels = nChannels;
+		this.blockAlign = blockAlign;
+
+		this.reset();
+	}
+
+	/**
+	 * Forgets the state kept between calls: resets each channel's predictor + step index, and drops any
+	 * partial block
+	 */
+	reset() {
+		this._predictors = new Int32Array(this.nChannels);
+		this._stepIndexes = new Int32Array(this.nChannels);
+		this._channel = 0; // channel of the next code, in continuous framing
+		this._pending = new Uint8Array(0); // start of a block, in block-based framing
+	}
+
+	/**
+	 * Decodes the next chunk of the stream
+	 *
+	 * @param  { Uint8Array|ArrayBuffer } bytes The next bytes of the stream
+	 * @return { Float32Array }                 The decoded, interleaved samples, scaled to -1 < n < 1
+	 */
+	decode(bytes) {
+		if (!ArrayBuffer.isView(bytes)) {
+			bytes = new Uint8Array(bytes);
+		} else if (!(bytes instanceof Uint8Array)) {
+			bytes = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		}
+
+		if (this.blockAlign > 0) return this._decodeBlocks(bytes);
+
+		let decoded = new Float32Array(bytes.length * 2);
+
+		for (let i = 0; i < bytes.length; i++) {
+			decoded[2 * i] = this._decodeCode(bytes[i] & 0x0f) / 32767;
+			decoded[2 * i + 1] = this._decodeCode(bytes[i] >> 4) / 32767;
+		}
+
+		return decoded;
+	}
+
+	/**
+	 * Decodes every whole block in `bytes`, after any partial block left over by the previous call. Keeps
+	 * what's left over for next time
+	 *
+	 * @param  { Uint8Array } bytes The next bytes of the stream
+	 * @return { Float32Array }     The decoded, interleaved samples
+	 */
+	_decodeBlocks(bytes) {
+		if (this._pending.length > 0) {
+			let joined = new Uint8Array(this._pending.length + bytes.length);
+			joined.set(this._pending);
+			joined.set(bytes, this._pending.length);
+			bytes = joined;
+		}
+
+		let nChannels = this.nChannels;
+		let nBlocks = Math.floor(bytes.length / this.blockAlign);
+		let framesPerBlock = ((this.blockAlign - 4 * nChannels) * 2) / nChannels + 1;
+		let decoded = new Float32Array(nBlocks * framesPerBlock * nChannels);
+		let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+		for (let block = 0; block < nBlocks; block++) {
+			let offset = block * this.blockAlign;
+			let firstFrame = block * framesPerBlock;
+
+			// the header of each channel sets its state, and is its first sample
+			for (let c = 0; c < nChannels; c++) {
+				this._predictors[c] = view.getInt16(offset + 4 * c, true);
+				this._stepIndexes[c] = Math.min(Math.max(bytes[offset + 4 * c + 2], 0), 88);
+				decoded[firstFrame * nChannels + c] = this._predictors[c] / 32767;
+			}
+
+			let pos = offset + 4 * nChannels;
+
+			for (let frame = firstFrame + 1; pos < offset + this.blockAlign; frame += 8) {
+				for (let c = 0; c < nChannels; c++) {
+					this._channel = c;
+
+					for (let i = 0; i < 4; i++, pos++) {
+						let sample = frame + 2 * i;
+						let low = this._decodeCode(bytes[pos] & 0x0f, false);
+						let high = this._decodeCode(bytes[pos] >> 4, false);
+
+						decoded[sample * nChannels + c] = low / 32767;
+						decoded[(sample + 1) * nChannels + c] = high / 32767;
+					}
+				}
+			}
+		}
+
+		this._pending = bytes.slice(nBlocks * this.blockAlign);
+
+		return decoded;
+	}
+
+	/**
+	 * Decodes one 4-bit code of the current channel, updating its predictor + step index
+	 *
+	 * @param  { Number }  code        The 4-bit code
+	 * @param  { Boolean } interleaved Whether to move on to the next channel afterwards, as in continuous
+	 *                                 framing
+	 * @return { Number }              The decoded 16-bit sample
+	 */
+	_decodeCode(code, interleaved = true) {
+		let c = this._channel;
+		let step = STEP_TABLE[this._stepIndexes[c]];
+
+		let diff = step >> 3;
+		if (code & 1) diff += step >> 2;
+		if (code & 2) diff += step >> 1;
+		if (code & 4) diff += step;
+
+		let predictor = this._predictors[c] + (code & 8 ? -diff : diff);
+		this._predictors[c] = Math.min(Math.max(predictor, -32768), 32767);
+		this._stepIndexes[c] = Math.min(Math.max(this._stepIndexes[c] + INDEX_TABLE[code & 7], 0), 88);
+
+		if (interleaved) this._channel = (c + 1) % this.nChannels;
+
+		return this._predictors[c];
+	}
+}
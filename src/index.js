@@ -5,12 +5,33 @@ import createAudioWorklet from "./audio-worklet-backend";
 import createWorkerResampler from "./worker-resampler";
 
 import FeederNode from "./feeder-node";
-import { BufferType } from "./abstract-backend";
+import {
+	BackendState,
+	BufferType,
+	ChannelLayout,
+	CHANNEL_LAYOUT_SIZES,
+	OverflowPolicy,
+	defaultChannelLayout,
+} from "./abstract-backend";
+import { AssetType, LoadError } from "./load-error";
+import getDefaultAssetPaths, { releaseDefaultAssetPaths } from "./default-assets";
+import { ChannelMix, createChannelMatrix } from "./channel-mixer";
+import { SampleFormat } from "./util";
+import WavStreamParser from "./wav-stream-parser";
 
 import { ConverterType } from "@alexanderolsen/libsamplerate-js";
 
 // The batch sizes which ScriptProcessorNode supports. AudioWorklet only support 128.
 const VALID_BATCH_SIZES = [128, 256, 512, 1024, 2048, 4096, 8192, 16384];
+// The most output channels ScriptProcessorNode supports, whatever the destination's maxChannelCount
+const MAX_SCRIPT_PROCESSOR_CHANNELS = 32;
+
+/** What createNode() does when the preferred backend or resampler fails to initialize */
+export const Fallback = {
+	AUTO: "auto", // fall back to ScriptProcessorBackend and/or MainThreadResampler
+	NONE: "none", // reject with the LoadError
+};
+Object.freeze(Fallback);
 
 /**
  * Creates a new instance of FeederNode
@@ -20,25 +41,67 @@ const VALID_BATCH_SIZES = [128, 256, 512, 1024, 2048, 4096, 8192, 16384];
  *     batchSize:           { Number } default 512. Stuck at 128 for `AudioWorklet`s
  *     bufferThreshold:     { Number } default 4096. Number of samples to buffer before propagating to destination
  *     bufferLength:        { Number } default 192000. Length of buffer. See ring-buffer.js for more
- *     bufferType:          { String } default 'ring_buffer'. Type of buffer to use ('ring_buffer' or 'fifo_queue')
+ *     bufferType:          { String } default 'ring_buffer'. Type of buffer to use ('ring_buffer', 'fifo_queue' or 'jitter_buffer')
+ *     overflowPolicy:      { String } What the ring buffer or FIFO queue does with data which doesn't fit ('grow', 'drop-oldest', 'drop-newest' or 'reject').
+ *                                     default for a FIFO queue 'grow', or 'drop-oldest' with a bufferLength. The ring buffer has none by default:
+ *                                     it grows to fit a chunk longer than itself, and otherwise writes over unread data, reporting it as dropped
+ *     highWaterMark:       { Number } default bufferLength / 2. Buffer fill (samples per channel) at which feed() starts returning false
+ *     jitterMinDelay:      { Number } default 20. Lowest target delay (ms) of the jitter buffer, and the most audio (ms)
+ *                                     which may queue up behind a missing packet before it's skipped
+ *     jitterMaxDelay:      { Number } default 500. Highest target delay (ms) of the jitter buffer
+ *     concealment:         { Boolean } default false. Conceal dropouts by repeating + fading out the last audio
+ *     concealmentFadeMs:   { Number } default 60. Time (ms) over which concealment fades to silence
+ *     driftCompensation:   { Boolean } default false. Nudge the resampling ratio to hold the buffer fill at targetBufferFill
+ *     targetBufferFill:    { Number } default bufferThreshold. Buffer fill (samples per channel) which drift compensation holds
  *     resampConverterType: { Number } default ConverterType.SRC_SINC_FASTEST. See http://www.mega-nerd.com/SRC/api_misc.html#Converters
  *     inputSampleRate:     { Number } default context.sampleRate
- *     pathToWorklet:       { String } default '/feeder-node.processor.js'. See README for more
- *     pathToWorker:        { String } default '/feeder-node.worker.js'. See README for more
- *     pathToWasm:          { String } default '/feeder-node.wasm.js'. See README for more
+ *     pathToWorklet:       { String } default '/feeder-node.processor.js', or embedded in feeder-node.inline.js. See README for more
+ *     pathToWorker:        { String } default '/feeder-node.worker.js', or embedded in feeder-node.inline.js. See README for more
+ *     pathToWasm:          { String } default '/feeder-node.wasm.js', or embedded in feeder-node.inline.js. See README for more
+ *     initTimeout:         { Number } default 10000. Time (ms) to wait for the worklet/worker/wasm to load
+ *     fallback:            { String } default 'auto'. What to do if the worklet/worker/wasm fail to load ('auto' or 'none')
+ *     channelLayout:       { String } default 'mono', 'stereo', 'quad' or '5.1' if outputChannels matches, otherwise 'discrete'
+ *     inputChannels:       { Number } default nChannels. The number of channels fed
+ *     outputChannels:      { Number } default nChannels. The number of channels played. At most context.destination.maxChannelCount, and 32 with ScriptProcessorNode
+ *     channelMatrix:       { Array|String } Mixes inputChannels to outputChannels: outputChannels rows of inputChannels gains,
+ *                                     or one of ChannelMix. default duplicates mono, averages down to mono, otherwise 'discrete'
+ *     sampleFormat:        { String } One of SampleFormat. feed() then decodes raw PCM bytes (ArrayBuffers or TypedArrays) in this format
+ *     blockAlign:          { Number } default 0. For 'ima-adpcm', bytes per block (WAV's nBlockAlign), or 0 for a continuous stream
  * }
  *
  * @param  { AudioContext } context   The parent audio context.
- * @param  { Number }       nChannels The number of input and output channels.
+ * @param  { Number }       nChannels The number of input and output channels, unless inputChannels/outputChannels are given
  * @param  { Object }       options   See above
  * @return { Promise }                Promise which resolves with a FeederNode instance or rejects with error message.
+ *                                    If one of the helper files fails to load and `fallback` is 'none', rejects
+ *                                    with a LoadError
  */
 export async function createNode(context, nChannels, options = {}) {
 	let batchSize =
 		options.batchSize || (window.AudioWorklet !== undefined ? 128 : 512);
-	let bufferThreshold = options.bufferThreshold || 4096;
-	let bufferLength = options.bufferLength || 192000;
 	let bufferType = options.bufferType || BufferType.RING_BUFFER;
+	// the jitter buffer holds playback back by itself, based on measured jitter
+	let bufferThreshold =
+		options.bufferThreshold ||
+		(bufferType === BufferType.JITTER_BUFFER ? 128 : 4096);
+	let bufferLength = options.bufferLength || 192000;
+	// a FIFO queue grows without limit, unless the caller bounds it. Without a policy, the ring buffer keeps
+	// its original behaviour (see RingBuffer.write())
+	let overflowPolicy = options.overflowPolicy || null;
+	if (overflowPolicy === null && bufferType === BufferType.FIFO_QUEUE)
+		overflowPolicy =
+			options.bufferLength === undefined ? OverflowPolicy.GROW : OverflowPolicy.DROP_OLDEST;
+	let bufferOptions = {
+		overflowPolicy: overflowPolicy,
+		minDelay: options.jitterMinDelay === undefined ? 20 : options.jitterMinDelay,
+		maxDelay: options.jitterMaxDelay === undefined ? 500 : options.jitterMaxDelay,
+	};
+	let concealment = options.concealment
+		? { fadeMs: options.concealmentFadeMs || 60 }
+		: null;
+	let highWaterMark = options.highWaterMark || bufferLength / 2;
+	let driftCompensation = !!options.driftCompensation;
+	let targetBufferFill = options.targetBufferFill || bufferThreshold;
 	let converterType =
 		options.resampConverterType === undefined
 			? ConverterType.SRC_SINC_FASTEST
@@ -46,51 +109,107 @@ export async function createNode(context, nChannels, options = {}) {
 	let inputSampleRate = options.inputSampleRate || context.sampleRate;
 	let outputSampleRate = context.sampleRate;
 
-	let pathToWorklet = options.pathToWorklet || "/feeder-node.worklet.js";
-	let pathToWorker = options.pathToWorker || "/feeder-node.worker.js";
-	let pathToWasm = options.pathToWasm || "/libsamplerate.wasm";
-	
+	let initTimeout = options.initTimeout === undefined ? 10000 : options.initTimeout;
+	let fallback = options.fallback || Fallback.AUTO;
+	let inputChannels = options.inputChannels || nChannels;
+	let outputChannels = options.outputChannels || nChannels;
+	let channelLayout = options.channelLayout || defaultChannelLayout(outputChannels);
+	let blockAlign = options.blockAlign || 0;
 
 	validate(
-		nChannels,
+		outputChannels,
+		context.destination.maxChannelCount,
+		channelLayout,
+		inputChannels,
+		options.channelMatrix,
+		options.sampleFormat,
+		blockAlign,
 		batchSize,
 		bufferThreshold,
 		bufferLength,
 		converterType,
 		inputSampleRate,
-		bufferType
+		bufferType,
+		bufferOptions,
+		concealment,
+		targetBufferFill,
+		highWaterMark,
+		initTimeout,
+		fallback
 	);
 
-	// **BACKEND MUST BE CREATED FIRST.** After `createSampler`'s async initialization,  touch events in Safari
-	// are no longer active and therefore `ScriptProcessorNode`s won't initialize correctly
-	let backend = await createBackend(
-		context,
-		nChannels,
-		batchSize,
-		bufferLength,
-		bufferThreshold,
-		pathToWorklet,
-		bufferType
-	);
-	let resampler = await createResampler(
-		nChannels,
-		inputSampleRate,
-		outputSampleRate,
-		converterType,
-		pathToWorker,
-		pathToWasm
-	);
+	// records which backend + resampler were picked, and why
+	let implementation = { backend: undefined, resampler: undefined, fallbacks: [] };
+
+	let defaultPaths = getDefaultAssetPaths(options);
+	let pathToWorklet = options.pathToWorklet || defaultPaths.pathToWorklet;
+	let pathToWorker = options.pathToWorker || defaultPaths.pathToWorker;
+	let pathToWasm = options.pathToWasm || defaultPaths.pathToWasm;
+	let backend;
+	let resampler;
+
+	try {
+		// **BACKEND MUST BE CREATED FIRST.** After `createSampler`'s async initialization,  touch events in Safari
+		// are no longer active and therefore `ScriptProcessorNode`s won't initialize correctly
+		backend = await createBackend(
+			context,
+			outputChannels,
+			batchSize,
+			bufferLength,
+			bufferThreshold,
+			pathToWorklet,
+			bufferType,
+			bufferOptions,
+			concealment,
+			initTimeout,
+			fallback,
+			implementation
+		);
+		// the channels are mixed before resampling if that removes channels, otherwise after. ADPCM is decoded
+		// by the resampler, so can only be mixed after
+		resampler = await createResampler(
+			options.sampleFormat === SampleFormat.IMA_ADPCM
+				? inputChannels
+				: Math.min(inputChannels, outputChannels),
+			inputSampleRate,
+			outputSampleRate,
+			converterType,
+			pathToWorker,
+			pathToWasm,
+			initTimeout,
+			fallback,
+			implementation
+		);
+	} catch (err) {
+		// the resampler failed, so nothing else will release the backend's node and port
+		if (backend !== undefined) backend.destroy();
+		throw err;
+	} finally {
+		releaseDefaultAssetPaths(defaultPaths);
+	}
+
+	let feederNode = new FeederNode(resampler, backend, {
+		implementation,
+		driftCompensation,
+		targetBufferFill,
+		overflowPolicy,
+		highWaterMark,
+		channelLayout,
+		inputChannels,
+		channelMatrix: createChannelMatrix(options.channelMatrix, inputChannels, outputChannels),
+		sampleFormat: options.sampleFormat,
+		blockAlign,
+		maxReorderDelay: bufferOptions.minDelay,
+	});
 
-	let feederNode = new FeederNode(resampler, backend);
-	
-	
 	return feederNode;
 }
 
 
 /**
  * Creates a new instance of FeederNode with a FIFO queue buffer (consume once behavior)
- * This is a convenience method that calls createNode with the appropriate buffer type.
+ * This is a convenience method that calls createNode with the appropriate buffer type. The queue grows
+ * without limit, unless options has a bufferLength or overflowPolicy.
  *
  * @param  { AudioContext } context   The parent audio context.
  * @param  { Number }       nChannels The number of input and output channels.
@@ -104,29 +223,172 @@ export async function createQueueNode(context, nChannels, options = {}) {
 	return createNode(context, nChannels, options);
 }
 
+/**
+ * Creates a FeederNode configured from the header of a WAV stream, then feeds it the rest of the stream
+ * thru pipeFrom(), which pauses reading whenever the buffer is full and calls end() once the stream is
+ * done. Errors reading or parsing the rest of the stream are dispatched as `error` events.
+ *
+ * @param  { AudioContext }   context  The parent audio context.
+ * @param  { ReadableStream } readable The bytes of the WAV file, e.g. the body of a fetch() Response
+ * @param  { Object }         options  Same as createNode options. The channel count, inputSampleRate,
+ *                                     sampleFormat and blockAlign are read from the header
+ * @return { Promise }                 Promise which resolves with a FeederNode instance once the header has
+ *                                     been read. Rejects if the stream isn't a supported WAV file, or ends
+ *                                     before its header does
+ */
+export async function createNodeFromWavStream(context, readable, options = {}) {
+	let parser = new WavStreamParser();
+	let reader = readable.getReader();
+
+	// samples which arrive with the header are fed once the node has been created
+	let headerData = [];
+	parser.onData = (bytes) => headerData.push(bytes.slice());
+
+	let feederNode;
+
+	try {
+		while (parser.format === null) {
+			let { done, value } = await reader.read();
+			if (done) throw "WAV stream ended before its fmt chunk";
+
+			parser.push(value);
+		}
+
+		let format = parser.format;
+		feederNode = await createNode(
+			context,
+			format.nChannels,
+			Object.assign({}, options, {
+				inputSampleRate: format.sampleRate,
+				sampleFormat: format.sampleFormat,
+				blockAlign: format.sampleFormat === SampleFormat.IMA_ADPCM ? format.blockAlign : 0,
+			})
+		);
+	} catch (err) {
+		reader.cancel(err).catch(() => {}); // rejects if the stream itself failed
+		throw err;
+	}
+
+	// pipeFrom() decodes with the node's sampleFormat, which is the stream's. It dispatches its errors as
+	// error events, so the rejection needs no handling here
+	feederNode.pipeFrom(readWavData(parser, reader, headerData)).catch(() => {});
+
+	return feederNode;
+}
+
+/**
+ * Reads the samples of the rest of a WAV stream
+ *
+ * @param { WavStreamParser }      parser     Has parsed the stream's header
+ * @param { ReadableStreamReader } reader     Reads the rest of the stream
+ * @param { Array }                headerData Samples which were parsed along with the header
+ * @yield { Uint8Array }                      The bytes of whole sample frames (or ADPCM blocks)
+ */
+async function* readWavData(parser, reader, headerData) {
+	let chunks = headerData;
+	let isDone = false;
+
+	parser.onData = (bytes) => chunks.push(bytes.slice());
+	parser.onEnd = () => (isDone = true);
+
+	try {
+		for (;;) {
+			while (chunks.length > 0) yield chunks.shift();
+			if (isDone) return;
+
+			let { done, value } = await reader.read();
+			if (done) return;
+
+			parser.push(value);
+		}
+	} finally {
+		// anything after the data chunk (e.g. metadata) isn't needed, and pipeFrom() may have stopped early
+		reader.cancel().catch(() => {});
+	}
+}
+
 /**
  * Validate input used to create an FeederNode
  *
- * @param { Number } nChannels       The number of input and output channels
+ * @param { Number } nChannels       The number of output channels
+ * @param { Number } maxChannelCount The most channels the destination supports
+ * @param { String } channelLayout   One of ChannelLayout
+ * @param { Number } inputChannels   The number of input channels
+ * @param { Array }  channelMatrix   nChannels rows of inputChannels gains, one of ChannelMix, or undefined
+ * @param { String } sampleFormat    One of SampleFormat, or undefined
+ * @param { Number } blockAlign      Bytes per block of 'ima-adpcm', or 0
  * @param { Number } batchSize       Must be one of VALID_BATCH_SIZES.
  * @param { Number } bufferThreshold Number of samples which must be buffered before playback begins
  * @param { Number } bufferLength    Buffer length in samples (per channel). See ring-buffer.js for more.
  * @param { Number } converterType   libsamplerate-js ConverterType. See libsamplerate for more.
  * @param { Number } inputSampleRate Sample rate of input data
- * @param { String } bufferType      The type of buffer to use (ring_buffer or fifo_queue)
+ * @param { String } bufferType      The type of buffer to use. One of BufferType
+ * @param { Object } bufferOptions   { overflowPolicy } of the ring buffer, { minDelay, maxDelay } of the jitter buffer
+ * @param { Object } concealment     { fadeMs } if concealment is enabled, otherwise null
+ * @param { Number } targetBufferFill Buffer fill which drift compensation holds
+ * @param { Number } highWaterMark   Buffer fill at which feed() starts returning false
+ * @param { Number } initTimeout     Time (ms) to wait for helper files to load
+ * @param { String } fallback        One of Fallback
  */
 function validate(
 	nChannels,
+	maxChannelCount,
+	channelLayout,
+	inputChannels,
+	channelMatrix,
+	sampleFormat,
+	blockAlign,
 	batchSize,
 	bufferThreshold,
 	bufferLength,
 	converterType,
 	inputSampleRate,
-	bufferType
+	bufferType,
+	bufferOptions,
+	concealment,
+	targetBufferFill,
+	highWaterMark,
+	initTimeout,
+	fallback
 ) {
 	if (nChannels === undefined) throw "nChannels is undefined";
 
-	if (nChannels < 1 || nChannels > 2) throw `invalid nChannels ${nChannels}`;
+	if (!Number.isInteger(nChannels) || nChannels < 1) throw `invalid nChannels ${nChannels}`;
+	if (nChannels > maxChannelCount)
+		throw `nChannels ${nChannels} exceeds maxChannelCount ${maxChannelCount}`;
+	if (!Object.values(ChannelLayout).includes(channelLayout))
+		throw `invalid channelLayout ${channelLayout}`;
+	if (channelLayout !== ChannelLayout.DISCRETE && CHANNEL_LAYOUT_SIZES[channelLayout] !== nChannels)
+		throw `channelLayout ${channelLayout} doesn't have ${nChannels} channels`;
+	if (!Number.isInteger(inputChannels) || inputChannels < 1)
+		throw `invalid inputChannels ${inputChannels}`;
+	if (Array.isArray(channelMatrix)) {
+		let isValid =
+			channelMatrix.length === nChannels &&
+			channelMatrix.every(
+				(row) =>
+					Array.isArray(row) &&
+					row.length === inputChannels &&
+					row.every((gain) => Number.isFinite(gain))
+			);
+		if (!isValid)
+			throw `channelMatrix must have ${nChannels} rows of ${inputChannels} gains`;
+	} else if (
+		channelMatrix !== undefined &&
+		!Object.values(ChannelMix).includes(channelMatrix)
+	) {
+		throw `invalid channelMatrix ${channelMatrix}`;
+	}
+	if (sampleFormat !== undefined && !Object.values(SampleFormat).includes(sampleFormat))
+		throw `invalid sampleFormat ${sampleFormat}`;
+	// each block holds a 4 byte header, then whole groups of 4 bytes, per input channel
+	if (
+		!Number.isInteger(blockAlign) ||
+		blockAlign < 0 ||
+		(blockAlign > 0 &&
+			(blockAlign <= 4 * inputChannels || (blockAlign - 4 * inputChannels) % (4 * inputChannels) !== 0))
+	)
+		throw `invalid blockAlign ${blockAlign}`;
 	if (!VALID_BATCH_SIZES.includes(batchSize))
 		throw `invalid batchSize ${batchSize}`;
 	if (bufferLength < 16384) throw "buffer length must be greater than 16384";
@@ -137,19 +399,43 @@ function validate(
 		throw `invalid converterType ${converterType}`;
 	if (inputSampleRate < 1 || inputSampleRate > 192000)
 		throw `invalid inputSampleRate ${inputSampleRate}`;
-	if (bufferType !== BufferType.RING_BUFFER && bufferType !== BufferType.FIFO_QUEUE)
+	if (!Object.values(BufferType).includes(bufferType))
 		throw `invalid bufferType ${bufferType}`;
+	if (
+		bufferOptions.overflowPolicy !== null &&
+		!Object.values(OverflowPolicy).includes(bufferOptions.overflowPolicy)
+	)
+		throw `invalid overflowPolicy ${bufferOptions.overflowPolicy}`;
+	if (!(bufferOptions.minDelay >= 0))
+		throw `invalid jitterMinDelay ${bufferOptions.minDelay}`;
+	if (!(bufferOptions.maxDelay >= bufferOptions.minDelay))
+		throw `invalid jitterMaxDelay ${bufferOptions.maxDelay}`;
+	if (concealment !== null && !(concealment.fadeMs > 0))
+		throw `invalid concealmentFadeMs ${concealment.fadeMs}`;
+	if (!(targetBufferFill > 0) || targetBufferFill > bufferLength)
+		throw `invalid targetBufferFill ${targetBufferFill}`;
+	if (!(highWaterMark > 0) || highWaterMark > bufferLength)
+		throw `invalid highWaterMark ${highWaterMark}`;
+	if (!(initTimeout > 0)) throw `invalid initTimeout ${initTimeout}`;
+	if (!Object.values(Fallback).includes(fallback))
+		throw `invalid fallback ${fallback}`;
 }
 
 /**
  * Creates a resampler to be used by FeederNode. All resamplers extends AbstractProcessor.
  * If WebAssembly is supported in current browser, loads libsamplerate-js and run it in a
- * Web Worker. If not, resamples audio data on the main thread using resampler.js linear interpolation.
+ * Web Worker. If not, or if the worker fails to load and `fallback` is 'auto', resamples audio data on
+ * the main thread using resampler.js linear interpolation.
  *
  * @param  { Number } nChannels        The number of input and output channels
  * @param  { Number } inputSampleRate  Sample rate of input data
  * @param  { Number } outputSampleRate Sample rate of output data. Probably came from AudioContext.sampleRate
  * @param  { Number } converterType    libsamplerate-js ConverterType. See libsamplerate for more.
+ * @param  { String } pathToWorker     Path from server root to feeder-node.worker.js
+ * @param  { String } pathToWasm       Path from server root to libsamplerate.wasm
+ * @param  { Number } initTimeout      Time (ms) to wait for the worker to initialize
+ * @param  { String } fallback         One of Fallback
+ * @param  { Object } implementation   Records the resampler which was picked and any fallbacks taken
  * @return { AbstractProcessor }       The resampler to use
  */
 async function createResampler(
@@ -158,32 +444,50 @@ async function createResampler(
 	outputSampleRate,
 	converterType,
 	pathToWorker,
-	pathToWasm
+	pathToWasm,
+	initTimeout,
+	fallback,
+	implementation
 ) {
+	let reason = "WebAssembly is not supported";
+
 	// initialize the sample rate converter
 	if (window.WebAssembly !== undefined) {
 		// web assembly supported. use libsamplerate-js
-		return await createWorkerResampler(
-			nChannels,
-			inputSampleRate,
-			outputSampleRate,
-			converterType,
-			pathToWorker,
-			pathToWasm
-		);
-	} else {
-		// web assembly != supported. resample on the main thread using linear interpolation
-		return new MainThreadResampler(
-			nChannels,
-			inputSampleRate,
-			outputSampleRate
-		);
+		try {
+			let resampler = await createWorkerResampler(
+				nChannels,
+				inputSampleRate,
+				outputSampleRate,
+				converterType,
+				pathToWorker,
+				pathToWasm,
+				initTimeout
+			);
+			implementation.resampler = "WorkerResampler";
+			return resampler;
+		} catch (err) {
+			if (fallback === Fallback.NONE) throw err;
+			reason = err;
+		}
 	}
+
+	// web assembly != supported or failed to load. resample on the main thread using linear interpolation
+	implementation.resampler = "MainThreadResampler";
+	implementation.fallbacks.push({
+		component: "resampler",
+		from: "WorkerResampler",
+		to: "MainThreadResampler",
+		reason: reason,
+	});
+
+	return new MainThreadResampler(nChannels, inputSampleRate, outputSampleRate);
 }
 
 /**
  * Creates a Backend to be used by FeederNode. Backends extend AbstractBackend. If AudioWorklet
- * is supported, creates an AudioWorkletBackend. Otherwise, plays audio using ScriptProcessorNode.
+ * is supported, creates an AudioWorkletBackend. Otherwise, or if the worklet fails to load and `fallback`
+ * is 'auto', plays audio using ScriptProcessorNode.
  *
  * @param  { AudioContext } context         Audio context in which this node participates
  * @param  { Number }       nChannels       The number of input and output channels
@@ -191,7 +495,12 @@ async function createResampler(
  * @param  { Number }       bufferThreshold Number of samples which must be buffered before playback begins
  * @param  { Number }       bufferLength    Buffer length in samples (per channel)
  * @param  { String }       pathToWorklet   Path from server root to feeder-node.worklet.js
- * @param  { String }       bufferType      The type of buffer to use (ring_buffer or fifo_queue)
+ * @param  { String }       bufferType      The type of buffer to use. One of BufferType
+ * @param  { Object }       bufferOptions   Type-specific buffer options. See buffer-factory.js
+ * @param  { Object }       concealment     { fadeMs } if concealment is enabled, otherwise null
+ * @param  { Number }       initTimeout     Time (ms) to wait for the worklet to load
+ * @param  { String }       fallback        One of Fallback
+ * @param  { Object }       implementation  Records the backend which was picked and any fallbacks taken
  * @return { AbstractBackend }              The backend to perform audio propagation with.
  */
 async function createBackend(
@@ -201,34 +510,72 @@ async function createBackend(
 	bufferLength,
 	bufferThreshold,
 	pathToWorklet,
-	bufferType = BufferType.RING_BUFFER
+	bufferType = BufferType.RING_BUFFER,
+	bufferOptions,
+	concealment,
+	initTimeout,
+	fallback,
+	implementation
 ) {
+	let reason = "AudioWorklet is not supported";
+
 	// initialize the backend
 	if (window.AudioWorklet !== undefined) {
 		// AudioWorklet is supported. use it.
-		return await createAudioWorklet(
-			context,
-			nChannels,
-			bufferLength,
-			bufferThreshold,
-			pathToWorklet,
-			bufferType
-		);
-	} else {
-		// AudioWorklet isn't support. Fall back to ScriptProcessorNode
-		return new ScriptProcessorBackend(
-			context,
-			nChannels,
-			batchSize,
-			bufferLength,
-			bufferThreshold,
-			bufferType
-		);
+		try {
+			let backend = await createAudioWorklet(
+				context,
+				nChannels,
+				bufferLength,
+				bufferThreshold,
+				pathToWorklet,
+				bufferType,
+				initTimeout,
+				bufferOptions,
+				concealment
+			);
+			implementation.backend = "AudioWorkletBackend";
+			return backend;
+		} catch (err) {
+			if (fallback === Fallback.NONE) throw err;
+			reason = err;
+		}
 	}
+
+	// AudioWorklet isn't supported or failed to load. Fall back to ScriptProcessorNode, which
+	// doesn't support the AudioWorklet batch size of 128, nor as many channels
+	if (nChannels > MAX_SCRIPT_PROCESSOR_CHANNELS)
+		throw `nChannels ${nChannels} exceeds ScriptProcessorNode's maximum of ${MAX_SCRIPT_PROCESSOR_CHANNELS}, and ${reason}`;
+	if (batchSize === 128) batchSize = 512;
+
+	implementation.backend = "ScriptProcessorBackend";
+	implementation.fallbacks.push({
+		component: "backend",
+		from: "AudioWorkletBackend",
+		to: "ScriptProcessorBackend",
+		reason: reason,
+	});
+
+	return new ScriptProcessorBackend(
+		context,
+		nChannels,
+		batchSize,
+		bufferLength,
+		bufferThreshold,
+		bufferType,
+		bufferOptions,
+		concealment
+	);
 }
 
 // Export for backwards compatibility
 export const createFeederNode = createNode;
 
-// Export buffer types
-export { BufferType };
+// Export buffer types, and backend states so that callers can inspect queryState() and events
+export { BackendState, BufferType, ChannelLayout, ChannelMix, OverflowPolicy, SampleFormat };
+
+// Export the parser behind createNodeFromWavStream(), for callers which read the stream themselves
+export { WavStreamParser };
+
+// Export load errors so that callers can inspect createNode() rejections
+export { AssetType, LoadError };
@@ -0,0 +1,43 @@
+/**
+ * Replaces default-assets.js in the self-contained build. The worklet + worker are embedded in the bundle
+ * at build time and loaded from Blob URLs, so no files need to be copied to the server. libsamplerate-js
+ * 2.x bundles its WASM into the worker, so it isn't embedded separately. See webpack.config.js
+ */
+import workletSource from "../dist/feeder-node.worklet.js?source";
+import workerSource from "../dist/feeder-node.worker.js?source";
+
+/**
+ * Creates Blob URLs for the embedded helper files which the caller didn't supply a path to. Each
+ * createNode() call gets its own, which it releases once they've loaded
+ *
+ * @param  { Object } supplied The options passed to createNode(), with any pathToWorklet or pathToWorker
+ * @return { Object }          { pathToWorklet, pathToWorker }, each only if it wasn't supplied
+ */
+export default function getDefaultAssetPaths(supplied = {}) {
+	let paths = {};
+	if (!supplied.pathToWorklet) paths.pathToWorklet = toBlobUrl(workletSource);
+	if (!supplied.pathToWorker) paths.pathToWorker = toBlobUrl(workerSource);
+
+	return paths;
+}
+
+/**
+ * Revokes the Blob URLs created by getDefaultAssetPaths(), once the worklet + worker have loaded (or
+ * failed to)
+ *
+ * @param { Object } assetPaths Returned by getDefaultAssetPaths()
+ */
+export function releaseDefaultAssetPaths(assetPaths) {
+	Object.values(assetPaths).forEach((url) => URL.revokeObjectURL(url));
+}
+
+/**
+ * Creates an object URL from which the given script can be loaded
+ *
+ * @param  { String } source The contents of a script
+ * @return { String }        The object URL
+ */
+function toBlobUrl(source) {
+	let blob = new Blob([source], { type: "application/javascript" });
+	return URL.createObjectURL(blob);
+}
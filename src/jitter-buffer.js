@@ -0,0 +1,278 @@
+import { seqDistance } from "./util.js";
+
+// the target delay is this many times the measured jitter, on top of minDelay
+const JITTER_MULTIPLIER = 4;
+
+/**
+ * Buffer for packetized audio which may arrive late, out of order or more than once, e.g. over WebRTC or
+ * WebSockets. Every write() is a packet with a sequence number. Packets are played in sequence order, and
+ * duplicates or packets arriving after their turn has passed are dropped.
+ *
+ * Playback (re)starts only once `targetDelay` ms of audio is buffered. The target follows the interarrival
+ * jitter (as in RFC 3550), growing when packets arrive unevenly and shrinking again when they don't. If a
+ * packet is still missing when enough audio has been buffered after it, it's considered lost and skipped.
+ * Sequence numbers may wrap from 65535 to 0, as RTP's do.
+ *
+ * This buffer sits after the resampler, so FeederNode has already put packets in order with a
+ * PacketReorderer. Reordering here only matters when the buffer is fed directly.
+ */
+class JitterBuffer {
+	/**
+	 * Constructor
+	 *
+	 * `options` is an object which supports the follow members:
+	 * {
+	 *     minDelay: { Number } default 20. Lower bound of the target delay (ms)
+	 *     maxDelay: { Number } default 500. Upper bound of the target delay (ms)
+	 * }
+	 *
+	 * @param { Number } bufferLength The maximum number of samples (per channel) to hold. Oldest packets are dropped beyond this
+	 * @param { Number } nChannels    The number of channels. 0 < nChannel < "infinity"
+	 * @param { Number } sampleRate   Sample rate of the buffered data, used to convert delays to samples
+	 * @param { Object } options      See above
+	 */
+	constructor(bufferLength = 32768, nChannels = 2, sampleRate = 48000, options = {}) {
+		if (bufferLength <= 0) throw "bufferLength must be >= 1";
+		if (nChannels < 1) throw "nChannels must >= 1";
+
+		this._bufferLength = bufferLength;
+		this._nChannels = nChannels;
+		this._sampleRate = sampleRate;
+		this._minDelay = options.minDelay === undefined ? 20 : options.minDelay;
+		this._maxDelay = options.maxDelay === undefined ? 500 : options.maxDelay;
+
+		this._packets = []; // { seq, data, offset }, sorted by seq. offset is the # of samples already read
+		this._nSamples = 0; // samples (per channel) in this._packets
+		this._nextSeq = undefined; // seq of the next packet to play. undefined until playback starts
+		this._buffering = true;
+
+		this._jitter = 0; // ms
+		this._lastTransit = undefined;
+		this._targetDelay = this._minDelay;
+	}
+
+	get bufferLength() {
+		return this._bufferLength;
+	}
+
+	/** The current target delay (ms) */
+	get targetDelay() {
+		return this._targetDelay;
+	}
+
+	/** The current interarrival jitter estimate (ms) */
+	get jitter() {
+		return this._jitter;
+	}
+
+	/**
+	 * Returns the number of samples available. This number is per channel, not summed over the channels.
+	 * Always 0 while buffering up to the target delay, or while waiting for a missing packet.
+	 *
+	 * @return { Number } The number of available samples per channel
+	 */
+	getNReadableSamples() {
+		return this._buffering ? 0 : this._nContiguousSamples();
+	}
+
+	/**
+	 * Reads the specified number of samples (per channel) from the buffer, in sequence order. If channels
+	 * are passed, whatever can't be filled with buffered data is filled with 0s
+	 *
+	 * @param  {Number} nSamples The number of samples (per channel) to read
+	 * @param  {Array}  channels Optional pre-allocated arrays to write into
+	 * @return {Array}           An mxn array of m Float32Arrays with length n
+	 */
+	read(nSamples, channels = null) {
+		let _channels =
+			channels === null
+				? Array.apply(null, Array(this._nChannels)).map(() => {
+						return new Float32Array(nSamples);
+				  })
+				: channels;
+
+		let readableSamples = Math.min(nSamples, this.getNReadableSamples());
+		let samplesRead = 0;
+
+		while (samplesRead < readableSamples) {
+			let packet = this._packets[0];
+			let samplesInPacket = packet.data.length / this._nChannels - packet.offset;
+			let samplesToRead = Math.min(samplesInPacket, readableSamples - samplesRead);
+
+			for (let i = 0; i < samplesToRead; i++) {
+				for (let j = 0; j < this._nChannels; j++) {
+					_channels[j][samplesRead + i] =
+						packet.data[(packet.offset + i) * this._nChannels + j];
+				}
+			}
+
+			if (samplesToRead === samplesInPacket) {
+				this._packets.shift();
+				this._nextSeq = packet.seq + 1;
+			} else {
+				packet.offset += samplesToRead;
+			}
+
+			samplesRead += samplesToRead;
+		}
+
+		this._nSamples -= samplesRead;
+
+		if (channels !== null) {
+			for (let j = 0; j < _channels.length; j++) {
+				_channels[j].fill(0, samplesRead);
+			}
+		}
+
+		this._update();
+
+		return _channels;
+	}
+
+	/**
+	 * Inserts a packet. Packets which are duplicates, or which arrive after their turn to play has passed,
+	 * are dropped.
+	 *
+	 * `meta` is an object which supports the follow members:
+	 * {
+	 *     seq:       { Number } Required. Sequence number of the packet; consecutive packets have consecutive numbers
+	 *     timestamp: { Number } Time (ms) at which the packet was captured/sent, on the sender's clock
+	 *     arrival:   { Number } Time (ms) at which the packet arrived, on the receiver's clock
+	 * }
+	 *
+	 * @param  { Float32Array } float32Data Mono or multi-channel interleaved data
+	 * @param  { Object }       meta        See above
+	 * @return { Array }        Array containing [didResize, bufferLength]. didResize is always false
+	 */
+	write(float32Data, meta = {}) {
+		if (!ArrayBuffer.isView(float32Data))
+			throw `Must submit a TypedArray. Received ${float32Data.constructor.name}`;
+		if (typeof meta.seq !== "number")
+			throw `JitterBuffer.write() requires a seq. Received ${meta.seq}`;
+
+		// the packet's jitter is measured even if it's too late to play
+		this._updateJitter(meta.timestamp, meta.arrival);
+
+		if (this._nextSeq !== undefined && seqDistance(meta.seq, this._nextSeq) < 0)
+			return [false, this._bufferLength];
+
+		// packets mostly arrive in order, so search from the back
+		let i = this._packets.length;
+		while (i > 0 && seqDistance(this._packets[i - 1].seq, meta.seq) > 0) i--;
+
+		if (i > 0 && seqDistance(this._packets[i - 1].seq, meta.seq) === 0)
+			return [false, this._bufferLength];
+
+		this._packets.splice(i, 0, {
+			seq: meta.seq,
+			data: new Float32Array(float32Data),
+			offset: 0,
+		});
+		this._nSamples += float32Data.length / this._nChannels;
+
+		this._update();
+
+		return [false, this._bufferLength];
+	}
+
+	/**
+	 * Discards all buffered packets. Packets older than the ones discarded will still be dropped.
+	 *
+	 * @return { Number } The number of samples (per channel) discarded, including any behind a missing packet
+	 */
+	clear() {
+		let nCleared = this._nSamples;
+
+		if (this._packets.length > 0)
+			this._nextSeq = this._packets[this._packets.length - 1].seq + 1;
+
+		this._packets = [];
+		this._nSamples = 0;
+		this._buffering = true;
+
+		return nCleared;
+	}
+
+	/**
+	 * Updates the interarrival jitter estimate and target delay. See RFC 3550, section 6.4.1
+	 *
+	 * @param { Number } timestamp Time (ms) at which the packet was sent, on the sender's clock
+	 * @param { Number } arrival   Time (ms) at which the packet arrived, on the receiver's clock
+	 */
+	_updateJitter(timestamp, arrival) {
+		if (typeof timestamp !== "number" || typeof arrival !== "number") return;
+
+		let transit = arrival - timestamp;
+
+		if (this._lastTransit !== undefined) {
+			let d = Math.abs(transit - this._lastTransit);
+			this._jitter += (d - this._jitter) / 16;
+		}
+		this._lastTransit = transit;
+
+		this._targetDelay = Math.min(
+			this._maxDelay,
+			this._minDelay + JITTER_MULTIPLIER * this._jitter
+		);
+	}
+
+	/**
+	 * Skips lost packets, drops packets beyond bufferLength or which add too much latency, and starts or
+	 * stops buffering. Called whenever packets are added or removed
+	 */
+	_update() {
+		let targetSamples = Math.ceil((this._targetDelay / 1000) * this._sampleRate);
+
+		// a missing packet is lost once there's enough audio queued up behind it
+		if (
+			this._packets.length > 0 &&
+			this._nSamples >= targetSamples &&
+			this._nContiguousSamples() === 0
+		) {
+			this._nextSeq = this._packets[0].seq;
+		}
+
+		// while playing, anything beyond twice the target delay is latency which can be dropped
+		let limit = this._buffering
+			? this._bufferLength
+			: Math.min(this._bufferLength, 2 * targetSamples);
+
+		while (this._nSamples > limit && this._packets.length > 1) {
+			let packet = this._packets.shift();
+			this._nSamples -= packet.data.length / this._nChannels - packet.offset;
+			this._nextSeq = this._packets[0].seq;
+		}
+
+		let nContiguous = this._nContiguousSamples();
+
+		if (this._buffering && nContiguous > 0 && nContiguous >= targetSamples) {
+			this._buffering = false;
+			this._nextSeq = this._packets[0].seq;
+		} else if (!this._buffering && nContiguous === 0) {
+			this._buffering = true;
+		}
+	}
+
+	/**
+	 * Number of samples (per channel) which can be played without skipping a packet
+	 *
+	 * @return { Number } The number of contiguous samples per channel
+	 */
+	_nContiguousSamples() {
+		let nSamples = 0;
+		let seq = this._nextSeq; // undefined: start from the oldest packet
+
+		for (let i = 0; i < this._packets.length; i++) {
+			let packet = this._packets[i];
+
+			if (seq !== undefined && seqDistance(packet.seq, seq) !== 0) break;
+
+			nSamples += packet.data.length / this._nChannels - packet.offset;
+			seq = packet.seq + 1;
+		}
+
+		return nSamples;
+	}
+}
+
+export default JitterBuffer;
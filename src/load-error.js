@@ -0,0 +1,40 @@
+/** The helper files which FeederNode loads at runtime */
+export const AssetType = {
+	WORKLET: "worklet", // feeder-node.worklet.js, loaded via AudioWorklet.addModule()
+	WORKER: "worker", // feeder-node.worker.js, loaded via new Worker()
+	WASM: "wasm", // libsamplerate.wasm, loaded by the worker
+};
+Object.freeze(AssetType);
+
+/** Error used to reject createNode() when one of the helper files fails to load or initialize */
+export class LoadError extends Error {
+	/**
+	 * Constructor
+	 *
+	 * @param { String } asset One of AssetType
+	 * @param { String } url   The location the asset was loaded from
+	 * @param { * }      cause The underlying error, event or message
+	 */
+	constructor(asset, url, cause) {
+		super(`failed to load ${asset} from ${url}: ${describeCause(cause)}`);
+
+		this.name = "LoadError";
+		this.asset = asset;
+		this.url = url;
+		this.cause = cause;
+	}
+}
+
+/**
+ * Get a human-readable description of whatever caused the load to fail. Errors, ErrorEvents and
+ * strings are all possible here.
+ *
+ * @param  { * }      cause The underlying error, event or message
+ * @return { String }       Description of the cause
+ */
+function describeCause(cause) {
+	if (cause && cause.message) return cause.message;
+	if (cause && cause.type) return `${cause.type} event`;
+
+	return String(cause);
+}
@@ -31,14 +31,55 @@ export default class MainThreadResampler extends AbstractProcessor {
 		);
 	}
 
+	/**
+	 * Scales the resampling ratio to compensate for clock drift
+	 *
+	 * @param { Number } scale Factor to scale the ratio by. 1 for no compensation
+	 */
+	setRatioScale(scale) {
+		this._resampler.ratioScale = scale;
+	}
+
+	/**
+	 * Forgets the last batch, which would otherwise be interpolated from. Nothing is in flight, so the
+	 * backend can be cleared straight away
+	 *
+	 * @param { Number } fadeMs Passed on to onReset()
+	 */
+	reset(fadeMs = 0) {
+		this._resampler.reset();
+		this.onReset(fadeMs);
+	}
+
+	/**
+	 * Linear interpolation holds back the last input sample of each batch, to interpolate from next time
+	 *
+	 * @return { Number } The delay, in seconds
+	 */
+	getDelay() {
+		if (
+			this.inputSampleRate === this.outputSampleRate &&
+			this._resampler.ratioScale === 1
+		)
+			return 0;
+
+		return 1 / this.inputSampleRate;
+	}
+
 	/**
 	 * Resample the audio data if necessary, then send back via callback
 	 *
 	 * @param {Float32Array} interleavedFloat32Data the data to be resampled
+	 * @param {Object}       meta                   Packet info, handed back to onProcessed() untouched
 	 */
-	processBatch(interleavedFloat32Data) {
-		if (this.inputSampleRate === this.outputSampleRate)
-			return this.onProcessed(interleavedFloat32Data);
+	processBatch(interleavedFloat32Data, meta) {
+		interleavedFloat32Data = this._decodeInput(interleavedFloat32Data);
+
+		if (
+			this.inputSampleRate === this.outputSampleRate &&
+			this._resampler.ratioScale === 1
+		)
+			return this.onProcessed(this._mixOutput(interleavedFloat32Data), meta);
 
 		let dataPerChannel = interleavedFloat32Data.length / this.nChannels;
 
@@ -59,6 +100,6 @@ export default class MainThreadResampler extends AbstractProcessor {
 		let resampledBuffers = this._resampler.resample(trimmedBuffers);
 		let reinterleaved = writeChannelsToInterleaved(resampledBuffers);
 
-		this.onProcessed(reinterleaved);
+		this.onProcessed(this._mixOutput(reinterleaved), meta);
 	}
 }
@@ -0,0 +1,110 @@
+import { seqDistance } from "./util.js";
+
+/**
+ * Puts packets fed to a jitter buffer back in sequence order, before they're resampled. The resampler's
+ * filter carries state from one packet to the next, so it must see them in the order they're played.
+ *
+ * Duplicates, and packets which arrive after their turn has passed, are dropped. A packet which is still
+ * missing once `maxDelay` ms of audio has queued up behind it is considered lost, and skipped. Released
+ * packets are renumbered so that their sequence numbers are consecutive, which tells the JitterBuffer on
+ * the other side of the resampler not to wait for the lost ones.
+ */
+export default class PacketReorderer {
+	/**
+	 * Constructor
+	 *
+	 * @param { Number } sampleRate Sample rate of the packets, used to convert their lengths to ms
+	 * @param { Number } maxDelay   How long (ms) of audio may queue up behind a missing packet
+	 */
+	constructor(sampleRate, maxDelay) {
+		this._sampleRate = sampleRate;
+		this._maxDelay = maxDelay;
+
+		this._held = []; // { seq, data, meta, nSamples }, sorted by seq. seq is unwrapped
+		this._lastSeq = undefined; // unwrapped seq of the last packet released, or skipped
+		this._playoutSeq = undefined; // seq given to the next packet released
+	}
+
+	/**
+	 * Adds a packet, then releases every packet which is now ready, in sequence order
+	 *
+	 * @param  { TypedArray } data     The packet's audio
+	 * @param  { Object }     meta     { seq, timestamp, arrival }. See FeederNode.feed()
+	 * @param  { Number }     nSamples Length of the packet (samples per channel)
+	 * @return { Array }               The packets released: { data, meta, nSamples }, where meta.seq has
+	 *                                 been renumbered
+	 */
+	push(data, meta, nSamples) {
+		// unwrap 16-bit sequence numbers, relative to the newest one seen
+		let newest = this._held.length > 0 ? this._held[this._held.length - 1].seq : this._lastSeq;
+		let seq = newest === undefined ? meta.seq : newest + seqDistance(meta.seq, newest);
+
+		if (this._lastSeq !== undefined && seq <= this._lastSeq) return [];
+
+		// packets mostly arrive in order, so search from the back
+		let i = this._held.length;
+		while (i > 0 && this._held[i - 1].seq > seq) i--;
+
+		if (i > 0 && this._held[i - 1].seq === seq) return [];
+
+		this._held.splice(i, 0, { seq: seq, data: data, meta: meta, nSamples: nSamples });
+
+		return this._release(false);
+	}
+
+	/**
+	 * Releases every packet held, skipping any which are missing. Called at the end of the stream
+	 *
+	 * @return { Array } See push()
+	 */
+	flush() {
+		return this._release(true);
+	}
+
+	/**
+	 * Discards the packets held. Packets older than the ones discarded will still be dropped.
+	 */
+	clear() {
+		if (this._held.length > 0) this._lastSeq = this._held[this._held.length - 1].seq;
+
+		this._held = [];
+	}
+
+	/**
+	 * Releases the packets which are next in sequence, and skips missing packets which are considered lost
+	 *
+	 * @param  { Boolean } skipAll Whether to skip every missing packet
+	 * @return { Array }           See push()
+	 */
+	_release(skipAll) {
+		let released = [];
+
+		while (this._held.length > 0) {
+			let isNext = this._lastSeq === undefined || this._held[0].seq === this._lastSeq + 1;
+			if (!isNext && !skipAll && this._heldDuration() < this._maxDelay) break;
+
+			let packet = this._held.shift();
+			if (this._playoutSeq === undefined) this._playoutSeq = packet.seq;
+
+			this._lastSeq = packet.seq;
+			released.push({
+				data: packet.data,
+				meta: Object.assign({}, packet.meta, { seq: this._playoutSeq++ }),
+				nSamples: packet.nSamples,
+			});
+		}
+
+		return released;
+	}
+
+	/**
+	 * Duration of the audio held
+	 *
+	 * @return { Number } ms
+	 */
+	_heldDuration() {
+		let nSamples = this._held.reduce((sum, packet) => sum + packet.nSamples, 0);
+
+		return (nSamples / this._sampleRate) * 1000;
+	}
+}
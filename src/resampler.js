@@ -1,3 +1,7 @@
+// downsample() drops whole samples, which clicks when only a few are dropped, e.g. to compensate for
+// clock drift. Interpolation works in both directions, so use it for ratios this close to 1
+const MIN_DOWNSAMPLE_RATIO = 0.99;
+
 /**
  * Performs upsampling via linear interpolation, and downsampling by simply remove extra
  * samples. In most cases, this class should never be used because uses is a fairly naive
@@ -10,7 +14,17 @@ export default class LinearResampler {
 		this.inputSampleRate = inputSampleRate;
 		this.outputSampleRate = outputSampleRate;
 		this.nChannels = nChannels;
+		this.ratioScale = 1; // scales outputSampleRate, to compensate for clock drift
+
+		this._resampleFractional = 0;
+		this._resampleLastSampleData = undefined;
+	}
 
+	/**
+	 * Forgets the previous batch + fractional position, so that the next batch doesn't interpolate from
+	 * data which came before it
+	 */
+	reset() {
 		this._resampleFractional = 0;
 		this._resampleLastSampleData = undefined;
 	}
@@ -22,7 +36,7 @@ export default class LinearResampler {
 	resample(sampleData) {
 		var rate = this.inputSampleRate,
 			channels = this.nChannels,
-			targetRate = this.outputSampleRate;
+			targetRate = this.outputSampleRate * this.ratioScale;
 
 		if (rate == targetRate) return sampleData;
 
@@ -60,7 +74,8 @@ function doInterpolate(
 ) {
 	var interpolate;
 	var newSamples = [];
-	if (rate < targetRate) interpolate = upsample;
+	if (rate < targetRate || targetRate / rate > MIN_DOWNSAMPLE_RATIO)
+		interpolate = upsample;
 	else interpolate = downsample;
 
 	for (var channel = 0; channel < channels; channel++) {
@@ -1,44 +1,47 @@
+import { OverflowPolicy } from "./abstract-backend.js";
+
 class RingBuffer {
 	/**
 	 * Constructor
 	 *
-	 * @param { Number } bufferLength Array length (per channel). Extended if a large chunk is submitted to eed()
-	 * @param { Number } nChannels    The number of channels. 0 < nChannel < "infinity"
+	 * @param { Number } bufferLength   Array length (per channel). Extended if a chunk longer than the buffer is
+	 *                                  written without an overflowPolicy, or with OverflowPolicy.GROW
+	 * @param { Number } nChannels      The number of channels. 0 < nChannel < "infinity"
+	 * @param { String } overflowPolicy What write() does with data which doesn't fit. One of OverflowPolicy, or
+	 *                                  null to grow to fit a chunk longer than the buffer and otherwise write
+	 *                                  over unread data
 	 */
-	constructor(bufferLength = 32768, nChannels = 2) {
+	constructor(bufferLength = 32768, nChannels = 2, overflowPolicy = null) {
 		if (bufferLength <= 0) throw "bufferLength must be >= 1";
 		if (nChannels < 1) throw "nChannels must >= 1";
+		if (overflowPolicy !== null && !Object.values(OverflowPolicy).includes(overflowPolicy))
+			throw `unknown overflowPolicy ${overflowPolicy}`;
 
 		this._data = new Float32Array(bufferLength * nChannels);
 
 		this._nChannels = nChannels;
+		this._overflowPolicy = overflowPolicy;
 		this._readPos = 0;
 		this._writePos = 0;
+		// counted separately, since readPos === writePos for both an empty and a full buffer
+		this._nInterleavedReadable = 0;
 	}
 
 	get bufferLength() {
 		return this._data.length / this._nChannels;
 	}
 
+	get overflowPolicy() {
+		return this._overflowPolicy;
+	}
+
 	/**
 	 * Returns the number of samples available. This number is per channel, not summed over the channels
 	 *
 	 * @return { Number } The number of available samples per channel
 	 */
 	getNReadableSamples() {
-		if (this._readPos == this._writePos) return 0;
-
-		let nInterleavedReadable;
-		if (this._readPos < this._writePos) {
-			// Read position is lower
-			nInterleavedReadable = this._writePos - this._readPos;
-		} else {
-			// Read position is higher; writePos must have wrapped around
-			nInterleavedReadable = this._data.length - this._readPos + this._writePos;
-		}
-
-		// divide by the number of channels
-		return nInterleavedReadable / this._nChannels;
+		return this._nInterleavedReadable / this._nChannels;
 	}
 
 	/**
@@ -67,25 +70,27 @@ class RingBuffer {
 		}
 
 		this._readPos = readPos;
+		this._nInterleavedReadable -= readableSamples * this._nChannels;
 
 		return _channels;
 	}
 
 	/**
-	 * Resize the _data to accomodate for large chunks. Resizing will only happen if the number of
-	 * samples fed is > this.bufferLength.
+	 * Resize the _data to fit the readable samples plus a new chunk. Resizing will only happen if the
+	 * overflow policy is OverflowPolicy.GROW, or if there's none and the chunk is longer than the buffer.
 	 *
 	 * @param { Number } nInterleavedSamples The size of the chunk
 	 */
 	_resize(nInterleavedSamples) {
-		let nReadableInterleavedSamples =
-			this.getNReadableSamples() * this._nChannels;
+		let nReadableInterleavedSamples = this._nInterleavedReadable;
 		let newLength = nInterleavedSamples + nReadableInterleavedSamples;
 
 		let newArray = new Float32Array(newLength);
 
 		let readPos = this._readPos;
 		for (let i = 0; i < nReadableInterleavedSamples; i++) {
+			if (readPos === this._data.length) readPos = 0;
+
 			newArray[i] = this._data[readPos++];
 		}
 
@@ -95,20 +100,58 @@ class RingBuffer {
 	}
 
 	/**
-	 * Writes data to the buffer, expanding the buffer if need be.
+	 * Writes data to the buffer. If there isn't enough room, the overflow policy decides whether the buffer
+	 * grows, unread data is dropped, or (some of) float32Data is dropped. Without one, the buffer grows to fit
+	 * a chunk longer than itself, and otherwise float32Data is written over unread data: only what lands past
+	 * the read position stays readable, so a whole buffer's worth is dropped.
 	 *
 	 * @param  { Float32Array } float32Data Mono or multi-channel interleaved data
-	 * @return { Array }        Array containing [didResize, bufferLength]
+	 * @return { Array }        Array containing [didResize, bufferLength, nDropped]. nDropped is the number
+	 *                          of samples (per channel) dropped, whether unread or from float32Data
 	 */
 	write(float32Data) {
 		if (!ArrayBuffer.isView(float32Data))
 			throw `Must submit a TypedArray. Received ${float32Data.constructor.name}`;
 		let didResize = false;
-
-		// if submitted array is longer than internal buffer, resize interal array.
-		if (float32Data.length > this._data.length) {
-			this._resize(float32Data.length);
-			didResize = true;
+		let nDropped = 0; // interleaved
+		let nFree = this._data.length - this._nInterleavedReadable;
+
+		if (float32Data.length > nFree) {
+			switch (this._overflowPolicy) {
+				case null:
+					if (float32Data.length > this._data.length) {
+						this._resize(float32Data.length);
+						didResize = true;
+					} else {
+						this._nInterleavedReadable -= this._data.length;
+						nDropped = this._data.length;
+					}
+					break;
+				case OverflowPolicy.GROW:
+					this._resize(float32Data.length);
+					didResize = true;
+					break;
+				case OverflowPolicy.DROP_OLDEST: {
+					// only the tail of a chunk longer than the whole buffer can be kept
+					if (float32Data.length > this._data.length) {
+						nDropped += float32Data.length - this._data.length;
+						float32Data = float32Data.subarray(nDropped);
+					}
+
+					let nOverwritten = float32Data.length - nFree;
+					this._readPos = (this._readPos + nOverwritten) % this._data.length;
+					this._nInterleavedReadable -= nOverwritten;
+					nDropped += nOverwritten;
+					break;
+				}
+				case OverflowPolicy.DROP_NEWEST:
+					nDropped = float32Data.length - nFree;
+					float32Data = float32Data.subarray(0, nFree);
+					break;
+				case OverflowPolicy.REJECT:
+					return [false, this.bufferLength, float32Data.length / this._nChannels];
+				default:
+			}
 		}
 
 		let writePos = this._writePos;
@@ -118,16 +161,24 @@ class RingBuffer {
 			this._data[writePos++] = float32Data[i];
 		}
 		this._writePos = writePos;
+		this._nInterleavedReadable += float32Data.length;
 
-		return [didResize, this._data.length / this._nChannels];
+		return [didResize, this.bufferLength, nDropped / this._nChannels];
 	}
 
 	/**
 	 * Clears all data from the buffer by resetting read and write positions
+	 *
+	 * @return { Number } The number of samples (per channel) discarded
 	 */
 	clear() {
+		let nCleared = this.getNReadableSamples();
+
 		this._readPos = 0;
 		this._writePos = 0;
+		this._nInterleavedReadable = 0;
+
+		return nCleared;
 	}
 }
 
@@ -1,6 +1,8 @@
 import { AbstractBackend, BackendState, BufferType } from "./abstract-backend";
-import RingBuffer from "./ring-buffer";
-import AudioQueue from "./audio-queue";
+import createBuffer from "./buffer-factory";
+import Concealer from "./concealer";
+import GainRamp from "./gain-ramp";
+import FadeTail from "./fade-tail";
 import { writeSilence } from "./util";
 
 /** Class that manages a ScriptProcessor to playback PCM audio */
@@ -15,9 +17,12 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 	 * @param { Number }       bufferLength    The length of the buffer. See ring-buffer.js for more
 	 * @param { Number }       bufferThreshold The minimum number of sample which must be buffered before
 	 *                                         audio begins propagating to the next AudioNode in the graph
-	 * @param { String }       bufferType      The type of buffer to use (ring_buffer or fifo_queue)
+	 * @param { String }       bufferType      The type of buffer to use. One of BufferType
+	 * @param { Object }       bufferOptions   Type-specific buffer options. See buffer-factory.js
+	 * @param { Object }       concealment     { fadeMs } to conceal dropouts when starved. See concealer.js.
+	 *                                         null to play silence instead
 	 */
-	constructor(context, nChannels, batchSize, bufferLength, bufferThreshold, bufferType = BufferType.RING_BUFFER) {
+	constructor(context, nChannels, batchSize, bufferLength, bufferThreshold, bufferType = BufferType.RING_BUFFER, bufferOptions = {}, concealment = null) {
 		super();
 
 		this.batchSize = batchSize;
@@ -26,12 +31,32 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 		this.audioNode = context.createScriptProcessor(batchSize, 0, nChannels);
 		this.audioNode.onaudioprocess = this._playNext.bind(this);
 		this._bufferType = bufferType;
+		this._nChunksWritten = 0;
+		this._nFramesPlayed = 0;
+		this._nFramesCleared = 0;
+		this._drainRequest = null; // { threshold, nChunks } if onDrain() is pending
+		this._ending = false; // set by end()
+		this._pausing = false; // set by pause() while fading out
+		this._stateBeforePause = undefined;
+		this._gainRamp = new GainRamp(context.sampleRate); // fades for pause() + resume()
+		this._volume = new GainRamp(context.sampleRate); // setGain()
+		this._fadeTail = null; // what clearBuffer() cleared, fading out
+		this._sampleRate = context.sampleRate;
 
-		// Create the appropriate buffer based on type
-		if (bufferType === BufferType.FIFO_QUEUE) {
-			this._buffer = new AudioQueue(bufferLength, nChannels);
-		} else {
-			this._buffer = new RingBuffer(bufferLength, nChannels);
+		this._buffer = createBuffer(
+			bufferType,
+			bufferLength,
+			nChannels,
+			context.sampleRate,
+			bufferOptions
+		);
+
+		if (concealment !== null) {
+			this._concealer = new Concealer(
+				nChannels,
+				context.sampleRate,
+				concealment.fadeMs
+			);
 		}
 		
 		this.state = BackendState.READY;
@@ -43,13 +68,122 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 	}
 
 	/**
-	 * Appends data to the buffer. If float32Array.length > the current buffer size,
-	 * buffer will automatically resize to fit the new chunk if it's a RingBuffer
+	 * Appends data to the buffer. If it doesn't fit, the buffer's overflow policy applies: onOverflow() is
+	 * called with the number of samples dropped, or onBufferLengthChange() if the buffer grew
 	 *
 	 * @param {Float32Array} data to write to the buffer
+	 * @param {Object}       meta Packet info ({ seq, timestamp, arrival }). Only used by JitterBuffer
+	 */
+	feed(float32Array, meta) {
+		let [didResize, bufferLength, nDropped] = this._buffer.write(float32Array, meta);
+		this._nChunksWritten++;
+
+		if (didResize) this.onBufferLengthChange(bufferLength);
+		if (nDropped > 0) this.onOverflow(nDropped);
+		this._checkDrain();
+	}
+
+	/**
+	 * Signals that no more data is coming. See AbstractBackend.end()
+	 */
+	end() {
+		this._ending = true;
+	}
+
+	/**
+	 * Changes the gain applied to the output, ramping linearly to it sample by sample
+	 *
+	 * @param { Number } value  The new gain. 1 for unchanged, 0 for silence
+	 * @param { Number } rampMs Duration (ms) of the ramp. 0 to change straight away
+	 */
+	setGain(value, rampMs = 0) {
+		this._volume.rampTo(value, rampMs);
+	}
+
+	/**
+	 * Stops reading from the buffer until resume(). See AbstractBackend.pause()
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade out. 0 to pause straight away
 	 */
-	feed(float32Array) {
-		this._buffer.write(float32Array);
+	pause(fadeMs = 0) {
+		if (this.state === BackendState.PLAYING && fadeMs > 0) {
+			// PAUSED once the fade out completes
+			this._pausing = true;
+			this._gainRamp.rampTo(0, fadeMs);
+		} else if (
+			this.state === BackendState.READY ||
+			this.state === BackendState.PLAYING ||
+			this.state === BackendState.STARVED
+		) {
+			this._enterPause();
+		}
+	}
+
+	/**
+	 * Undoes pause(). See AbstractBackend.resume()
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade in. 0 to resume at full volume straight away
+	 */
+	resume(fadeMs = 0) {
+		if (this._pausing) {
+			// still fading out: fade back in from wherever the fade out got to
+			this._pausing = false;
+			this._gainRamp.rampTo(1, fadeMs);
+		} else if (this.state === BackendState.PAUSED) {
+			this.state = this._stateBeforePause;
+			this._gainRamp.rampTo(1, this.state === BackendState.PLAYING ? fadeMs : 0);
+			this.onStateChange(this.state);
+		}
+	}
+
+	/**
+	 * Moves to PAUSED, remembering the state to return to on resume()
+	 */
+	_enterPause() {
+		this._pausing = false;
+		this._stateBeforePause = this.state;
+		this._gainRamp.rampTo(0, 0);
+		this.state = BackendState.PAUSED;
+		this.onStateChange(this.state);
+	}
+
+	/**
+	 * Gets the number of frames of buffered data played so far
+	 *
+	 * @returns {number} The number of frames played
+	 */
+	getNFramesPlayed() {
+		return this._nFramesPlayed;
+	}
+
+	/**
+	 * Gets the number of frames discarded by clearBuffer() so far
+	 *
+	 * @returns {number} The number of frames cleared
+	 */
+	getNFramesCleared() {
+		return this._nFramesCleared;
+	}
+
+	/**
+	 * Gets the number of chunks written to the buffer so far
+	 *
+	 * @returns {number} The number of feed() calls so far
+	 */
+	getNChunksWritten() {
+		return this._nChunksWritten;
+	}
+
+	/**
+	 * Asks for onDrain() to be called once `nChunks` chunks have been fed, and the buffer fill has dropped
+	 * below `threshold`. Replaces any earlier request.
+	 *
+	 * @param {Number} threshold Buffer fill (samples per channel) to drop below
+	 * @param {Number} nChunks   The number of chunks which must have been fed first
+	 */
+	requestDrain(threshold, nChunks) {
+		this._drainRequest = { threshold: threshold, nChunks: nChunks };
+		this._checkDrain();
 	}
 
 	/**
@@ -62,10 +196,28 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 	}
 	
 	/**
-	 * Clears all audio data from the buffer
+	 * Clears all audio data from the buffer. If playing, the first `fadeMs` of the cleared data are still
+	 * played, fading out, so that playback doesn't stop with a click
+	 *
+	 * @param { Number } fadeMs Duration (ms) of the fade out. 0 to stop straight away
 	 */
-	clearBuffer() {
-		this._buffer.clear();
+	clearBuffer(fadeMs = 0) {
+		let nCleared = 0;
+
+		if (fadeMs > 0 && this.state === BackendState.PLAYING) {
+			let nSamples = Math.min(
+				Math.round((fadeMs / 1000) * this._sampleRate),
+				this._buffer.getNReadableSamples()
+			);
+
+			if (nSamples > 0) {
+				this._fadeTail = new FadeTail(this._buffer.read(nSamples), this._sampleRate, fadeMs);
+				nCleared = nSamples;
+			}
+		}
+
+		this._nFramesCleared += nCleared + this._buffer.clear();
+		if (this._concealer) this._concealer.reset();
 	}
 
 	/**
@@ -84,6 +236,20 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 		this.audioNode.disconnect();
 	}
 
+	/**
+	 * Disconnects, stops processing and releases the buffer
+	 *
+	 * @return { Promise } Resolves once cleanup has finished
+	 */
+	destroy() {
+		this.disconnect();
+		this.audioNode.onaudioprocess = null;
+		this.state = BackendState.UNINITIALIZED;
+		this._buffer.clear();
+
+		return Promise.resolve();
+	}
+
 	/**
 	 * Gets the current fill level of the ring buffer
 	 * 
@@ -96,27 +262,43 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 	/**
 	 * Changes state depending on how much data is available to read into AudioNode chain. If
 	 * WorkletProcess runs out of data, switches to STARVED; once it buffers enough data, switch
-	 * back to PLAYING
+	 * back to PLAYING. After end(), runs out of data into ENDED instead
 	 */
 	_updateState() {
 		let staleState = this.state;
 
 		switch (this.state) {
 			case BackendState.UNINITIALIZED:
+			case BackendState.PAUSED:
 				return;
 			case BackendState.PLAYING:
 				if (this._buffer.getNReadableSamples() === 0)
-					this.state = BackendState.STARVED;
+					this.state = this._ending ? BackendState.ENDED : BackendState.STARVED;
 				break;
 			case BackendState.READY:
 			case BackendState.STARVED:
-				if (this._buffer.getNReadableSamples() >= this.bufferThreshold)
+				// once ending, play out whatever is left, even if it's below the threshold
+				if (this._ending)
+					this.state = this._buffer.getNReadableSamples() > 0
+						? BackendState.PLAYING
+						: BackendState.ENDED;
+				else if (this._buffer.getNReadableSamples() >= this.bufferThreshold)
 					this.state = BackendState.PLAYING;
 				break;
 			default:
 		}
 
 		if (staleState != this.state) this.onStateChange(this.state);
+		if (this._pausing && this.state !== BackendState.PLAYING) this._endPauseFade();
+	}
+
+	/**
+	 * Called when the buffer runs dry during a pause fade out, which only advances while playing. Pauses
+	 * straight away if starved. After the end of the stream there's nothing left to pause
+	 */
+	_endPauseFade() {
+		if (this.state === BackendState.STARVED) this._enterPause();
+		else this._pausing = false;
 	}
 
 	/**
@@ -132,10 +314,46 @@ export default class ScriptProcessorBackend extends AbstractBackend {
 		});
 
 		if (this.state === BackendState.PLAYING) {
+			let nRead = Math.min(this.batchSize, this._buffer.getNReadableSamples());
 			this._buffer.read(this.batchSize, outs);
+			this._nFramesPlayed += nRead;
+
+			// the end of the stream isn't a dropout, so pad the last batch with silence
+			if (this._ending) writeSilence(outs.map((out) => out.subarray(nRead)));
+			else if (this._concealer) this._concealer.process(outs, nRead);
+
+			this._gainRamp.process(outs);
+			if (this._pausing && !this._gainRamp.isRamping) this._enterPause();
+		} else if (this.state === BackendState.STARVED && this._concealer) {
+			this._concealer.process(outs, 0);
 		} else {
 			writeSilence(outs);
 		}
+
+		if (this._fadeTail !== null) {
+			this._fadeTail.mixInto(outs);
+			if (this._fadeTail.isDone) this._fadeTail = null;
+		}
+
+		this._volume.process(outs);
+
+		this._checkDrain();
+	}
+
+	/**
+	 * Calls onDrain() if a drain was requested and its conditions are met
+	 */
+	_checkDrain() {
+		let request = this._drainRequest;
+
+		if (
+			request !== null &&
+			this._nChunksWritten >= request.nChunks &&
+			this._buffer.getNReadableSamples() < request.threshold
+		) {
+			this._drainRequest = null;
+			this.onDrain();
+		}
 	}
 
 	/**
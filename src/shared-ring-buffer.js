@@ -0,0 +1,240 @@
+import { OverflowPolicy } from "./abstract-backend.js";
+
+// indices into the Int32Array which holds the read/write positions and the counters
+const READ_POS = 0;
+const WRITE_POS = 1;
+const N_WRITES = 2;
+const N_SKIPPED = 3; // samples (per channel) dropped by the consumer under OverflowPolicy.DROP_OLDEST
+
+/**
+ * Lock-free single-producer/single-consumer version of RingBuffer, backed by SharedArrayBuffers so that
+ * one thread (the resampler worker) can write while another (the AudioWorkletProcessor) reads, without
+ * posting messages. The write position is only ever advanced by the producer, and the read position only
+ * by the consumer. The producer never writes over unread data, so a read in progress can't be torn.
+ *
+ * To drop the oldest data, the producer can't move the read position. Instead, the buffer has room for
+ * twice bufferLength, the producer writes into the spare room, and the consumer skips whatever is beyond
+ * bufferLength on its next read. Skipped samples are counted in the shared state and reported by the
+ * producer's next write(). Only if the producer fills the spare room as well, before the consumer gets to
+ * read, is the newest data dropped.
+ *
+ * Unlike RingBuffer, SharedRingBuffer can't resize, so OverflowPolicy.GROW isn't supported. One frame of
+ * storage is reserved so that a full buffer can be told apart from an empty one.
+ */
+class SharedRingBuffer {
+	/**
+	 * Constructor
+	 *
+	 * @param { Number } bufferLength  Array length (per channel). Ignored if sharedBuffers is passed
+	 * @param { Number } nChannels     The number of channels. Ignored if sharedBuffers is passed
+	 * @param { Object } sharedBuffers  The `sharedBuffers` of an existing SharedRingBuffer, possibly from another thread
+	 * @param { String } overflowPolicy What write() does with data which doesn't fit. One of OverflowPolicy,
+	 *                                  except GROW. Ignored if sharedBuffers is passed
+	 */
+	constructor(
+		bufferLength = 32768,
+		nChannels = 2,
+		sharedBuffers = null,
+		overflowPolicy = OverflowPolicy.DROP_NEWEST
+	) {
+		if (sharedBuffers === null) {
+			if (bufferLength <= 0) throw "bufferLength must be >= 1";
+			if (nChannels < 1) throw "nChannels must >= 1";
+			if (
+				overflowPolicy === OverflowPolicy.GROW ||
+				!Object.values(OverflowPolicy).includes(overflowPolicy)
+			)
+				throw `unsupported overflowPolicy ${overflowPolicy}`;
+
+			let nFrames = overflowPolicy === OverflowPolicy.DROP_OLDEST ? 2 * bufferLength : bufferLength;
+			sharedBuffers = {
+				state: new SharedArrayBuffer(4 * Int32Array.BYTES_PER_ELEMENT),
+				data: new SharedArrayBuffer(
+					(nFrames + 1) * nChannels * Float32Array.BYTES_PER_ELEMENT
+				),
+				bufferLength: bufferLength,
+				nChannels: nChannels,
+				overflowPolicy: overflowPolicy,
+			};
+		}
+
+		this._state = new Int32Array(sharedBuffers.state);
+		this._data = new Float32Array(sharedBuffers.data);
+		this._bufferLength = sharedBuffers.bufferLength;
+		this._nChannels = sharedBuffers.nChannels;
+		this._overflowPolicy = sharedBuffers.overflowPolicy;
+
+		// producer only: skips already returned by write()
+		this._nSkippedReported = 0;
+	}
+
+	get bufferLength() {
+		return this._bufferLength;
+	}
+
+	/**
+	 * The underlying memory. Post this to another thread, and pass it to the constructor there.
+	 *
+	 * @return { Object } { state, data, bufferLength, nChannels, overflowPolicy }
+	 */
+	get sharedBuffers() {
+		return {
+			state: this._state.buffer,
+			data: this._data.buffer,
+			bufferLength: this._bufferLength,
+			nChannels: this._nChannels,
+			overflowPolicy: this._overflowPolicy,
+		};
+	}
+
+	get overflowPolicy() {
+		return this._overflowPolicy;
+	}
+
+	/** The number of calls to write() so far, whether or not their data fit */
+	get nWrites() {
+		return Atomics.load(this._state, N_WRITES);
+	}
+
+	/**
+	 * Returns the number of samples available. This number is per channel, not summed over the channels
+	 *
+	 * @return { Number } The number of available samples per channel
+	 */
+	getNReadableSamples() {
+		let readPos = Atomics.load(this._state, READ_POS);
+		let writePos = Atomics.load(this._state, WRITE_POS);
+
+		// anything beyond bufferLength is skipped by the next read
+		return Math.min(this._bufferLength, this._nInterleavedReadable(readPos, writePos) / this._nChannels);
+	}
+
+	/**
+	 * Reads the specified number of samples (per channel) from the buffer, after skipping the oldest data
+	 * if more than bufferLength is readable. Consumer thread only.
+	 *
+	 * @param  {Number} nSamples The number of samples (per channel) to read
+	 * @param  {Array}  channels Optional pre-allocated arrays to write into
+	 * @return {Array}           An mxn array of m Float32Arrays with length n
+	 */
+	read(nSamples, channels = null) {
+		let _channels =
+			channels === null
+				? Array.apply(null, Array(this._nChannels)).map(() => {
+						return new Float32Array(nSamples);
+				  })
+				: channels;
+
+		let readPos = Atomics.load(this._state, READ_POS);
+		let writePos = Atomics.load(this._state, WRITE_POS);
+		let nReadable = this._nInterleavedReadable(readPos, writePos);
+
+		let nSkipped = nReadable - this._bufferLength * this._nChannels;
+		if (nSkipped > 0) {
+			readPos = (readPos + nSkipped) % this._data.length;
+			nReadable -= nSkipped;
+			Atomics.add(this._state, N_SKIPPED, nSkipped / this._nChannels);
+		}
+
+		let readableSamples = Math.min(nSamples, nReadable / this._nChannels);
+
+		for (let i = 0; i < readableSamples; i++) {
+			for (let j = 0; j < _channels.length; j++) {
+				if (readPos === this._data.length) readPos = 0;
+
+				_channels[j][i] = this._data[readPos++];
+			}
+		}
+
+		// publish the new read position only after the data has been consumed, so the producer can't
+		// overwrite it while it's being read
+		Atomics.store(this._state, READ_POS, readPos);
+
+		return _channels;
+	}
+
+	/**
+	 * Writes data to the buffer, applying the overflow policy if it doesn't all fit. Producer thread only.
+	 *
+	 * @param  { Float32Array } float32Data Mono or multi-channel interleaved data
+	 * @return { Array }        Array containing [didResize, bufferLength, nDropped]. didResize is always
+	 *                          false. nDropped is the number of samples (per channel) dropped, including
+	 *                          any the consumer skipped since the last write()
+	 */
+	write(float32Data) {
+		if (!ArrayBuffer.isView(float32Data))
+			throw `Must submit a TypedArray. Received ${float32Data.constructor.name}`;
+
+		let writePos = Atomics.load(this._state, WRITE_POS);
+		let readPos = Atomics.load(this._state, READ_POS);
+		// the consumer may move the read position meanwhile, but only forwards, so this is never too much
+		let nWritable = this._data.length - this._nChannels - this._nInterleavedReadable(readPos, writePos);
+		let nDropped = 0; // interleaved
+
+		if (this._overflowPolicy === OverflowPolicy.DROP_OLDEST) {
+			let capacity = this._bufferLength * this._nChannels;
+			if (float32Data.length > capacity) {
+				nDropped += float32Data.length - capacity;
+				float32Data = float32Data.subarray(nDropped);
+			}
+
+			// the spare room is full too, because several writes happened between two reads
+			if (float32Data.length > nWritable) {
+				nDropped += float32Data.length - nWritable;
+				float32Data = float32Data.subarray(0, nWritable);
+			}
+
+			let nSkipped = Atomics.load(this._state, N_SKIPPED);
+			nDropped += ((nSkipped - this._nSkippedReported) | 0) * this._nChannels; // | 0: the counter wraps
+			this._nSkippedReported = nSkipped;
+		} else if (float32Data.length > nWritable) {
+			let nToWrite = this._overflowPolicy === OverflowPolicy.REJECT ? 0 : nWritable;
+			nDropped = float32Data.length - nToWrite;
+			float32Data = float32Data.subarray(0, nToWrite);
+		}
+
+		for (let i = 0; i < float32Data.length; i++) {
+			if (writePos === this._data.length) writePos = 0;
+
+			this._data[writePos++] = float32Data[i];
+		}
+		if (writePos === this._data.length) writePos = 0;
+
+		// publish the new write position only after the data is in place
+		Atomics.store(this._state, WRITE_POS, writePos);
+		Atomics.add(this._state, N_WRITES, 1);
+
+		return [false, this.bufferLength, nDropped / this._nChannels];
+	}
+
+	/**
+	 * Discards all readable data. Consumer thread only; the write position belongs to the producer.
+	 *
+	 * @return { Number } The number of samples (per channel) discarded, including any beyond bufferLength
+	 *                    which the next read() would have skipped
+	 */
+	clear() {
+		let readPos = Atomics.load(this._state, READ_POS);
+		let writePos = Atomics.load(this._state, WRITE_POS);
+
+		Atomics.store(this._state, READ_POS, writePos);
+
+		return this._nInterleavedReadable(readPos, writePos) / this._nChannels;
+	}
+
+	/**
+	 * Number of readable interleaved samples between the given positions
+	 *
+	 * @param  { Number } readPos  Interleaved read position
+	 * @param  { Number } writePos Interleaved write position
+	 * @return { Number }          Number of readable interleaved samples
+	 */
+	_nInterleavedReadable(readPos, writePos) {
+		if (readPos <= writePos) return writePos - readPos;
+
+		// writePos must have wrapped around
+		return this._data.length - readPos + writePos;
+	}
+}
+
+export default SharedRingBuffer;
@@ -82,20 +82,101 @@ export function copyChannelsToInterleaved(channels, targetInterleaved) {
 	}
 }
 
+/**
+ * Interleaves planar audio data, converting and scaling each channel as toFloat32() does
+ *
+ * @param  {Array}        channels     An array of m TypedArrays, of any type toFloat32() supports
+ * @param  {String}       sampleFormat Passed on to toFloat32(). Optional
+ * @return {Float32Array}              An interleaved Float32 representation of channels
+ */
+export function interleavePlanar(channels, sampleFormat) {
+	let float32Channels = channels.map((channel) => toFloat32(channel, sampleFormat));
+
+	if (float32Channels.some((channel) => channel.length !== float32Channels[0].length))
+		throw Error("incorrect channel lengths");
+
+	return writeChannelsToInterleaved(float32Channels);
+}
+
+/** Formats of raw PCM bytes which toFloat32() can decode. le/be: little/big-endian */
+export const SampleFormat = {
+	U8: "u8",
+	S8: "s8",
+	S16LE: "s16le",
+	S16BE: "s16be",
+	S24LE: "s24le", // packed, 3 bytes per sample
+	S24BE: "s24be",
+	S32LE: "s32le",
+	S32BE: "s32be",
+	F32LE: "f32le",
+	F32BE: "f32be",
+	F64LE: "f64le",
+	F64BE: "f64be",
+	MULAW: "mulaw", // G.711 mu-law, 1 byte per sample
+	ALAW: "alaw", // G.711 A-law, 1 byte per sample
+	IMA_ADPCM: "ima-adpcm", // IMA/DVI ADPCM, 4 bits per sample. Stateful, so decoded by an ImaAdpcmDecoder
+};
+Object.freeze(SampleFormat);
+
+// G.711 codes decode to 14/13-bit linear PCM on a 16-bit scale, so they're scaled like s16
+const MULAW_TABLE = createG711Table((code) => {
+	let u = ~code & 0xff;
+	let exponent = (u >> 4) & 0x07;
+	let magnitude = ((((u & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+
+	return u & 0x80 ? -magnitude : magnitude;
+});
+const ALAW_TABLE = createG711Table((code) => {
+	let a = code ^ 0x55;
+	let exponent = (a >> 4) & 0x07;
+	let mantissa = (a & 0x0f) << 4;
+	let magnitude = exponent === 0 ? mantissa + 8 : (mantissa + 0x108) << (exponent - 1);
+
+	return a & 0x80 ? magnitude : -magnitude;
+});
+
+// [bytes per sample, reads the sample at byte offset i and scales it to -1 < n < 1]. Integers are scaled
+// the same way as the TypedArrays of the same width are by toFloat32()
+const SAMPLE_DECODERS = {
+	[SampleFormat.U8]: [1, (view, i) => (view.getUint8(i) - 127) / 127],
+	[SampleFormat.S8]: [1, (view, i) => view.getInt8(i) / 127],
+	[SampleFormat.S16LE]: [2, (view, i) => view.getInt16(i, true) / 32767],
+	[SampleFormat.S16BE]: [2, (view, i) => view.getInt16(i, false) / 32767],
+	[SampleFormat.S24LE]: [3, (view, i) => getInt24(view, i, true) / 8388607],
+	[SampleFormat.S24BE]: [3, (view, i) => getInt24(view, i, false) / 8388607],
+	[SampleFormat.S32LE]: [4, (view, i) => view.getInt32(i, true) / 2147483647],
+	[SampleFormat.S32BE]: [4, (view, i) => view.getInt32(i, false) / 2147483647],
+	[SampleFormat.F32LE]: [4, (view, i) => view.getFloat32(i, true)],
+	[SampleFormat.F32BE]: [4, (view, i) => view.getFloat32(i, false)],
+	[SampleFormat.F64LE]: [8, (view, i) => view.getFloat64(i, true)],
+	[SampleFormat.F64BE]: [8, (view, i) => view.getFloat64(i, false)],
+	[SampleFormat.MULAW]: [1, (view, i) => MULAW_TABLE[view.getUint8(i)]],
+	[SampleFormat.ALAW]: [1, (view, i) => ALAW_TABLE[view.getUint8(i)]],
+};
+
 /**
  * converts and *scales* TypedArray to Float32 where samples are scaled from
  * TypedArray.minValue < n < TypedArray.maxValue to -1 < n < 1
  *
- * @param  {TypedArray} data A TypedArray containing audio samples
- * @return {TypedArray}      The float32 representations scaled to -1 < n < 1
+ * If `sampleFormat` is given, `data` is treated as raw bytes instead, whatever its type, and decoded
+ * according to the format. That way, packed 24-bit and big-endian PCM can be converted too
+ *
+ * @param  {TypedArray|ArrayBuffer} data         A TypedArray containing audio samples, or raw PCM bytes
+ * @param  {String}                 sampleFormat One of SampleFormat. Optional
+ * @return {TypedArray}                          The float32 representations scaled to -1 < n < 1
  */
-export function toFloat32(data) {
+export function toFloat32(data, sampleFormat) {
+	if (sampleFormat !== undefined) return decodeSamples(data, sampleFormat);
+
 	let divisor = maxValueForTypedArray(data);
 	let float32 = new Float32Array(data.length);
 
 	switch (data.constructor) {
 		case Float32Array:
 			return data;
+		case Float64Array:
+			float32.set(data);
+			break;
 		case Int8Array:
 		case Int16Array:
 		case Int32Array:
@@ -120,6 +201,7 @@ export function toFloat32(data) {
 function maxValueForTypedArray(array) {
 	switch (array.constructor) {
 		case Float32Array:
+		case Float64Array:
 			return 1;
 		case Int8Array:
 		case Uint8Array:
@@ -134,3 +216,127 @@ function maxValueForTypedArray(array) {
 			throw `Unsupport data type ${array.constructor}`;
 	}
 }
+
+/**
+ * Decodes raw PCM bytes to Float32, scaled to -1 < n < 1
+ *
+ * @param  {TypedArray|ArrayBuffer} data         Raw PCM bytes. TypedArrays are read byte for byte
+ * @param  {String}                 sampleFormat One of SampleFormat
+ * @return {Float32Array}                        The decoded samples
+ */
+function decodeSamples(data, sampleFormat) {
+	if (sampleFormat === SampleFormat.IMA_ADPCM)
+		throw "ima-adpcm depends on the rest of the stream, so must be decoded by an ImaAdpcmDecoder";
+
+	let decoder = SAMPLE_DECODERS[sampleFormat];
+	if (decoder === undefined) throw `invalid sampleFormat ${sampleFormat}`;
+
+	let [bytesPerSample, read] = decoder;
+	let view = ArrayBuffer.isView(data)
+		? new DataView(data.buffer, data.byteOffset, data.byteLength)
+		: new DataView(data);
+
+	if (view.byteLength % bytesPerSample !== 0)
+		throw Error(`${view.byteLength} bytes isn't a whole number of ${sampleFormat} samples`);
+
+	let float32 = new Float32Array(view.byteLength / bytesPerSample);
+	for (let i = 0; i < float32.length; i++) float32[i] = read(view, i * bytesPerSample);
+
+	return float32;
+}
+
+/**
+ * How far sequence number `a` is ahead of `b`, allowing for 16-bit sequence numbers (e.g. RTP's) wrapping
+ * from 65535 to 0. Serial number arithmetic, as in RFC 1982: numbers less than 32768 apart compare as
+ * expected, whether or not they've wrapped
+ *
+ * @param  {Number} a A sequence number
+ * @param  {Number} b Another sequence number
+ * @return {Number}   a - b, modulo 65536, in -32768 <= n < 32768. Negative if `a` comes before `b`
+ */
+export function seqDistance(a, b) {
+	return ((((a - b) % 0x10000) + 0x18000) % 0x10000) - 0x8000;
+}
+
+/**
+ * The number of bytes each sample of a format takes
+ *
+ * @param  {String} sampleFormat One of SampleFormat, other than 'ima-adpcm'
+ * @return {Number}              Bytes per sample
+ */
+export function bytesPerSample(sampleFormat) {
+	let decoder = SAMPLE_DECODERS[sampleFormat];
+	if (decoder === undefined) throw `invalid sampleFormat ${sampleFormat}`;
+
+	return decoder[0];
+}
+
+/**
+ * Builds a lookup table of the 256 codes of a G.711 codec, scaled to -1 < n < 1
+ *
+ * @param  {Function}     decode Decodes a code (0 - 255) to a 16-bit scale linear sample
+ * @return {Float32Array}        The decoded sample of each code
+ */
+function createG711Table(decode) {
+	let table = new Float32Array(256);
+	for (let code = 0; code < 256; code++) table[code] = decode(code) / 32767;
+
+	return table;
+}
+
+/**
+ * Reads a packed, signed 24-bit integer
+ *
+ * @param  {DataView} view         View of the bytes
+ * @param  {Number}   byteOffset   Offset of the integer's first byte
+ * @param  {Boolean}  littleEndian Whether the least significant byte comes first
+ * @return {Number}                The integer
+ */
+function getInt24(view, byteOffset, littleEndian) {
+	if (littleEndian) {
+		return (
+			(view.getInt8(byteOffset + 2) << 16) |
+			(view.getUint8(byteOffset + 1) << 8) |
+			view.getUint8(byteOffset)
+		);
+	}
+
+	return (
+		(view.getInt8(byteOffset) << 16) |
+		(view.getUint8(byteOffset + 1) << 8) |
+		view.getUint8(byteOffset + 2)
+	);
+}
+
+/**
+ * Whether memory can be shared between threads. SharedArrayBuffer is only exposed (or usable) in
+ * cross-origin isolated contexts: https://developer.mozilla.org/en-US/docs/Web/API/crossOriginIsolated
+ *
+ * @return { Boolean } True if SharedArrayBuffer + Atomics can be used
+ */
+export function supportsSharedMemory() {
+	return (
+		typeof SharedArrayBuffer !== "undefined" &&
+		typeof Atomics !== "undefined" &&
+		globalThis.crossOriginIsolated === true
+	);
+}
+
+// approximate delay (in samples at the lower of the two rates) of each libsamplerate.ConverterType: half
+// the length of the sinc filters, or a single sample for zero order hold and linear
+const CONVERTER_DELAYS = [143, 46, 19, 1, 1];
+
+/**
+ * Estimates the delay of libsamplerate's filter, i.e. how much of its input it holds back. libsamplerate
+ * doesn't process data at all if the input and output sample rates match
+ *
+ * @param  { Number } converterType    One of libsamplerate.ConverterType
+ * @param  { Number } inputSampleRate  Sample rate of incoming audio
+ * @param  { Number } outputSampleRate Sample rate of outgoing audio
+ * @return { Number }                  The delay, in seconds
+ */
+export function getConverterDelay(converterType, inputSampleRate, outputSampleRate) {
+	if (inputSampleRate === outputSampleRate) return 0;
+
+	return CONVERTER_DELAYS[converterType] / Math.min(inputSampleRate, outputSampleRate);
+}
@@ -0,0 +1,245 @@
+import { SampleFormat } from "./util.js";
+
+// format tags of the `fmt ` chunk
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_ALAW = 0x0006;
+const WAVE_FORMAT_MULAW = 0x0007;
+const WAVE_FORMAT_IMA_ADPCM = 0x0011;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+// the data chunk size written by encoders which don't know the length of the stream up front
+const UNKNOWN_SIZE = 0xffffffff;
+
+/**
+ * Parses a RIFF/WAV stream chunk by chunk. Chunks may split the header or sample frames at any byte.
+ * Calls onFormat() once the `fmt ` chunk has been read, then onData() with whole sample frames (or ADPCM
+ * blocks) of the `data` chunk as they arrive, then onEnd() once all of it has been read. Other chunks
+ * are skipped.
+ */
+export default class WavStreamParser {
+	/** Constructor */
+	constructor() {
+		this._pending = new Uint8Array(0);
+		this._state = "riff"; // riff -> chunkHeader -> fmt | data | skip -> ... -> end
+		this._chunkSize = 0; // bytes left of the current chunk
+		this._format = null;
+	}
+
+	/**
+	 * The stream's format, or null until its `fmt ` chunk has been read:
+	 * {
+	 *     formatTag:     { Number } The WAVE_FORMAT_* tag. The sub-format's for WAVE_FORMAT_EXTENSIBLE
+	 *     nChannels:     { Number }
+	 *     sampleRate:    { Number }
+	 *     bitsPerSample: { Number }
+	 *     blockAlign:    { Number } Bytes per sample frame, or per block of ADPCM
+	 *     sampleFormat:  { String } One of SampleFormat, to decode the data with
+	 * }
+	 */
+	get format() {
+		return this._format;
+	}
+
+	/**
+	 * Parses the next chunk of the stream
+	 *
+	 * @param { Uint8Array|ArrayBuffer } chunk The next bytes of the stream
+	 */
+	push(chunk) {
+		let bytes = ArrayBuffer.isView(chunk)
+			? new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+			: new Uint8Array(chunk);
+
+		if (this._pending.length > 0) {
+			let joined = new Uint8Array(this._pending.length + bytes.length);
+			joined.set(this._pending);
+			joined.set(bytes, this._pending.length);
+			bytes = joined;
+		}
+
+		let pos = 0;
+
+		while (pos < bytes.length && this._state !== "end") {
+			let nUsed = this._parse(bytes.subarray(pos));
+			if (nUsed === 0) break; // needs more bytes
+
+			pos += nUsed;
+		}
+
+		// copied, so the caller's buffer isn't held on to
+		this._pending = bytes.slice(pos);
+	}
+
+	/**
+	 * Called once the `fmt ` chunk has been read. Override me.
+	 *
+	 * @param { Object } format See the format getter
+	 */
+	/* eslint-disable-next-line */
+	onFormat(format) {}
+
+	/**
+	 * Called with each run of whole sample frames (or ADPCM blocks) of the `data` chunk. Override me.
+	 *
+	 * @param { Uint8Array } bytes The encoded samples. Only valid until onData() returns, unless copied
+	 */
+	/* eslint-disable-next-line */
+	onData(bytes) {}
+
+	/**
+	 * Called once all of the `data` chunk has been read. Never called if the header didn't give its size.
+	 * Override me.
+	 */
+	onEnd() {}
+
+	/**
+	 * Parses as much of the current part of the stream as `bytes` holds
+	 *
+	 * @param  { Uint8Array } bytes The unparsed bytes
+	 * @return { Number }           The number of bytes used. 0 if more are needed
+	 */
+	_parse(bytes) {
+		let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+		switch (this._state) {
+			case "riff": {
+				if (bytes.length < 12) return 0;
+				if (readId(bytes, 0) !== "RIFF" || readId(bytes, 8) !== "WAVE")
+					throw "not a RIFF/WAV stream";
+
+				this._state = "chunkHeader";
+				return 12;
+			}
+			case "chunkHeader": {
+				if (bytes.length < 8) return 0;
+
+				let id = readId(bytes, 0);
+				this._chunkSize = view.getUint32(4, true);
+
+				if (id === "fmt ") {
+					this._state = "fmt";
+				} else if (id === "data") {
+					if (this._format === null) throw "WAV data chunk comes before its fmt chunk";
+					if (this._chunkSize === UNKNOWN_SIZE || this._chunkSize === 0)
+						this._chunkSize = Infinity;
+					this._state = "data";
+				} else if (this._chunkSize > 0) {
+					this._chunkSize += this._chunkSize % 2; // chunks are padded to even sizes
+					this._state = "skip";
+				}
+
+				return 8;
+			}
+			case "fmt": {
+				let size = this._chunkSize + (this._chunkSize % 2);
+				if (bytes.length < size) return 0;
+
+				this._format = parseFormat(view, this._chunkSize);
+				this._state = "chunkHeader";
+				this.onFormat(this._format);
+
+				return size;
+			}
+			case "data": {
+				let blockAlign = this._format.blockAlign;
+				let nBytes = Math.min(bytes.length, this._chunkSize);
+				nBytes -= nBytes % blockAlign;
+
+				// a data chunk which isn't a whole number of blocks ends with a partial one, e.g. ADPCM
+				if (nBytes === 0 && this._chunkSize < blockAlign && bytes.length >= this._chunkSize) {
+					nBytes = this._chunkSize;
+				}
+				if (nBytes === 0) return 0;
+
+				this._chunkSize -= nBytes;
+				this.onData(bytes.subarray(0, nBytes));
+
+				if (this._chunkSize === 0) {
+					this._state = "end";
+					this.onEnd();
+				}
+
+				return nBytes;
+			}
+			case "skip": {
+				let nBytes = Math.min(bytes.length, this._chunkSize);
+
+				this._chunkSize -= nBytes;
+				if (this._chunkSize === 0) this._state = "chunkHeader";
+
+				return nBytes;
+			}
+		}
+	}
+}
+
+/**
+ * Reads a four character code, e.g. a chunk id
+ *
+ * @param  { Uint8Array } bytes  Bytes of the stream
+ * @param  { Number }     offset Offset of the code
+ * @return { String }            The code
+ */
+function readId(bytes, offset) {
+	return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Reads the fields of a `fmt ` chunk, and works out which SampleFormat decodes the data
+ *
+ * @param  { DataView } view Starts at the chunk's body
+ * @param  { Number }   size Size of the chunk's body
+ * @return { Object }        See WavStreamParser.format
+ */
+function parseFormat(view, size) {
+	if (size < 16) throw `WAV fmt chunk is too short (${size} bytes)`;
+
+	let formatTag = view.getUint16(0, true);
+	let bitsPerSample = view.getUint16(14, true);
+
+	// the real format tag is the first 2 bytes of the sub-format GUID
+	if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 26) formatTag = view.getUint16(24, true);
+
+	return {
+		formatTag: formatTag,
+		nChannels: view.getUint16(2, true),
+		sampleRate: view.getUint32(4, true),
+		bitsPerSample: bitsPerSample,
+		blockAlign: view.getUint16(12, true),
+		sampleFormat: toSampleFormat(formatTag, bitsPerSample),
+	};
+}
+
+/**
+ * Maps a WAV format tag + bit depth to a SampleFormat
+ *
+ * @param  { Number } formatTag     One of WAVE_FORMAT_*
+ * @param  { Number } bitsPerSample Bits per sample
+ * @return { String }               One of SampleFormat
+ */
+function toSampleFormat(formatTag, bitsPerSample) {
+	let sampleFormat;
+
+	if (formatTag === WAVE_FORMAT_PCM) {
+		sampleFormat = {
+			8: SampleFormat.U8,
+			16: SampleFormat.S16LE,
+			24: SampleFormat.S24LE,
+			32: SampleFormat.S32LE,
+		}[bitsPerSample];
+	} else if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+		sampleFormat = { 32: SampleFormat.F32LE, 64: SampleFormat.F64LE }[bitsPerSample];
+	} else if (formatTag === WAVE_FORMAT_ALAW) {
+		sampleFormat = SampleFormat.ALAW;
+	} else if (formatTag === WAVE_FORMAT_MULAW) {
+		sampleFormat = SampleFormat.MULAW;
+	} else if (formatTag === WAVE_FORMAT_IMA_ADPCM) {
+		sampleFormat = SampleFormat.IMA_ADPCM;
+	}
+
+	if (sampleFormat === undefined)
+		throw `unsupported WAV format: tag ${formatTag}, ${bitsPerSample} bits per sample`;
+
+	return sampleFormat;
+}
@@ -1,8 +1,14 @@
 import AbstractProcessor from "./abstract-processor";
+import { AssetType, LoadError } from "./load-error";
+import { getConverterDelay } from "./util";
+
+// time (ms) destroy() waits for the worker to clean up, before terminating it anyway
+const DESTROY_TIMEOUT = 1000;
 
 /**
  * Initializes a WebWorker (which initializes the web assembly module), and then once init complete,
- * resolve() with a new instance of WorkerResampler
+ * resolve() with a new instance of WorkerResampler. Rejects with a LoadError if either the worker or the
+ * web assembly module fail to load, or if init doesn't complete within `initTimeout` ms
  *
  * *** Unexpected Behavior ***
  * If the following sequence is executed:
@@ -20,7 +26,8 @@ import AbstractProcessor from "./abstract-processor";
  * @param { Number } converterType    One of libsamplerate.ConverterType:
  *                                    http://www.mega-nerd.com/SRC/api_misc.html#Converters
  * @param { String } pathToWorker     Path from server root to feeder-node.worker.js
- * @param { String } pathToWorklet    Path from server root to libsamplerate.wasm
+ * @param { String } pathToWasm       Path from server root to libsamplerate.wasm
+ * @param { Number } initTimeout      Time (ms) to wait for the worker to initialize before rejecting
  *
  */
 export default function createWorkerResampler(
@@ -29,12 +36,43 @@ export default function createWorkerResampler(
 	outputSampleRate,
 	converterType,
 	pathToWorker,
-	pathToWasm
+	pathToWasm,
+	initTimeout = 10000
 ) {
-	return new Promise((resolve) => {
-		let worker = new Worker(pathToWorker);
+	return new Promise((resolve, reject) => {
+		let worker;
+		let settled = false;
+
+		const fail = (asset, url, cause) => {
+			if (settled) return;
+			settled = true;
+
+			clearTimeout(timeout);
+			if (worker !== undefined) worker.terminate();
+			reject(new LoadError(asset, url, cause));
+		};
+
+		let timeout = setTimeout(() => {
+			fail(AssetType.WORKER, pathToWorker, `timed out after ${initTimeout}ms`);
+		}, initTimeout);
+
+		try {
+			worker = new Worker(pathToWorker);
+		} catch (err) {
+			return fail(AssetType.WORKER, pathToWorker, err);
+		}
+
+		worker.onerror = (e) => fail(AssetType.WORKER, pathToWorker, e);
+
+		worker.onmessage = (e) => {
+			if (e.data.command === "initError") {
+				return fail(AssetType.WASM, pathToWasm, e.data.error);
+			}
+
+			settled = true;
+			clearTimeout(timeout);
+			worker.onerror = null;
 
-		worker.onmessage = () => {
 			resolve(
 				new WorkerResampler(
 					nChannels,
@@ -54,8 +92,6 @@ export default function createWorkerResampler(
 			converterType: converterType,
 			pathToWasm: pathToWasm,
 		});
-
-		// resolve();
 	});
 }
 
@@ -83,20 +119,24 @@ class WorkerResampler extends AbstractProcessor {
 	) {
 		super(inputSampleRate, outputSampleRate);
 
+		this.converterType = converterType;
 		this.worker = worker;
 
 		this.worker.onmessage = this._onMessage.bind(this);
+		this.worker.onerror = (e) => this.onError(e);
 	}
 
 	/**
 	 * Passes data off to this.worker for resampling
 	 *
 	 * @param {ArrayBuffer} interleavedFloat32Data A float32Array of interleaved/mono audio data
+	 * @param {Object}      meta                   Packet info, passed along with the resampled data
 	 */
-	processBatch(interleavedFloat32Data) {
-		this.worker.postMessage({ command: "feed", data: interleavedFloat32Data }, [
-			interleavedFloat32Data.buffer,
-		]);
+	processBatch(interleavedFloat32Data, meta) {
+		this.worker.postMessage(
+			{ command: "feed", data: interleavedFloat32Data, meta: meta },
+			[interleavedFloat32Data.buffer]
+		);
 	}
 
 	/**
@@ -110,11 +150,122 @@ class WorkerResampler extends AbstractProcessor {
 	}
 
 	/**
-	 * Called by the worker when a batch has been successfully resampled
+	 * Sets a SharedRingBuffer for the worker to write processed data to. Must be called after setPort();
+	 * the worker passes the buffer on to the other end of the port, which should read from it from then on
+	 *
+	 * @param { Object } sharedBuffers The `sharedBuffers` of a SharedRingBuffer
+	 */
+	setSharedBuffer(sharedBuffers) {
+		this.worker.postMessage({
+			command: "useSharedBuffer",
+			sharedBuffers: sharedBuffers,
+		});
+	}
+
+	/**
+	 * Scales the resampling ratio of the worker's libsamplerate instance
+	 *
+	 * @param { Number } scale Factor to scale the ratio by. 1 for no compensation
+	 */
+	setRatioScale(scale) {
+		this.worker.postMessage({ command: "setRatioScale", scale: scale });
+	}
+
+	/**
+	 * Has the worker decode each batch before resampling it, so that decoding stays off the main thread
+	 *
+	 * @param { String } sampleFormat Only SampleFormat.IMA_ADPCM is supported
+	 * @param { Object } options      { nChannels, blockAlign }. See ImaAdpcmDecoder
+	 */
+	setInputFormat(sampleFormat, options) {
+		this.worker.postMessage({
+			command: "setInputFormat",
+			sampleFormat: sampleFormat,
+			options: options,
+		});
+	}
+
+	/**
+	 * Has the worker mix resampled data thru `matrix`, before it's sent on to the backend
+	 *
+	 * @param { Array } matrix See ChannelMixer
+	 */
+	setOutputMatrix(matrix) {
+		this.worker.postMessage({ command: "setOutputMatrix", matrix: matrix });
+	}
+
+	/**
+	 * Estimates the delay of libsamplerate's filter. libsamplerate doesn't process data at all if the input
+	 * and output sample rates match
+	 *
+	 * @return { Number } The delay, in seconds
+	 */
+	getDelay() {
+		return getConverterDelay(this.converterType, this.inputSampleRate, this.outputSampleRate);
+	}
+
+	/**
+	 * Asks the worker to push the tail held back by libsamplerate's filter thru to the backend. Once done,
+	 * the worker tells the backend that the stream has ended if they're connected by a MessagePort, or
+	 * onFlushed() is called otherwise
+	 *
+	 * @param { Boolean } withTail false to skip flushing the tail, e.g. if the backend needs packet info
+	 */
+	flush(withTail = true) {
+		this.worker.postMessage({ command: "flush", withTail: withTail });
+	}
+
+	/**
+	 * Asks the worker to reset libsamplerate's filter state. Once done, the worker clears the backend's
+	 * buffer itself if they're connected by a MessagePort, so that data resampled before the reset doesn't
+	 * arrive after the clear. onReset() is called otherwise
+	 *
+	 * @param { Number } fadeMs Passed on to the backend's clearBuffer()
+	 */
+	reset(fadeMs = 0) {
+		this.worker.postMessage({ command: "reset", fadeMs: fadeMs });
+	}
+
+	/**
+	 * Asks the worker to release libsamplerate + its MessagePort, then terminates the worker. A worker
+	 * which has crashed, or doesn't answer within DESTROY_TIMEOUT ms, is terminated anyway
+	 *
+	 * @return { Promise } Resolves once the worker has been terminated
+	 */
+	destroy() {
+		return new Promise((resolve) => {
+			let timeout = setTimeout(() => this._onDestroyed(), DESTROY_TIMEOUT);
+
+			this._onDestroyed = () => {
+				clearTimeout(timeout);
+				this._onDestroyed = () => {};
+
+				this.worker.terminate();
+				resolve();
+			};
+			this.worker.onerror = () => this._onDestroyed();
+
+			this.worker.postMessage({ command: "destroy" });
+		});
+	}
+
+	/**
+	 * Called by the worker when a batch has been successfully resampled, when it overflowed the shared
+	 * buffer, once it has been flushed or reset, or once it has been destroyed
 	 *
 	 * @param {Event} e https://developer.mozilla.org/en-US/docs/Web/API/MessagePort
 	 */
 	_onMessage(e) {
-		this.onProcessed(e.data);
+		if (e.data.command === "processed") {
+			this.onProcessed(e.data.data, e.data.meta);
+		} else if (e.data.command === "overflow") {
+			this.onOverflow(e.data.nDropped);
+		} else if (e.data.command === "reset") {
+			this.onReset(e.data.fadeMs);
+		} else if (e.data.command === "flushed") {
+			this.onFlushed();
+		} else if (e.data.command === "destroyed") {
+			this._onDestroyed();
+		}
 	}
 }
@@ -20,4 +20,28 @@ test('setPort doesnt throw... or do anything', () => {
 	let ap = new AbstractProcessor();
 
 	ap.setPort();
-});
\ No newline at end of file
+});
+
+test('getDelay() defaults to 0', () => {
+	let ap = new AbstractProcessor();
+
+	expect(ap.getDelay()).toBe(0);
+});
+
+test('flush() calls onFlushed() straight away', () => {
+	let ap = new AbstractProcessor();
+	ap.onFlushed = jest.fn();
+
+	ap.flush();
+
+	expect(ap.onFlushed).toHaveBeenCalledTimes(1);
+});
+
+test('reset() calls onReset() straight away', () => {
+	let ap = new AbstractProcessor();
+	ap.onReset = jest.fn();
+
+	ap.reset(5);
+
+	expect(ap.onReset).toHaveBeenCalledWith(5);
+});
@@ -0,0 +1,104 @@
+import AudioQueue from '../src/audio-queue.js';
+import { OverflowPolicy } from '../src/abstract-backend';
+
+function ramp(start, length) {
+	let data = new Float32Array(length);
+	for (let i = 0; i < data.length; i++) {
+		data[i] = start + i;
+	}
+	return data;
+}
+
+test('creating AudioQueue with capacity < 1, channels < 1 or an unknown overflowPolicy fails', () => {
+	expect(() => new AudioQueue(0, 1)).toThrow();
+	expect(() => new AudioQueue(100, 0)).toThrow();
+	expect(() => new AudioQueue(100, 1, 'overwrite')).toThrow();
+});
+
+test('bufferLength is the capacity, not the number of queued samples', () => {
+	let queue = new AudioQueue(100, 2);
+
+	queue.write(ramp(0, 20));
+
+	expect(queue.bufferLength).toBe(100);
+	expect(queue.getNReadableSamples()).toBe(10);
+});
+
+test('reads consume data in order, across chunks', () => {
+	let queue = new AudioQueue(100, 2);
+
+	queue.write(new Float32Array([0, 1, 2, 3]));
+	queue.write(new Float32Array([4, 5, 6, 7]));
+
+	let channels = queue.read(3);
+	expect(Array.from(channels[0])).toEqual([0, 2, 4]);
+	expect(Array.from(channels[1])).toEqual([1, 3, 5]);
+	expect(queue.getNReadableSamples()).toBe(1);
+});
+
+test('writes within capacity drop nothing', () => {
+	let queue = new AudioQueue(10, 1);
+
+	expect(queue.write(ramp(0, 10))).toEqual([false, 10, 0]);
+	expect(queue.getNReadableSamples()).toBe(10);
+});
+
+test('by default, the queue grows without limit', () => {
+	let queue = new AudioQueue(10, 1);
+
+	queue.write(ramp(0, 8));
+	expect(queue.write(ramp(8, 8))).toEqual([true, 16, 0]);
+	expect(queue.getNReadableSamples()).toBe(16);
+});
+
+test('grow raises the capacity to fit', () => {
+	let queue = new AudioQueue(10, 1, OverflowPolicy.GROW);
+
+	queue.write(ramp(0, 8));
+	expect(queue.write(ramp(8, 4))).toEqual([true, 12, 0]);
+	expect(Array.from(queue.read(12)[0])).toEqual(Array.from(ramp(0, 12)));
+});
+
+test('drop-oldest discards queued data to make room', () => {
+	let queue = new AudioQueue(4, 2, OverflowPolicy.DROP_OLDEST);
+
+	queue.write(new Float32Array([0, 0, 1, 1, 2, 2]));
+	expect(queue.write(new Float32Array([3, 3, 4, 4]))).toEqual([false, 4, 1]);
+
+	let channels = queue.read(4);
+	expect(Array.from(channels[0])).toEqual([1, 2, 3, 4]);
+	expect(Array.from(channels[1])).toEqual([1, 2, 3, 4]);
+});
+
+test('drop-oldest keeps the tail of a chunk longer than the capacity', () => {
+	let queue = new AudioQueue(4, 1, OverflowPolicy.DROP_OLDEST);
+
+	queue.write(ramp(0, 2));
+	expect(queue.write(ramp(2, 6))).toEqual([false, 4, 4]);
+	expect(Array.from(queue.read(4)[0])).toEqual([4, 5, 6, 7]);
+});
+
+test('drop-newest queues as much as fits', () => {
+	let queue = new AudioQueue(4, 1, OverflowPolicy.DROP_NEWEST);
+
+	queue.write(ramp(0, 2));
+	expect(queue.write(ramp(2, 4))).toEqual([false, 4, 2]);
+	expect(Array.from(queue.read(4)[0])).toEqual([0, 1, 2, 3]);
+});
+
+test('reject drops a chunk which does not fit entirely', () => {
+	let queue = new AudioQueue(4, 1, OverflowPolicy.REJECT);
+
+	queue.write(ramp(0, 2));
+	expect(queue.write(ramp(2, 3))).toEqual([false, 4, 3]);
+	expect(queue.getNReadableSamples()).toBe(2);
+});
+
+test('clear empties the queue', () => {
+	let queue = new AudioQueue(10, 1);
+
+	queue.write(ramp(0, 5));
+	expect(queue.clear()).toBe(5);
+
+	expect(queue.getNReadableSamples()).toBe(0);
+});
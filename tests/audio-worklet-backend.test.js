@@ -3,7 +3,30 @@ import 'babel-polyfill';
 import createAudioWorklet from 'AUDIO_WORKLET_BACKEND';
 import { BackendState } from '../src/abstract-backend';
 
+class AudioParamMock {
+	value = 1;
+	events = [];
+
+	cancelScheduledValues(time) {
+		this.events.push(['cancel', time]);
+	}
+
+	setValueAtTime(value, time) {
+		this.events.push(['set', value, time]);
+	}
+
+	linearRampToValueAtTime(value, time) {
+		this.events.push(['ramp', value, time]);
+	}
+}
+
 class AudioWorkletNode {
+	constructor(context) {
+		this.context = context;
+	}
+
+	parameters = new Map([['gain', new AudioParamMock()]]);
+
 	connect(destination) {
 
 	}
@@ -26,9 +49,15 @@ class AudioWorkletNode {
 				this.port.onmessage({data: { command: 'stateChange', state: data.state }})
 			} else if (data.command === 'bad command') {
 				this.port.onmessage({data: { command: 'bad command' }});
+			} else if (data.command === 'destroy') {
+				this.port.onmessage({data: { command: 'destroyed' }});
 			}
 		},
 
+		close: () => {
+			this.closed = true;
+		},
+
 		// gets overridden
 		onmessage: (data) => {}
 	}
@@ -203,3 +232,263 @@ test('audioNode.port.onmessage bad command throws', async () => {
 		worklet.audioNode.port.postMessage({command: 'bad command' });
 	}).toThrow('command bad command unrecognized');
 });
+
+test('failing to load the worklet module rejects with a LoadError', async () => {
+	let context = new AudioContext();
+	context.audioWorklet = { addModule: () => Promise.reject(new Error('404')) };
+
+	let pathToWorklet = '/missing.worklet.js';
+
+	await expect(createAudioWorklet(context, 2, 192000, 4096, pathToWorklet)).rejects.toMatchObject({
+		name: 'LoadError',
+		asset: 'worklet',
+		url: pathToWorklet,
+		message: `failed to load worklet from ${pathToWorklet}: 404`,
+	});
+});
+
+test('worklet module which never loads rejects after initTimeout', async () => {
+	let context = new AudioContext();
+	context.audioWorklet = { addModule: () => new Promise(() => {}) };
+
+	let pathToWorklet = '/slow.worklet.js';
+
+	await expect(createAudioWorklet(context, 2, 192000, 4096, pathToWorklet, undefined, 10)).rejects.toMatchObject({
+		asset: 'worklet',
+		url: pathToWorklet,
+		cause: 'timed out after 10ms',
+	});
+});
+
+test('a worklet module which loads after initTimeout doesn\'t create a node', async () => {
+	let context = new AudioContext();
+	let loaded;
+	context.audioWorklet = { addModule: () => new Promise((resolve) => (loaded = resolve)) };
+
+	let created = jest.fn();
+	let Node = global.AudioWorkletNode;
+	global.AudioWorkletNode = class extends Node {
+		constructor(context) {
+			super(context);
+			created();
+		}
+	};
+
+	let promise = createAudioWorklet(context, 2, 192000, 4096, '/slow.worklet.js', undefined, 10);
+	await expect(promise).rejects.toMatchObject({ cause: 'timed out after 10ms' });
+
+	loaded();
+	await new Promise((resolve) => setTimeout(resolve, 0));
+	expect(created).not.toHaveBeenCalled();
+
+	global.AudioWorkletNode = Node;
+});
+
+test('destroy() disconnects and resolves once the processor has been released', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let spy = jest.spyOn(worklet.audioNode, 'disconnect');
+
+	await worklet.destroy();
+
+	expect(spy).toHaveBeenCalledTimes(1);
+	expect(worklet.audioNode.closed).toBe(true);
+	expect(worklet.state).toBe(BackendState.UNINITIALIZED);
+});
+
+test('audioNode.port.onmessage command overflow calls onOverflow', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	worklet.onOverflow = jest.fn();
+
+	worklet.audioNode.port.onmessage({ data: { command: 'overflow', nDropped: 64 } });
+
+	expect(worklet.onOverflow).toHaveBeenCalledWith(64);
+});
+
+test('requestDrain() passes the request to the audio thread, and drain calls onDrain()', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	worklet.onDrain = jest.fn();
+	let spy = jest.spyOn(worklet.audioNode.port, 'postMessage');
+
+	worklet.requestDrain(1024, 3);
+	expect(spy).toHaveBeenCalledWith({ command: 'requestDrain', threshold: 1024, nChunks: 3 });
+
+	worklet.audioNode.port.onmessage({ data: { command: 'drain', bufferFill: 512, nChunksWritten: 3 } });
+
+	expect(worklet.onDrain).toHaveBeenCalledTimes(1);
+	expect(worklet.getNChunksWritten()).toBe(3);
+	expect(worklet._currentBufferFill).toBe(512);
+});
+
+test('getNFramesPlayed() and getNFramesCleared() return the last counts reported by the audio thread', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let spy = jest.spyOn(worklet.audioNode.port, 'postMessage');
+
+	worklet.audioNode.port.onmessage({ data: { command: 'bufferFillUpdate', bufferFill: 0, nChunksWritten: 1, nFramesPlayed: 384, nFramesCleared: 96 } });
+
+	expect(worklet.getNFramesPlayed()).toBe(384);
+	expect(worklet.getNFramesCleared()).toBe(96);
+	expect(spy).not.toHaveBeenCalled();
+});
+
+test('getPlaybackCounters() returns values from one report and requests one update', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let spy = jest.spyOn(worklet.audioNode.port, 'postMessage');
+
+	worklet.audioNode.port.onmessage({ data: { command: 'bufferFillUpdate', bufferFill: 256, nChunksWritten: 1, nFramesPlayed: 384, nFramesCleared: 96 } });
+
+	expect(worklet.getPlaybackCounters()).toEqual({ bufferFill: 256, nFramesPlayed: 384, nFramesCleared: 96 });
+	expect(spy).toHaveBeenCalledTimes(1);
+	expect(spy).toHaveBeenCalledWith({ command: 'getBufferFill' });
+});
+
+test('queryState() resolves with the answer to its own request', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let spy = jest.spyOn(worklet.audioNode.port, 'postMessage');
+
+	let first = worklet.queryState();
+	let second = worklet.getBufferFillAsync();
+
+	expect(spy).toHaveBeenNthCalledWith(1, { command: 'getBufferFill', callbackId: 1 });
+	expect(spy).toHaveBeenNthCalledWith(2, { command: 'getBufferFill', callbackId: 2 });
+
+	let update = { command: 'bufferFillUpdate', nChunksWritten: 4, nFramesPlayed: 256, nFramesCleared: 0, state: BackendState.PLAYING };
+	worklet.audioNode.port.onmessage({ data: { ...update, bufferFill: 900, callbackId: 2 } });
+	worklet.audioNode.port.onmessage({ data: { ...update, bufferFill: 1000, callbackId: 1 } });
+
+	await expect(first).resolves.toEqual({
+		bufferFill: 1000,
+		state: BackendState.PLAYING,
+		nChunksWritten: 4,
+		nFramesPlayed: 256,
+		nFramesCleared: 0,
+	});
+	await expect(second).resolves.toBe(900);
+});
+
+test('destroy() gives up on a processor which never answers, rejecting pending queries', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	worklet.audioNode.port.postMessage = () => {};
+	let pending = worklet.queryState();
+
+	jest.useFakeTimers();
+	let destroyed = worklet.destroy();
+	jest.advanceTimersByTime(1000);
+	jest.useRealTimers();
+
+	await destroyed;
+	await expect(pending).rejects.toThrow('backend destroyed before queryState() completed');
+	expect(worklet.audioNode.closed).toBe(true);
+});
+
+test('destroy() resolves straight away if the processor has crashed', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	worklet.audioNode.port.postMessage = () => {};
+
+	let destroyed = worklet.destroy();
+	worklet.audioNode.onprocessorerror({ type: 'processorerror' });
+
+	await destroyed;
+	expect(worklet.audioNode.closed).toBe(true);
+});
+
+test('queryState() rejects if the backend is destroyed before the audio thread answers', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+
+	let pending = worklet.queryState();
+	await worklet.destroy();
+
+	await expect(pending).rejects.toThrow('destroyed');
+	await expect(worklet.queryState()).rejects.toThrow('uninitialized');
+});
+
+test('bufferLengthChange calls onBufferLengthChange(), and processor errors call onError()', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	worklet.onBufferLengthChange = jest.fn();
+	worklet.onError = jest.fn();
+
+	worklet.audioNode.port.onmessage({ data: { command: 'bufferLengthChange', bufferLength: 256000 } });
+	expect(worklet.onBufferLengthChange).toHaveBeenCalledWith(256000);
+
+	let event = { type: 'processorerror' };
+	worklet.audioNode.onprocessorerror(event);
+	expect(worklet.onError).toHaveBeenCalledWith(event);
+});
+
+test('end() tells the audio thread that no more data is coming', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let spy = jest.spyOn(worklet.audioNode.port, 'postMessage');
+
+	worklet.end();
+
+	expect(spy).toHaveBeenCalledWith({ command: 'end' });
+});
+
+test('pause() and resume() pass the fade to the audio thread', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let spy = jest.spyOn(worklet.audioNode.port, 'postMessage');
+
+	worklet.pause(20);
+	worklet.resume();
+
+	expect(spy).toHaveBeenCalledWith({ command: 'pause', fadeMs: 20 });
+	expect(spy).toHaveBeenCalledWith({ command: 'resume', fadeMs: 0 });
+});
+
+test('clearBuffer() passes the fade to the audio thread', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let spy = jest.spyOn(worklet.audioNode.port, 'postMessage');
+
+	worklet.clearBuffer(5);
+	worklet.clearBuffer();
+
+	expect(spy).toHaveBeenCalledWith({ command: 'clearBuffer', fadeMs: 5 });
+	expect(spy).toHaveBeenCalledWith({ command: 'clearBuffer', fadeMs: 0 });
+});
+
+test('setGain() schedules a ramp of the gain AudioParam from its current value', async () => {
+	let context = new AudioContext();
+
+	let worklet = await createAudioWorklet(context, 2, 192000, 4096, '/feeder-node.worklet.js');
+	let now = context.currentTime;
+
+	worklet.setGain(0.5, 20);
+	expect(worklet.gain.events).toEqual([
+		['cancel', now],
+		['set', 1, now],
+		['ramp', 0.5, now + 0.02],
+	]);
+
+	worklet.gain.events = [];
+	worklet.setGain(0);
+	expect(worklet.gain.events).toEqual([
+		['cancel', now],
+		['set', 1, now],
+		['set', 0, now],
+	]);
+});
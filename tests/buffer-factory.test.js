@@ -0,0 +1,20 @@
+import createBuffer from '../src/buffer-factory.js';
+import RingBuffer from '../src/ring-buffer.js';
+import AudioQueue from '../src/audio-queue.js';
+import JitterBuffer from '../src/jitter-buffer.js';
+import { BufferType } from '../src/abstract-backend';
+
+test('creates the buffer matching bufferType', () => {
+	expect(createBuffer(BufferType.RING_BUFFER, 1024, 2, 44100)).toBeInstanceOf(RingBuffer);
+	expect(createBuffer(BufferType.FIFO_QUEUE, 1024, 2, 44100)).toBeInstanceOf(AudioQueue);
+	expect(createBuffer(undefined, 1024, 2, 44100)).toBeInstanceOf(RingBuffer);
+});
+
+test('passes sampleRate and options to JitterBuffer', () => {
+	let jb = createBuffer(BufferType.JITTER_BUFFER, 1024, 2, 44100, { minDelay: 50 });
+
+	expect(jb).toBeInstanceOf(JitterBuffer);
+	expect(jb.bufferLength).toBe(1024);
+	expect(jb.targetDelay).toBe(50);
+	expect(jb._sampleRate).toBe(44100);
+});
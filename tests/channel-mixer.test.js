@@ -0,0 +1,42 @@
+import ChannelMixer, { ChannelMix, createChannelMatrix } from '../src/channel-mixer.js';
+
+test('createChannelMatrix() defaults to duplicating mono, averaging to mono, and discrete otherwise', () => {
+	expect(createChannelMatrix(undefined, 2, 2)).toBe(null);
+	expect(createChannelMatrix(undefined, 1, 2)).toEqual([[1], [1]]);
+	expect(createChannelMatrix(undefined, 2, 1)).toEqual([[0.5, 0.5]]);
+	expect(createChannelMatrix(undefined, 2, 4)).toEqual([[1, 0], [0, 1], [0, 0], [0, 0]]);
+	expect(createChannelMatrix(undefined, 6, 2)).toEqual([[1, 0, 0, 0, 0, 0], [0, 1, 0, 0, 0, 0]]);
+});
+
+test('createChannelMatrix() builds presets, and passes matrices thru', () => {
+	expect(createChannelMatrix(ChannelMix.DUPLICATE, 2, 4)).toEqual([[1, 0], [0, 1], [1, 0], [0, 1]]);
+	expect(createChannelMatrix(ChannelMix.AVERAGE, 4, 2)).toEqual([[0.5, 0, 0.5, 0], [0, 0.5, 0, 0.5]]);
+	expect(createChannelMatrix(ChannelMix.DISCRETE, 1, 2)).toEqual([[1], [0]]);
+
+	let swap = [[0, 1], [1, 0]];
+	expect(createChannelMatrix(swap, 2, 2)).toBe(swap);
+});
+
+test('process() upmixes mono to stereo', () => {
+	let mixer = new ChannelMixer([[1], [1]]);
+
+	let mixed = mixer.process(new Float32Array([0.1, 0.2, 0.3]));
+
+	expect(Array.from(mixed)).toEqual(Array.from(new Float32Array([0.1, 0.1, 0.2, 0.2, 0.3, 0.3])));
+});
+
+test('process() downmixes stereo to mono', () => {
+	let mixer = new ChannelMixer([[0.5, 0.5]]);
+
+	let mixed = mixer.process(new Float32Array([1, 0, 0.5, 0.5, -1, 1]));
+
+	expect(Array.from(mixed)).toEqual([0.5, 0.5, 0]);
+});
+
+test('process() applies arbitrary gains', () => {
+	let mixer = new ChannelMixer([[0, 1], [0.5, 0.25]]);
+
+	let mixed = mixer.process(new Float32Array([1, 2, 4, 8]));
+
+	expect(Array.from(mixed)).toEqual([2, 1, 8, 4]);
+});
@@ -0,0 +1,111 @@
+import Concealer from '../src/concealer.js';
+
+const SAMPLE_RATE = 8000;
+const BATCH = 128;
+
+// 200Hz at 8kHz: a period of 40 samples
+function sine(start, length) {
+	let data = new Float32Array(length);
+	for (let i = 0; i < length; i++) {
+		data[i] = Math.sin((2 * Math.PI * (start + i)) / 40);
+	}
+	return data;
+}
+
+function playSine(concealer, nBatches) {
+	for (let b = 0; b < nBatches; b++) {
+		concealer.process([sine(b * BATCH, BATCH)], BATCH);
+	}
+}
+
+test('finds the pitch period of the played audio', () => {
+	let concealer = new Concealer(1, SAMPLE_RATE);
+
+	playSine(concealer, 4);
+
+	expect(concealer._findPeriod() % 40).toBe(0);
+});
+
+test('finds the exact pitch period at a high sample rate, where the search is decimated', () => {
+	let concealer = new Concealer(1, 48000);
+
+	// 300Hz at 48kHz: a period of 160 samples, which isn't a multiple of the decimation factor
+	for (let b = 0; b < 16; b++) {
+		let data = new Float32Array(BATCH);
+		for (let i = 0; i < BATCH; i++) data[i] = Math.sin((2 * Math.PI * (b * BATCH + i)) / 160);
+		concealer.process([data], BATCH);
+	}
+
+	expect(concealer._findPeriod() % 160).toBe(0);
+});
+
+test('real data passes thru untouched', () => {
+	let concealer = new Concealer(1, SAMPLE_RATE);
+	let batch = sine(0, BATCH);
+
+	concealer.process([batch], BATCH);
+
+	expect(batch).toEqual(sine(0, BATCH));
+});
+
+test('a starved batch continues the waveform, then fades out to silence', () => {
+	let concealer = new Concealer(1, SAMPLE_RATE, 60); // 480 samples
+	playSine(concealer, 4);
+
+	let concealed = new Float32Array(BATCH);
+	concealer.process([concealed], 0);
+
+	// the first concealed samples pick up where the real data left off
+	let expected = sine(4 * BATCH, 4);
+	for (let i = 0; i < 4; i++) {
+		expect(concealed[i]).toBeCloseTo(expected[i], 1);
+	}
+	expect(Math.abs(concealed[10])).toBeGreaterThan(Math.abs(concealed[90]));
+
+	for (let b = 0; b < 4; b++) concealer.process([new Float32Array(BATCH)], 0);
+
+	let silent = new Float32Array(BATCH).fill(1);
+	concealer.process([silent], 0);
+	expect(silent.every((s) => s === 0)).toBe(true);
+});
+
+test('a partially filled batch is concealed after the real data', () => {
+	let concealer = new Concealer(1, SAMPLE_RATE);
+	playSine(concealer, 4);
+
+	let batch = sine(4 * BATCH, BATCH);
+	batch.fill(0, 64);
+	concealer.process([batch], 64);
+
+	let expected = sine(4 * BATCH, BATCH);
+	expect(batch[63]).toBe(expected[63]);
+	expect(batch[64]).toBeCloseTo(expected[64], 1);
+	expect(concealer._concealing).toBe(true);
+});
+
+test('resumed data is crossfaded in', () => {
+	let concealer = new Concealer(1, SAMPLE_RATE, 1); // fade out almost immediately
+	playSine(concealer, 4);
+	concealer.process([new Float32Array(BATCH)], 0);
+
+	let resumed = new Float32Array(BATCH).fill(1);
+	concealer.process([resumed], BATCH);
+
+	// 5ms crossfade == 40 samples, from silence
+	expect(resumed[0]).toBe(0);
+	expect(resumed[20]).toBeCloseTo(0.5);
+	expect(resumed[40]).toBe(1);
+	expect(concealer._concealing).toBe(false);
+});
+
+test('reset forgets the played audio', () => {
+	let concealer = new Concealer(2, SAMPLE_RATE);
+	concealer.process([sine(0, BATCH), sine(0, BATCH)], BATCH);
+
+	concealer.reset();
+
+	let left = new Float32Array(BATCH);
+	let right = new Float32Array(BATCH);
+	concealer.process([left, right], 0);
+	expect(left.every((s) => s === 0) && right.every((s) => s === 0)).toBe(true);
+});
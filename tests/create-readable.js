@@ -0,0 +1,11 @@
+/**
+ * A ReadableStream of `chunks`, which records how often it's read and whether it's cancelled
+ */
+export default function createReadable(chunks) {
+	let reader = {
+		read: jest.fn(async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true })),
+		cancel: jest.fn(async () => {}),
+		releaseLock: jest.fn(),
+	};
+	return { reader: reader, getReader: () => reader };
+}
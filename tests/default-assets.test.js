@@ -0,0 +1,12 @@
+import getDefaultAssetPaths, { releaseDefaultAssetPaths } from '../src/default-assets';
+
+test('getDefaultAssetPaths() points at the helper files in the server root', () => {
+	let paths = getDefaultAssetPaths();
+
+	expect(paths).toEqual({
+		pathToWorklet: '/feeder-node.worklet.js',
+		pathToWorker: '/feeder-node.worker.js',
+		pathToWasm: '/libsamplerate.wasm',
+	});
+	expect(() => releaseDefaultAssetPaths(paths)).not.toThrow();
+});
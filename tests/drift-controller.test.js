@@ -0,0 +1,46 @@
+import DriftController from '../src/drift-controller.js';
+
+test('fill at target leaves the ratio alone', () => {
+	let dc = new DriftController(4096);
+
+	expect(dc.update(4096)).toBe(1);
+	expect(dc.update(4096)).toBe(1);
+});
+
+test('a fuller buffer produces fewer samples, an emptier one more', () => {
+	let dc = new DriftController(4096);
+	for (let i = 0; i < 100; i++) dc.update(4096 * 1.05);
+	expect(dc.ratioScale).toBeLessThan(1);
+
+	dc = new DriftController(4096);
+	for (let i = 0; i < 100; i++) dc.update(4096 * 0.95);
+	expect(dc.ratioScale).toBeGreaterThan(1);
+});
+
+test('adjustment is capped', () => {
+	let dc = new DriftController(4096);
+	expect(dc.update(192000)).toBeCloseTo(0.998, 6);
+
+	dc = new DriftController(4096);
+	expect(dc.update(0)).toBeCloseTo(1.002, 6);
+});
+
+test('measurements are smoothed', () => {
+	let dc = new DriftController(1000);
+
+	dc.update(1000);
+	let scale = dc.update(1200); // a single outlier barely moves the ratio
+
+	expect(scale).toBeLessThan(1);
+	expect(scale).toBeGreaterThanOrEqual(0.9999);
+});
+
+test('reset forgets measurements but keeps the ratio scale', () => {
+	let dc = new DriftController(1000);
+
+	dc.update(2000);
+	dc.reset();
+	expect(dc.ratioScale).toBeLessThan(1);
+
+	expect(dc.update(1000)).toBe(1);
+});
@@ -0,0 +1,26 @@
+import FadeTail from '../src/fade-tail.js';
+
+const SAMPLE_RATE = 1000; // 1 sample per ms
+
+test('the tail fades out, and is mixed into the output across batches', () => {
+	let tail = new FadeTail([new Float32Array(4).fill(1)], SAMPLE_RATE, 4);
+
+	let first = new Float32Array(3).fill(0.5);
+	tail.mixInto([first]);
+	expect(Array.from(first)).toEqual([1.25, 1, 0.75]);
+	expect(tail.isDone).toBe(false);
+
+	let second = new Float32Array(3);
+	tail.mixInto([second]);
+	expect(Array.from(second)).toEqual([0, 0, 0]);
+	expect(tail.isDone).toBe(true);
+});
+
+test('audio beyond fadeMs is silenced', () => {
+	let tail = new FadeTail([new Float32Array(4).fill(1)], SAMPLE_RATE, 2);
+
+	let out = new Float32Array(4);
+	tail.mixInto([out]);
+
+	expect(Array.from(out)).toEqual([0.5, 0, 0, 0]);
+});
@@ -7,7 +7,8 @@ import MainThreadResampler from './main-thread-resampler';
 import createAudioWorklet from './audio-worklet-backend';
 import createWorkerResampler from './worker-resampler';
 
-import { BackendState } from '../src/abstract-backend';
+import { BackendState, BufferType, OverflowPolicy } from '../src/abstract-backend';
+import createReadable from './create-readable';
 
 class MessageChannelMock {
 
@@ -22,7 +23,7 @@ test('creating with WorkletBackend and WorkerProcessor creates a messagechannel'
 	let bufferThreshold = 16384;
 
 	let resampler = await createWorkerResampler();
-	let backend = await createAudioWorklet();
+	let backend = await createAudioWorklet(ctx, 2);
 
 	let spy = jest.spyOn(resampler, 'setPort');
 
@@ -39,7 +40,7 @@ test('creating with WorkletBackend & MainThreadResampler doesnt create a message
 	let bufferThreshold = 16384;
 
 	let resampler = new MainThreadResampler();
-	let backend = await createAudioWorklet();
+	let backend = await createAudioWorklet(ctx, 2);
 
 	let spy = jest.spyOn(backend, 'setPort');
 
@@ -206,7 +207,7 @@ test('batchSize returns the backends batchSize', () => {
 	expect(feederNode.batchSize).toBe(10000);
 });
 
-test('connect() calls _backend.connect()', () => {
+test('the backend plays thru an output node, which connect() connects', () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -218,14 +219,15 @@ test('connect() calls _backend.connect()', () => {
 
 	let feederNode = new FeederNode(resampler, backend);
 
-	let spy = jest.spyOn(feederNode._backend, 'connect');
+	expect(backend.output).toBe(feederNode._output);
 
-	feederNode.connect('something');
+	let spy = jest.spyOn(feederNode._output, 'connect');
+	feederNode.connect(ctx.destination);
 
-	expect(spy).toHaveBeenCalledTimes(1);
+	expect(spy).toHaveBeenCalledWith(ctx.destination);
 });
 
-test('disconnect() calls _backend.disconnect()', () => {
+test('disconnect() disconnects the output node', () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -237,7 +239,7 @@ test('disconnect() calls _backend.disconnect()', () => {
 
 	let feederNode = new FeederNode(resampler, backend);
 
-	let spy = jest.spyOn(feederNode._backend, 'disconnect');
+	let spy = jest.spyOn(feederNode._output, 'disconnect');
 
 	feederNode.disconnect();
 
@@ -257,8 +259,8 @@ test('feed() with non-typed-array throws', () => {
 	let feederNode = new FeederNode(resampler, backend);
 
 	expect(() => {
-		feederNode.feed([]);
-	}).toThrow('FeederNode.feed() must receive an instance of TypedArray. You passed Array');
+		feederNode.feed([0.5, 0.5]);
+	}).toThrow('FeederNode.feed() must receive a TypedArray, an Array of TypedArrays, an AudioBuffer or an AudioData. You passed Array');
 });
 
 test('feed() with typed-array calls _resampler.processBatch', () => {
@@ -405,7 +407,7 @@ test('get numberOfOutputs defers to backend', async () => {
 	expect(feederNode.numberOfOutputs).toBe(feederNode._backend.audioNode.numberOfOutputs);
 });
 
-test('get channelCount defers to backend', async () => {
+test('get channelCount defers to the output node', async () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -417,10 +419,10 @@ test('get channelCount defers to backend', async () => {
 
 	let feederNode = new FeederNode(resampler, backend);
 
-	expect(feederNode.channelCount).toBe(feederNode._backend.audioNode.channelCount);
+	expect(feederNode.channelCount).toBe(feederNode._output.channelCount);
 });
 
-test('get channelCountMode defers to backend', async () => {
+test('get channelCountMode defers to the output node', async () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -432,10 +434,10 @@ test('get channelCountMode defers to backend', async () => {
 
 	let feederNode = new FeederNode(resampler, backend);
 
-	expect(feederNode.channelCountMode).toBe(feederNode._backend.audioNode.channelCountMode);
+	expect(feederNode.channelCountMode).toBe(feederNode._output.channelCountMode);
 });
 
-test('get channelInterpretation defers to backend', async () => {
+test('get channelInterpretation defers to the output node', async () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -447,10 +449,10 @@ test('get channelInterpretation defers to backend', async () => {
 
 	let feederNode = new FeederNode(resampler, backend);
 
-	expect(feederNode.channelInterpretation).toBe(feederNode._backend.audioNode.channelInterpretation);
+	expect(feederNode.channelInterpretation).toBe(feederNode._output.channelInterpretation);
 });
 
-test('set channelCount sets backend channelCount', async () => {
+test('set channelCount sets the output node\'s channelCount', async () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -464,10 +466,10 @@ test('set channelCount sets backend channelCount', async () => {
 
 	feederNode.channelCount = 420;
 
-	expect(feederNode._backend.audioNode.channelCount).toBe(420);
+	expect(feederNode._output.channelCount).toBe(420);
 });
 
-test('set channelCountMode sets backend channelCountMode', async () => {
+test('set channelCountMode sets the output node\'s channelCountMode', async () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -481,10 +483,10 @@ test('set channelCountMode sets backend channelCountMode', async () => {
 
 	feederNode.channelCountMode = 'max';
 
-	expect(feederNode._backend.audioNode.channelCountMode).toBe('max');
+	expect(feederNode._output.channelCountMode).toBe('max');
 });
 
-test('set channelInterpretation sets backend channelInterpretation', async () => {
+test('set channelInterpretation sets the output node\'s channelInterpretation', async () => {
 	let ctx = new AudioContext();
 	let nChannels = 2;
 	let batchSize = 512;
@@ -498,5 +500,875 @@ test('set channelInterpretation sets backend channelInterpretation', async () =>
 
 	feederNode.channelInterpretation = 'discrete';
 
-	expect(feederNode._backend.audioNode.channelInterpretation).toBe('discrete');
+	expect(feederNode._output.channelInterpretation).toBe('discrete');
+});
+
+test('the output node follows channelLayout, and connecting doesn\'t change its channels', () => {
+	let ctx = new AudioContext();
+
+	let backend = new ScriptProcessorBackend(ctx, 4, 512, 192000, 4096);
+	let feederNode = new FeederNode(new MainThreadResampler(), backend, { channelLayout: 'discrete' });
+
+	expect(feederNode.channelInterpretation).toBe('discrete');
+	expect(feederNode.channelCountMode).toBe('explicit');
+	expect(feederNode.channelCount).toBe(4);
+
+	// every destination gets the same channels, whatever it takes
+	let clamped = ctx.createGain();
+	clamped.channelCountMode = 'clamped-max';
+	clamped.channelCount = 3;
+	feederNode.connect(ctx.destination);
+	feederNode.connect(clamped);
+	expect(feederNode.channelCount).toBe(4);
+
+	// mixed down discretely at the output node
+	feederNode.channelCount = 2;
+	expect(feederNode._output.channelCount).toBe(2);
+
+	let speakers = new FeederNode(new MainThreadResampler(), new ScriptProcessorBackend(ctx, 4, 512, 192000, 4096), { channelLayout: 'quad' });
+	expect(speakers.channelInterpretation).toBe('speakers');
+});
+
+test('destroy() destroys the resampler and the backend', async () => {
+	let ctx = new AudioContext();
+	let resampler = await createWorkerResampler();
+	let backend = await createAudioWorklet(ctx, 2);
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	let resamplerSpy = jest.spyOn(resampler, 'destroy');
+	let backendSpy = jest.spyOn(backend, 'destroy');
+
+	await feederNode.destroy();
+
+	expect(resamplerSpy).toHaveBeenCalledTimes(1);
+	expect(backendSpy).toHaveBeenCalledTimes(1);
+});
+
+test('calling destroy() twice returns the same promise', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler();
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 16384);
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	let spy = jest.spyOn(backend, 'destroy');
+
+	expect(feederNode.destroy()).toBe(feederNode.destroy());
+	expect(spy).toHaveBeenCalledTimes(1);
+});
+
+test('feed() after destroy() throws', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler();
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 16384);
+
+	let feederNode = new FeederNode(resampler, backend);
+	feederNode.destroy();
+
+	expect(() => {
+		feederNode.feed(new Float32Array(2));
+	}).toThrow('FeederNode.feed() called after destroy()');
+});
+
+test('WorkletBackend and WorkerResampler share a buffer when cross-origin isolated', async () => {
+	let ctx = new AudioContext();
+	global.crossOriginIsolated = true;
+
+	let resampler = await createWorkerResampler();
+	let backend = await createAudioWorklet(ctx, 2);
+
+	new FeederNode(resampler, backend);
+
+	expect(resampler.sharedBuffers.data).toBeInstanceOf(SharedArrayBuffer);
+
+	delete global.crossOriginIsolated;
+});
+
+test('no shared buffer without cross-origin isolation or with a FIFO queue', async () => {
+	let ctx = new AudioContext();
+	let resampler = await createWorkerResampler();
+	let backend = await createAudioWorklet(ctx, 2);
+
+	new FeederNode(resampler, backend);
+	expect(resampler.sharedBuffers).toBe(undefined);
+
+	global.crossOriginIsolated = true;
+
+	resampler = await createWorkerResampler();
+	backend = await createAudioWorklet(ctx, 2, 1024, 128, undefined, BufferType.FIFO_QUEUE);
+
+	new FeederNode(resampler, backend);
+	expect(resampler.sharedBuffers).toBe(undefined);
+
+	delete global.crossOriginIsolated;
+});
+
+test('feed() with a jitter buffer requires a seq and stamps the arrival time', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler();
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 128, BufferType.JITTER_BUFFER);
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	expect(() => {
+		feederNode.feed(new Float32Array(2));
+	}).toThrow('FeederNode.feed() must receive { seq, timestamp } when using a jitter buffer');
+
+	feederNode.feed(new Float32Array(2), { seq: 3, timestamp: 60 });
+
+	expect(resampler.meta.seq).toBe(3);
+	expect(resampler.meta.timestamp).toBe(60);
+	expect(typeof resampler.meta.arrival).toBe('number');
+});
+
+test('with a jitter buffer, packets are resampled in sequence order', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(1, 1000, 1000);
+	let backend = new ScriptProcessorBackend(ctx, 1, 512, 192000, 128, BufferType.JITTER_BUFFER);
+	let spy = jest.spyOn(resampler, 'processBatch');
+
+	let feederNode = new FeederNode(resampler, backend, { maxReorderDelay: 30 });
+
+	for (let seq of [65535, 1, 0, 0, 3]) feederNode.feed(new Float32Array(10).fill(seq), { seq: seq, timestamp: 0 });
+	expect(spy.mock.calls.map((call) => [call[0][0], call[1].seq])).toEqual([[65535, 65535], [0, 65536], [1, 65537]]);
+
+	// 2 never arrives, so 3 is released at the end
+	feederNode.end();
+	expect(spy.mock.calls.map((call) => call[0][0])).toEqual([65535, 0, 1, 3]);
+	expect(feederNode._nChunksFed).toBe(4);
+});
+
+test('_onResampleComplete() passes packet info to the backend', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler();
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 128, BufferType.JITTER_BUFFER);
+
+	new FeederNode(resampler, backend);
+
+	let meta = { seq: 0, timestamp: 0, arrival: 0 };
+	resampler.onProcessed(new Float32Array(2), meta);
+
+	expect(backend.meta).toBe(meta);
+});
+
+test('drift compensation nudges the resampling ratio while playing', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler();
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+	backend.bufferFill = 8192; // twice the target
+
+	let feederNode = new FeederNode(resampler, backend, { driftCompensation: true, targetBufferFill: 4096 });
+	let spy = jest.spyOn(resampler, 'setRatioScale');
+
+	feederNode.feed(new Float32Array(2));
+	await Promise.resolve();
+	expect(spy).toHaveBeenCalledTimes(0); // not playing yet
+
+	backend.onStateChange(BackendState.PLAYING);
+	feederNode.feed(new Float32Array(2));
+	await new Promise((resolve) => setTimeout(resolve, 0));
+	feederNode.feed(new Float32Array(2));
+	await new Promise((resolve) => setTimeout(resolve, 0));
+
+	expect(spy).toHaveBeenCalledTimes(1); // the ratio didn't change on the second feed
+	expect(spy.mock.calls[0][0]).toBeLessThan(1);
+});
+
+test('drift compensation measures the fill the audio thread reports, not the stale cached one', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler();
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+	backend.getCurrentBufferFill = () => 0; // stale
+	let answer;
+	backend.getBufferFillAsync = () => new Promise((resolve) => answer = resolve);
+
+	let feederNode = new FeederNode(resampler, backend, { driftCompensation: true, targetBufferFill: 4096 });
+	let spy = jest.spyOn(resampler, 'setRatioScale');
+	let asked = jest.spyOn(backend, 'getBufferFillAsync');
+
+	backend.onStateChange(BackendState.PLAYING);
+	feederNode.feed(new Float32Array(2));
+	feederNode.feed(new Float32Array(2)); // doesn't ask again while waiting for an answer
+
+	expect(asked).toHaveBeenCalledTimes(1);
+
+	answer(8192);
+	await new Promise((resolve) => setTimeout(resolve, 0));
+
+	expect(spy).toHaveBeenCalledTimes(1);
+	expect(spy.mock.calls[0][0]).toBeLessThan(1);
+});
+
+test('drift compensation is off by default', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler();
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+	let spy = jest.spyOn(resampler, 'setRatioScale');
+
+	backend.onStateChange(BackendState.PLAYING);
+	feederNode.feed(new Float32Array(2));
+
+	expect(spy).toHaveBeenCalledTimes(0);
+});
+
+test('overflows from the backend and the resampler are counted and passed to onOverflow()', async () => {
+	let ctx = new AudioContext();
+	let resampler = await createWorkerResampler();
+	let backend = await createAudioWorklet(ctx, 2);
+
+	let feederNode = new FeederNode(resampler, backend);
+	feederNode.onOverflow = jest.fn();
+
+	backend.onOverflow(10);
+	resampler.onOverflow(5);
+
+	expect(feederNode.onOverflow).toHaveBeenCalledWith(10);
+	expect(feederNode.onOverflow).toHaveBeenCalledWith(5);
+	expect(feederNode.nDroppedSamples).toBe(15);
+});
+
+test('the shared buffer follows the overflow policy, and is not used if the buffer may grow', async () => {
+	let ctx = new AudioContext();
+	global.crossOriginIsolated = true;
+
+	let resampler = await createWorkerResampler();
+	let backend = await createAudioWorklet(ctx, 2);
+
+	new FeederNode(resampler, backend, { overflowPolicy: OverflowPolicy.REJECT });
+	expect(resampler.sharedBuffers.overflowPolicy).toBe(OverflowPolicy.REJECT);
+
+	resampler = await createWorkerResampler();
+	backend = await createAudioWorklet(ctx, 2);
+
+	new FeederNode(resampler, backend, { overflowPolicy: OverflowPolicy.GROW });
+	expect(resampler.sharedBuffers).toBe(undefined);
+
+	// without a policy, the shared buffer drops the newest data, since it can't grow
+	resampler = await createWorkerResampler();
+	backend = await createAudioWorklet(ctx, 2);
+
+	new FeederNode(resampler, backend);
+	expect(resampler.sharedBuffers.overflowPolicy).toBe(OverflowPolicy.DROP_NEWEST);
+
+	delete global.crossOriginIsolated;
+});
+
+test('feed() returns false once the buffer plus in-flight data reaches highWaterMark', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 22050, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend, { highWaterMark: 4000 });
+
+	expect(feederNode.highWaterMark).toBe(4000);
+	expect(feederNode.feed(new Float32Array(2 * 1000))).toBe(true); // ~2000 samples after resampling
+	expect(feederNode.feed(new Float32Array(2 * 1000))).toBe(false);
+	expect(backend.drainRequest).toEqual({ threshold: 4000, nChunks: 2 });
+
+	// both chunks reach the backend, then it plays some of them
+	backend.nChunksWritten = 2;
+	backend.bufferFill = 1000;
+	expect(feederNode.feed(new Float32Array(2 * 1000))).toBe(true);
+});
+
+test('onDrain() is only called after feed() returned false', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend, { highWaterMark: 100 });
+	feederNode.onDrain = jest.fn();
+
+	backend.onDrain();
+	expect(feederNode.onDrain).not.toHaveBeenCalled();
+
+	feederNode.feed(new Float32Array(2 * 200));
+	backend.onDrain();
+	backend.onDrain();
+	expect(feederNode.onDrain).toHaveBeenCalledTimes(1);
+});
+
+test('highWaterMark defaults to half the buffer length', () => {
+	let ctx = new AudioContext();
+
+	let feederNode = new FeederNode(new MainThreadResampler(), new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096));
+
+	expect(feederNode.highWaterMark).toBe(96000);
+});
+
+test('getPlaybackPosition() maps played + dropped frames to time in the input stream', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 22050, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	backend.nFramesPlayed = 44100;
+	expect(feederNode.getPlaybackPosition()).toBe(1);
+
+	backend.onOverflow(22050);
+	expect(feederNode.getPlaybackPosition()).toBe(1.5);
+
+	backend.nFramesCleared = 22050;
+	expect(feederNode.getPlaybackPosition()).toBe(2);
+});
+
+test('getPlaybackPosition() accounts for the drift compensation ratio scale', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend, { driftCompensation: true, targetBufferFill: 4096 });
+	backend.onStateChange(BackendState.PLAYING);
+
+	backend.nFramesPlayed = 44100;
+	backend.bufferFill = 8192; // above target, so fewer frames are produced per second of input
+	feederNode.feed(new Float32Array(2));
+	await new Promise((resolve) => setTimeout(resolve, 0));
+
+	let scale = feederNode._ratioScale;
+	expect(scale).toBeLessThan(1);
+	expect(feederNode.getPlaybackPosition()).toBe(1);
+
+	backend.nFramesPlayed = 44100 + 44100 * scale;
+	expect(feederNode.getPlaybackPosition()).toBeCloseTo(2, 9);
+});
+
+test('getLatency() adds up buffered + in-flight audio, resampler delay and output latency', () => {
+	let ctx = new AudioContext();
+	ctx.outputLatency = 0.02;
+
+	let resampler = new MainThreadResampler(2, 22050, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	resampler.getDelay = () => 0.005;
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	backend.bufferFill = 4410;
+	feederNode.feed(new Float32Array(2 * 2205)); // 4410 samples once resampled, still in flight
+
+	expect(feederNode.getLatency()).toBeCloseTo(0.1 + 0.1 + 0.005 + 0.02, 6);
+});
+
+test('queryState() combines the backend snapshot with the dropped sample count', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 22050, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+	backend.state = BackendState.PLAYING;
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	backend.bufferFill = 2048;
+	backend.nFramesPlayed = 22050;
+	backend.onOverflow(22050);
+
+	await expect(feederNode.queryState()).resolves.toEqual({
+		bufferFill: 2048,
+		bufferLength: 192000,
+		state: BackendState.PLAYING,
+		nChunksWritten: 0,
+		nFramesPlayed: 22050,
+		nDroppedSamples: 22050,
+		playbackPosition: 1,
+	});
+	await expect(feederNode.getBufferFillAsync()).resolves.toBe(2048);
+});
+
+test('queryState() after destroy() rejects', async () => {
+	let ctx = new AudioContext();
+
+	let feederNode = new FeederNode(
+		new MainThreadResampler(2, 44100, 44100),
+		new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096)
+	);
+
+	await feederNode.destroy();
+
+	await expect(feederNode.queryState()).rejects.toThrow('after destroy()');
+});
+
+test('state changes are dispatched as events to every listener, after the overrides', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	let calls = [];
+	feederNode.onBackendPlaying = () => calls.push('override');
+	feederNode.addEventListener('playing', (e) => calls.push(['first', e.detail]));
+	feederNode.addEventListener('playing', (e) => calls.push(['second', e.detail]));
+
+	let starved = jest.fn();
+	feederNode.addEventListener('starved', starved);
+
+	backend.onStateChange(BackendState.PLAYING);
+
+	expect(calls).toEqual([
+		'override',
+		['first', { state: BackendState.PLAYING }],
+		['second', { state: BackendState.PLAYING }],
+	]);
+	expect(starved).not.toHaveBeenCalled();
+
+	feederNode.removeEventListener('starved', starved);
+	backend.onStateChange(BackendState.STARVED);
+
+	expect(starved).not.toHaveBeenCalled();
+});
+
+test('overflow, drain, bufferlengthchange and error events carry their details', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend, { highWaterMark: 1 });
+
+	let events = [];
+	for (let type of ['overflow', 'drain', 'bufferlengthchange', 'error']) {
+		feederNode.addEventListener(type, (e) => events.push([e.type, e.detail]));
+	}
+
+	let error = Error('worker crashed');
+
+	backend.onOverflow(100);
+	resampler.onOverflow(28);
+	backend.onBufferLengthChange(256000);
+	resampler.onError(error);
+
+	// drain only fires if feed() returned false
+	backend.onDrain();
+	expect(feederNode.feed(new Float32Array(256))).toBe(false);
+	backend.onDrain();
+
+	expect(events).toEqual([
+		['overflow', { nDropped: 100, nDroppedSamples: 100 }],
+		['overflow', { nDropped: 28, nDroppedSamples: 128 }],
+		['bufferlengthchange', { bufferLength: 256000 }],
+		['error', { error: error }],
+		['drain', {}],
+	]);
+});
+
+test('end() flushes the resampler, ends the backend and resolves once it has ENDED', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+	feederNode.onBackendEnded = jest.fn();
+	let listener = jest.fn();
+	feederNode.addEventListener('ended', listener);
+
+	let flush = jest.spyOn(resampler, 'flush');
+
+	let ended = feederNode.end();
+	expect(feederNode.end()).toBe(ended);
+	expect(flush).toHaveBeenCalledTimes(1);
+	expect(flush).toHaveBeenCalledWith(true);
+	expect(backend.ended).toBe(true);
+	expect(() => feederNode.feed(new Float32Array(2))).toThrow('after end()');
+
+	backend.onStateChange(BackendState.ENDED);
+	await ended;
+
+	expect(feederNode.onBackendEnded).toHaveBeenCalledTimes(1);
+	expect(listener.mock.calls[0][0].detail).toEqual({ state: BackendState.ENDED });
+});
+
+test('destroy() rejects an end() which hasn\'t finished playing', async () => {
+	let ctx = new AudioContext();
+
+	let feederNode = new FeederNode(
+		new MainThreadResampler(2, 44100, 44100),
+		new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096)
+	);
+
+	let ended = feederNode.end();
+	feederNode.destroy();
+
+	await expect(ended).rejects.toThrow('FeederNode destroyed before everything fed had played');
+});
+
+test('end() skips the resampler tail with a jitter buffer', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(1, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 1, 512, 192000, 4096, BufferType.JITTER_BUFFER);
+
+	let feederNode = new FeederNode(resampler, backend);
+	let flush = jest.spyOn(resampler, 'flush');
+
+	feederNode.end();
+
+	expect(flush).toHaveBeenCalledWith(false);
+});
+
+test('pause() and resume() pass the fade to the backend, and PAUSED is reported', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+	feederNode.onBackendPaused = jest.fn();
+	let listener = jest.fn();
+	feederNode.addEventListener('paused', listener);
+
+	feederNode.pause({ fadeMs: 15 });
+	expect(backend.paused).toEqual({ fadeMs: 15 });
+
+	feederNode.resume();
+	expect(backend.resumed).toEqual({ fadeMs: 0 });
+
+	backend.onStateChange(BackendState.PAUSED);
+	expect(feederNode.onBackendPaused).toHaveBeenCalledTimes(1);
+	expect(listener.mock.calls[0][0].detail).toEqual({ state: BackendState.PAUSED });
+});
+
+test('clearBuffer() clears the backend, or resets the resampler first if asked to', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+	let reset = jest.spyOn(resampler, 'reset');
+
+	feederNode.clearBuffer();
+	expect(backend.cleared).toEqual({ fadeMs: 0 });
+	expect(reset).not.toHaveBeenCalled();
+
+	backend.cleared = undefined;
+	feederNode.clearBuffer({ fadeMs: 10, resetResampler: true });
+
+	expect(reset).toHaveBeenCalledWith(10);
+	expect(backend.cleared).toEqual({ fadeMs: 10 });
+});
+
+test('setGain(), mute() and unmute() pass the gain on to the backend', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+	expect(feederNode.gain).toBe(null);
+
+	feederNode.setGain(0.8, 10);
+	expect(backend.gainChange).toEqual({ value: 0.8, rampMs: 10 });
+
+	feederNode.mute(5);
+	expect(feederNode.muted).toBe(true);
+	expect(backend.gainChange).toEqual({ value: 0, rampMs: 5 });
+
+	// takes effect on unmute()
+	feederNode.setGain(0.6);
+	expect(backend.gainChange).toEqual({ value: 0, rampMs: 5 });
+
+	feederNode.unmute();
+	expect(feederNode.muted).toBe(false);
+	expect(backend.gainChange).toEqual({ value: 0.6, rampMs: 0 });
+
+	expect(() => feederNode.setGain(-1)).toThrow();
+	expect(() => feederNode.setGain(NaN)).toThrow();
+});
+
+test('channels are mixed before resampling if that removes channels, otherwise after', () => {
+	let ctx = new AudioContext();
+
+	// stereo to mono: mixed on the main thread, so only one channel is resampled
+	let resampler = new MainThreadResampler(1, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 1, 512, 192000, 4096);
+	let feederNode = new FeederNode(resampler, backend, { inputChannels: 2, channelMatrix: [[0.5, 0.5]] });
+
+	expect(feederNode.inputChannels).toBe(2);
+	expect(feederNode.nChannels).toBe(1);
+
+	feederNode.feed(new Float32Array([1, 0, 0.5, 0.5]));
+	expect(Array.from(resampler.data)).toEqual([0.5, 0.5]);
+
+	// mono to stereo: the resampler mixes its output
+	resampler = new MainThreadResampler(1, 44100, 44100);
+	backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+	let spy = jest.spyOn(resampler, 'setOutputMatrix');
+	feederNode = new FeederNode(resampler, backend, { inputChannels: 1, channelMatrix: [[1], [1]] });
+
+	expect(spy).toHaveBeenCalledWith([[1], [1]]);
+
+	feederNode.feed(new Float32Array([0.5, 0.5]));
+	expect(Array.from(resampler.data)).toEqual([0.5, 0.5]);
+});
+
+test('feed() interleaves planar arrays, AudioBuffers and AudioData', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	feederNode.feed([new Float32Array([0.5, 0.25]), new Int16Array([0, 32767])]);
+	expect(Array.from(resampler.data)).toEqual([0.5, 0, 0.25, 1]);
+
+	let audioBuffer = ctx.createBuffer(2, 2, 44100);
+	audioBuffer.getChannelData(0).set([0.5, 0.25]);
+	audioBuffer.getChannelData(1).set([-0.5, -0.25]);
+	feederNode.feed(audioBuffer);
+	expect(Array.from(resampler.data)).toEqual([0.5, -0.5, 0.25, -0.25]);
+
+	let planes = [new Float32Array([0.5, 0.25]), new Float32Array([0, 1])];
+	let audioData = {
+		numberOfChannels: 2,
+		numberOfFrames: 2,
+		format: 's16-planar',
+		copyTo: jest.fn((destination, options) => destination.set(planes[options.planeIndex])),
+	};
+	feederNode.feed(audioData);
+	expect(audioData.copyTo).toHaveBeenCalledWith(expect.any(Float32Array), { planeIndex: 1, format: 'f32-planar' });
+	expect(Array.from(resampler.data)).toEqual([0.5, 0, 0.25, 1]);
+});
+
+test('feed() with the wrong number of planar channels throws', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend);
+
+	expect(() => feederNode.feed([new Float32Array(4)])).toThrow(
+		'FeederNode.feed() received 1 channels, but expects 2'
+	);
+	expect(() => feederNode.feed([new Float32Array(4), new Float32Array(3)])).toThrow('incorrect channel lengths');
+});
+
+test('feed() decodes raw bytes in the sampleFormat', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+
+	let feederNode = new FeederNode(resampler, backend, { sampleFormat: 's16be' });
+	expect(feederNode.sampleFormat).toBe('s16be');
+
+	let bytes = new Uint8Array([0x7f, 0xff, 0x00, 0x00]);
+
+	feederNode.feed(bytes.buffer);
+	expect(Array.from(resampler.data)).toEqual([1, 0]);
+
+	feederNode.feed(bytes);
+	expect(Array.from(resampler.data)).toEqual([1, 0]);
+
+	feederNode.feed([bytes.subarray(0, 2), bytes.subarray(2)]);
+	expect(Array.from(resampler.data)).toEqual([1, 0]);
+});
+
+test('ima-adpcm is copied and passed to the resampler to decode, then mixed after resampling', () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 1, 512, 192000, 4096);
+	let formatSpy = jest.spyOn(resampler, 'setInputFormat');
+	let matrixSpy = jest.spyOn(resampler, 'setOutputMatrix');
+
+	let feederNode = new FeederNode(resampler, backend, {
+		inputChannels: 2,
+		channelMatrix: [[0.5, 0.5]],
+		sampleFormat: 'ima-adpcm',
+		blockAlign: 2048,
+	});
+
+	expect(formatSpy).toHaveBeenCalledWith('ima-adpcm', { nChannels: 2, blockAlign: 2048 });
+	expect(matrixSpy).toHaveBeenCalledWith([[0.5, 0.5]]);
+
+	let bytes = new Uint8Array([1, 2, 3, 4]);
+	feederNode.feed(bytes.subarray(1));
+
+	expect(resampler.data).toEqual(new Uint8Array([2, 3, 4]));
+	expect(resampler.data.buffer).not.toBe(bytes.buffer);
+	expect(feederNode._inFlight).toEqual([3]);
+});
+
+/**
+ * Waits for pipeFrom() to get as far as it can
+ */
+function settle() {
+	return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+test('pipeFrom() decodes chunks in the sampleFormat, holding back partial frames', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+	let feederNode = new FeederNode(resampler, backend);
+	let spy = jest.spyOn(resampler, 'processBatch');
+
+	// 3 frames of s16le stereo, split mid-sample and mid-frame
+	let bytes = new Uint8Array([0xff, 0x7f, 0, 0, 0, 0, 0xff, 0x7f, 0x01, 0x80, 0, 0]);
+	async function* chunks() {
+		yield bytes.subarray(0, 1);
+		yield bytes.subarray(1, 6).buffer.slice(1, 6);
+		yield bytes.subarray(6);
+	}
+
+	await feederNode.pipeFrom(chunks(), { sampleFormat: 's16le' });
+
+	expect(spy.mock.calls.map((call) => Array.from(call[0]))).toEqual([[1, 0], [0, 1, -1, 0]]);
+	expect(backend.ended).toBe(true);
+});
+
+test('pipeFrom() feeds big chunks in pieces, and waits for drain before feeding or reading more', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let backend = new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096);
+	let feederNode = new FeederNode(resampler, backend, { highWaterMark: 100 });
+	let spy = jest.spyOn(resampler, 'processBatch');
+	let readable = createReadable([new Float32Array(2 * 150), new Float32Array(2 * 50)]);
+	let drain = () => {
+		backend.nChunksWritten = feederNode._nChunksFed;
+		backend.onDrain();
+	};
+
+	let piped = feederNode.pipeFrom(readable, { end: false });
+	await settle();
+	expect(spy.mock.calls.map((call) => call[0].length)).toEqual([200]);
+	expect(readable.reader.read).toHaveBeenCalledTimes(1);
+
+	drain();
+	await settle();
+	expect(spy.mock.calls.map((call) => call[0].length)).toEqual([200, 100, 100]);
+	expect(readable.reader.read).toHaveBeenCalledTimes(2);
+
+	drain();
+	await piped;
+	expect(readable.reader.read).toHaveBeenCalledTimes(3);
+	expect(readable.reader.releaseLock).toHaveBeenCalled();
+	expect(backend.ended).toBe(undefined);
+});
+
+test('pipeFrom() stops and cancels the source once aborted, or once the node is destroyed', async () => {
+	let ctx = new AudioContext();
+
+	let feederNode = new FeederNode(
+		new MainThreadResampler(2, 44100, 44100),
+		new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096),
+		{ highWaterMark: 100 }
+	);
+	let readable = createReadable([new Float32Array(2 * 100), new Float32Array(2 * 100)]);
+	let controller = new AbortController();
+	let onError = jest.fn();
+	feederNode.addEventListener('error', onError);
+
+	let piped = feederNode.pipeFrom(readable, { signal: controller.signal });
+	await settle();
+	controller.abort('stop');
+
+	await expect(piped).rejects.toBe('stop');
+	expect(readable.reader.cancel).toHaveBeenCalledWith('stop');
+	await expect(feederNode.pipeFrom(readable, { signal: controller.signal })).rejects.toBe('stop');
+
+	// the source never resolves, so only destroy() stops the read
+	readable = { reader: { read: () => new Promise(() => {}), cancel: jest.fn(async () => {}) } };
+	readable.getReader = () => readable.reader;
+	piped = feederNode.pipeFrom(readable);
+	feederNode.destroy();
+
+	await piped;
+	expect(readable.reader.cancel).toHaveBeenCalled();
+	expect(onError).not.toHaveBeenCalled();
+});
+
+test('pipeFrom() rejects, still ending the node, if the source ends part way thru a frame', async () => {
+	let ctx = new AudioContext();
+
+	let resampler = new MainThreadResampler(2, 44100, 44100);
+	let feederNode = new FeederNode(resampler, new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096));
+	let spy = jest.spyOn(resampler, 'processBatch');
+	let onError = jest.fn();
+	feederNode.addEventListener('error', onError);
+
+	// a frame of s16le stereo, plus 3 bytes of the next
+	let readable = createReadable([new Uint8Array([0, 0, 0, 0, 0, 0, 0])]);
+
+	await expect(feederNode.pipeFrom(readable, { sampleFormat: 's16le' })).rejects.toThrow(
+		'FeederNode.pipeFrom()\'s source ended with 3 bytes of an incomplete sample frame'
+	);
+	expect(spy.mock.calls[0][0]).toHaveLength(2);
+	expect(feederNode._endPromise).not.toBe(undefined);
+	expect(onError).toHaveBeenCalledTimes(1);
+});
+
+test('pipeFrom() dispatches an error event when reading or decoding fails', async () => {
+	let ctx = new AudioContext();
+
+	let feederNode = new FeederNode(
+		new MainThreadResampler(2, 44100, 44100),
+		new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096)
+	);
+	let onError = jest.fn();
+	feederNode.addEventListener('error', onError);
+
+	let failure = new Error('connection reset');
+	let readable = { reader: { read: async () => { throw failure; }, cancel: jest.fn(async () => {}) } };
+	readable.getReader = () => readable.reader;
+
+	await expect(feederNode.pipeFrom(readable)).rejects.toBe(failure);
+	expect(readable.reader.cancel).toHaveBeenCalledWith(failure);
+	expect(onError).toHaveBeenCalledTimes(1);
+	expect(onError.mock.calls[0][0].detail.error).toBe(failure);
+
+	await expect(feederNode.pipeFrom(createReadable(['text']), { sampleFormat: 's16le' })).rejects.toThrow(
+		'FeederNode.pipeFrom() must receive chunks of bytes with a sampleFormat. You passed String'
+	);
+	expect(onError).toHaveBeenCalledTimes(2);
+});
+
+test('pipeFrom() rejects sources, chunks and formats which can\'t be piped', async () => {
+	let ctx = new AudioContext();
+
+	let feederNode = new FeederNode(
+		new MainThreadResampler(2, 44100, 44100),
+		new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096)
+	);
+
+	await expect(feederNode.pipeFrom([new Float32Array(2)])).rejects.toThrow(
+		'FeederNode.pipeFrom() must receive a ReadableStream or an async iterable. You passed Array'
+	);
+	await expect(feederNode.pipeFrom(createReadable(['text']), { sampleFormat: 's16le' })).rejects.toThrow(
+		'FeederNode.pipeFrom() must receive chunks of bytes with a sampleFormat. You passed String'
+	);
+	await expect(feederNode.pipeFrom(createReadable([]), { sampleFormat: 'ima-adpcm' })).rejects.toThrow(
+		'FeederNode.pipeFrom() can only feed ima-adpcm to a node created to decode it'
+	);
+
+	let jitterNode = new FeederNode(
+		new MainThreadResampler(2, 44100, 44100),
+		new ScriptProcessorBackend(ctx, 2, 512, 192000, 4096, BufferType.JITTER_BUFFER)
+	);
+	await expect(jitterNode.pipeFrom(createReadable([]))).rejects.toThrow(
+		'FeederNode.pipeFrom() can\'t feed a jitter buffer, since packets need packetInfo'
+	);
 });
@@ -24,6 +24,27 @@ test('calling feed without message port send data back to main thread', (done) =
 
 });
 
+test('calling feed without message port sends packet info back with the data', (done) => {
+	let message;
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {message = m};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		let meta = { seq: 7, timestamp: 140, arrival: 150 };
+		onmessage({data: {command: 'feed', data: new Float32Array([1, 2, 3]), meta: meta}});
+
+		expect(message.command).toBe('processed');
+		expect(message.meta).toBe(meta);
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
 test('calling feed with message port sends data thru port', (done) => {
 	let postMessageCalled = false;
 
@@ -65,6 +86,25 @@ test('calling init resolves successfully', (done) => {
 	}, 100);
 });
 
+test('failing init posts initError back to the main thread', (done) => {
+	let message;
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {message = m};
+
+	require(WORKER_ALIAS);
+
+	// the libsamplerate mock throws when nChannels is undefined
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, converterType: 0}});
+
+	setTimeout(() => {
+		expect(message.command).toBe('initError');
+		expect(message.error).toBe('invalid converterType submitted');
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
 test('calling unknown command throws', (done) => {
 	global.onmessage = () => {};
 
@@ -80,4 +120,308 @@ test('calling unknown command throws', (done) => {
 		});
 
 	jest.resetModules(); // clean up or else it breaks on future tests
-});
\ No newline at end of file
+});
+
+test('calling destroy frees libsamplerate, closes the port and notifies the main thread', (done) => {
+	let message;
+	let portClosed = false;
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {message = m};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		const consoleLog = global.console.log;
+		global.console.log = jest.fn();
+		const spy = jest.spyOn(global.console, 'log');
+
+		onmessage({ports: [{close: () => {portClosed = true}}], data: {command: 'connect'}});
+		onmessage({data: {command: 'destroy'}});
+
+		expect(spy).toHaveBeenCalledWith('destroy'); // libsamplerate mock logs on destroy()
+		expect(portClosed).toBe(true);
+		expect(message.command).toBe('destroyed');
+
+		global.console.log = consoleLog; // reset console
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('calling useSharedBuffer writes to the shared buffer and forwards it thru the port', (done) => {
+	let portMessages = [];
+
+	global.onmessage = () => {};
+
+	require(WORKER_ALIAS);
+	const SharedRingBuffer = require('../src/shared-ring-buffer.js').default;
+
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		let consumer = new SharedRingBuffer(1024, 1);
+
+		onmessage({ports: [{postMessage: (m) => {portMessages.push(m)}}], data: {command: 'connect'}});
+		onmessage({data: {command: 'useSharedBuffer', sharedBuffers: consumer.sharedBuffers}});
+		onmessage({data: {command: 'feed', data: new Float32Array([1, 2, 3])}});
+
+		expect(portMessages.length).toBe(1);
+		expect(portMessages[0].command).toBe('useSharedBuffer');
+		expect(consumer.getNReadableSamples()).toBe(3);
+
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('calling setRatioScale changes the ratio without re-initializing libsamplerate', (done) => {
+	let message;
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {message = m};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		const consoleLog = global.console.log;
+		global.console.log = jest.fn();
+		const spy = jest.spyOn(global.console, 'log');
+
+		onmessage({data: {command: 'setRatioScale', scale: 2}});
+		onmessage({data: {command: 'feed', data: new Float32Array(4)}});
+
+		expect(message.data.length).toBe(8);
+		expect(spy).not.toHaveBeenCalledWith('destroy');
+		expect(spy).not.toHaveBeenCalledWith('init');
+
+		global.console.log = consoleLog; // reset console
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('the drift interpolation stage only runs while the ratio scale is not 1', (done) => {
+	let message;
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {message = m};
+
+	require(WORKER_ALIAS);
+	const LinearResampler = require('../src/resampler.js').default;
+	const spy = jest.spyOn(LinearResampler.prototype, 'resample');
+
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		onmessage({data: {command: 'feed', data: new Float32Array(4)}});
+		expect(spy).not.toHaveBeenCalled();
+
+		onmessage({data: {command: 'setRatioScale', scale: 1.001}});
+		onmessage({data: {command: 'feed', data: new Float32Array(4)}});
+		expect(spy).toHaveBeenCalledTimes(1);
+
+		onmessage({data: {command: 'setRatioScale', scale: 1}});
+		onmessage({data: {command: 'feed', data: new Float32Array(4)}});
+		expect(spy).toHaveBeenCalledTimes(1);
+		expect(message.data.length).toBe(4);
+
+		spy.mockRestore();
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('samples dropped by the shared buffer are reported to the main thread', (done) => {
+	let messages = [];
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {messages.push(m)};
+
+	require(WORKER_ALIAS);
+	const SharedRingBuffer = require('../src/shared-ring-buffer.js').default;
+
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		let consumer = new SharedRingBuffer(4, 1, null, 'reject');
+
+		onmessage({ports: [{postMessage: () => {}}], data: {command: 'connect'}});
+		onmessage({data: {command: 'useSharedBuffer', sharedBuffers: consumer.sharedBuffers}});
+		onmessage({data: {command: 'feed', data: new Float32Array([1, 2, 3])}});
+		onmessage({data: {command: 'feed', data: new Float32Array([1, 2, 3])}});
+
+		expect(messages).toContainEqual({command: 'overflow', nDropped: 3});
+		expect(consumer.getNReadableSamples()).toBe(3);
+
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('calling flush without message port sends the tail, then flushed, to the main thread', (done) => {
+	let messages = [];
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {messages.push(m)};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 22050, outputSampleRate: 44100, nChannels: 2, converterType: 2}});
+
+	setTimeout(() => {
+		messages = [];
+		onmessage({data: {command: 'flush', withTail: true}});
+
+		// SRC_SINC_FASTEST holds back 19 samples at 22050Hz, i.e. 19 input frames
+		expect(messages.length).toBe(2);
+		expect(messages[0].command).toBe('processed');
+		expect(messages[0].data.length).toBe(2 * 19 * 2);
+		expect(messages[1]).toEqual({command: 'flushed'});
+
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('calling flush with message port sends end thru the port, without a tail if not asked for', (done) => {
+	let portMessages = [];
+	let messages = [];
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {messages.push(m)};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 22050, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		messages = [];
+		onmessage({ports: [{postMessage: (m) => {portMessages.push(m)}}], data: {command: 'connect'}});
+		onmessage({data: {command: 'flush', withTail: false}});
+
+		expect(portMessages).toEqual([{command: 'end'}]);
+		expect(messages).toEqual([]);
+
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('calling reset re-initializes libsamplerate, then has the buffer cleared', (done) => {
+	let messages = [];
+	let portMessages = [];
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {messages.push(m)};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 22050, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		const consoleLog = global.console.log;
+		global.console.log = jest.fn();
+		const spy = jest.spyOn(global.console, 'log');
+
+		messages = [];
+		onmessage({data: {command: 'setRatioScale', scale: 2}});
+		onmessage({data: {command: 'reset', fadeMs: 5}});
+
+		expect(spy).toHaveBeenCalledWith('init'); // libsamplerate mock logs when re-initialized
+		expect(messages).toEqual([{command: 'reset', fadeMs: 5}]);
+
+		// with a port, the clear is sent after the data, straight to the backend
+		onmessage({ports: [{postMessage: (m) => {portMessages.push(m)}}], data: {command: 'connect'}});
+		onmessage({data: {command: 'feed', data: new Float32Array(4)}});
+		onmessage({data: {command: 'reset', fadeMs: 5}});
+
+		expect(portMessages.map((m) => m.command)).toEqual(['feed', 'clearBuffer']);
+		expect(portMessages[0].data.length).toBe(16); // drift compensation survives the reset
+		expect(portMessages[1].fadeMs).toBe(5);
+
+		global.console.log = consoleLog; // reset console
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('calling setOutputMatrix mixes resampled data before sending it on', (done) => {
+	let message;
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {message = m};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 44100, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		onmessage({data: {command: 'setOutputMatrix', matrix: [[1], [0.5]]}});
+		onmessage({data: {command: 'feed', data: new Float32Array([1, 2])}});
+
+		expect(Array.from(message.data)).toEqual([1, 0.5, 2, 1]);
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('calling setInputFormat decodes ADPCM before resampling, but not the flushed tail', (done) => {
+	let messages = [];
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {messages.push(m)};
+
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 22050, outputSampleRate: 44100, nChannels: 1, converterType: 0}});
+
+	setTimeout(() => {
+		messages = [];
+		onmessage({data: {command: 'setInputFormat', sampleFormat: 'ima-adpcm', options: {nChannels: 1, blockAlign: 0}}});
+		onmessage({data: {command: 'feed', data: new Uint8Array([0x77, 0x77])}});
+
+		expect(messages[0].data.length).toBe(8); // 4 decoded samples, doubled by the resampler
+
+		onmessage({data: {command: 'flush', withTail: true}});
+		expect(messages[1].data.length).toBe(Math.round(Math.ceil((143 / 22050) * 22050) * 2));
+
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 100);
+});
+
+test('setRatioScale changes the output rate of the real libsamplerate-js', (done) => {
+	let messages = [];
+
+	global.onmessage = () => {};
+	global.postMessage = (m) => {messages.push(m)};
+
+	jest.doMock('@alexanderolsen/libsamplerate-js', () => jest.requireActual('LIBSAMPLERATE'));
+	require(WORKER_ALIAS);
+
+	onmessage({data: {command: 'init', inputSampleRate: 48000, outputSampleRate: 48000, nChannels: 1, converterType: 2}});
+
+	setTimeout(() => {
+		expect(messages.pop().command).toBe('postInit');
+
+		onmessage({data: {command: 'setRatioScale', scale: 1.5}});
+		for (let i = 0; i < 4; i++) onmessage({data: {command: 'feed', data: new Float32Array(480)}});
+
+		expect(messages.pop().data.length).toBe(720);
+
+		onmessage({data: {command: 'reset', fadeMs: 0}}); // keeps the scale
+		for (let i = 0; i < 4; i++) onmessage({data: {command: 'feed', data: new Float32Array(480)}});
+
+		expect(messages.pop().data.length).toBe(720);
+
+		onmessage({data: {command: 'destroy'}});
+		jest.dontMock('@alexanderolsen/libsamplerate-js');
+		jest.resetModules(); // clean up or else it breaks on future tests
+		done();
+	}, 500);
+});
@@ -14,6 +14,10 @@ class MockAudioWorkletProcessor {
 
 global.AudioWorkletProcessor = MockAudioWorkletProcessor;
 global.registerProcessor = () => {}
+global.sampleRate = 44100;
+
+// what the AudioWorkletNode passes to process() while the gain AudioParam is left alone
+const PARAMETERS = { gain: new Float32Array([1]) };
 
 test('init passes values correctly', () => {
 	const WorkletProcessor = require('../src/feeder-node.worklet.js');
@@ -88,7 +92,7 @@ test('process with empty buffer fills with silence', () => {
 		outputs[0][0][i] = i;
 	}
 
-	wp.process(null, outputs);
+	wp.process(null, outputs, PARAMETERS);
 
 	let expected = new Float32Array(128);
 
@@ -122,7 +126,7 @@ test('process fills buffer when in PLAYING state', () => {
 
 	let outputs = [[new Float32Array(128)]];
 
-	wp.process(null, outputs);
+	wp.process(null, outputs, PARAMETERS);
 
 	expect(JSON.stringify(outputs[0][0])).toBe(JSON.stringify(expected));
 });
@@ -152,7 +156,7 @@ test('calling process() before init just returns true', () => {
 
 	let wp = new WorkletProcessor.default();
 
-	expect(wp.process(null, [new Float32Array(512), new Float32Array(512)])).toBe(true);
+	expect(wp.process(null, [new Float32Array(512), new Float32Array(512)], PARAMETERS)).toBe(true);
 });
 
 test('sending connect command binds _onMessage to ports[0].onmessage', () => {
@@ -291,3 +295,303 @@ test('calling _notifyStateChange calls callback', () => {
 	wp._notifyStateChange();
 	expect(notified).toBe(true);
 });
+
+test('destroy releases the buffer + resampler port and stops processing', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+	let resamplerPort = { close: jest.fn() };
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 256, nChannels: 1 } });
+	wp.port.onmessage({ data: { command: 'connect' }, ports: [resamplerPort] });
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'destroy' } });
+
+	expect(resamplerPort.close).toHaveBeenCalledTimes(1);
+	expect(spy).toHaveBeenCalledWith({ command: 'destroyed' });
+	expect(wp._buffer).toBe(undefined);
+	expect(wp.process(null, [[new Float32Array(128)]], PARAMETERS)).toBe(false);
+});
+
+test('useSharedBuffer makes process() read from the shared buffer', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+	const SharedRingBuffer = require('../src/shared-ring-buffer.js').default;
+
+	let wp = new WorkletProcessor.default();
+	let producer = new SharedRingBuffer(1024, 1);
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 1024, nChannels: 1, bufferThreshold: 128 } });
+	wp.port.onmessage({ data: { command: 'useSharedBuffer', sharedBuffers: producer.sharedBuffers } });
+
+	producer.write(new Float32Array(128).fill(0.5));
+
+	let output = [new Float32Array(128)];
+	wp.process(null, [output], PARAMETERS);
+
+	expect(wp.state).toBe(BackendState.PLAYING);
+	expect(output[0][127]).toBe(0.5);
+	expect(producer.getNReadableSamples()).toBe(0);
+});
+
+test('init with a jitter buffer passes packet info thru to it', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+	const JitterBuffer = require('../src/jitter-buffer.js').default;
+
+	let wp = new WorkletProcessor.default();
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 1024, nChannels: 1, bufferThreshold: 0, bufferType: 'jitter_buffer', bufferOptions: { minDelay: 2 } } });
+	expect(wp._buffer).toBeInstanceOf(JitterBuffer);
+	expect(wp._buffer._sampleRate).toBe(44100);
+
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(64).fill(1), meta: { seq: 1 } } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(64), meta: { seq: 0 } } });
+
+	let out = wp._buffer.read(128)[0];
+	expect(out[63]).toBe(0);
+	expect(out[64]).toBe(1);
+});
+
+test('process conceals dropouts instead of writing silence when concealment is enabled', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 2048, nChannels: 1, bufferThreshold: 0, concealment: { fadeMs: 60 } } });
+	wp._feed(new Float32Array(1024).fill(0.5));
+
+	let outputs = [[new Float32Array(128)]];
+	for (let i = 0; i < 8; i++) wp.process(null, outputs, PARAMETERS);
+
+	outputs[0][0].fill(0);
+	wp.process(null, outputs, PARAMETERS);
+
+	expect(wp.state).toBe(BackendState.STARVED);
+	expect(outputs[0][0][0]).toBeCloseTo(0.5, 2);
+	expect(outputs[0][0][127]).toBeLessThan(outputs[0][0][0]);
+});
+
+test('feed reports samples dropped by the overflow policy', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 128, nChannels: 1, bufferThreshold: 0, bufferType: 'ring_buffer', bufferOptions: { overflowPolicy: 'drop-newest' } } });
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(100) } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(100) } });
+
+	expect(spy).toHaveBeenCalledWith({ command: 'overflow', nDropped: 72 });
+	expect(spy).not.toHaveBeenCalledWith(expect.objectContaining({ command: 'bufferLengthChange' }));
+	expect(wp._buffer.getNReadableSamples()).toBe(128);
+});
+
+test('requestDrain posts drain once enough chunks were fed and the fill drops below the threshold', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 1024, nChannels: 1, bufferThreshold: 0, bufferType: 'fifo_queue' } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(256) } });
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'requestDrain', threshold: 128, nChunks: 2 } });
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS);
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS);
+	expect(spy).not.toHaveBeenCalledWith(expect.objectContaining({ command: 'drain' }));
+
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(64) } });
+	expect(spy).toHaveBeenCalledWith({ command: 'drain', bufferFill: 64, nChunksWritten: 2 });
+});
+
+test('chunks written to a shared buffer are counted', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+	const SharedRingBuffer = require('../src/shared-ring-buffer.js').default;
+
+	let wp = new WorkletProcessor.default();
+	let producer = new SharedRingBuffer(1024, 1);
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 1024, nChannels: 1, bufferThreshold: 128 } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(16) } });
+	wp.port.onmessage({ data: { command: 'useSharedBuffer', sharedBuffers: producer.sharedBuffers } });
+	producer.write(new Float32Array(16));
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'getBufferFill', callbackId: 1 } });
+
+	expect(spy).toHaveBeenCalledWith({ command: 'bufferFillUpdate', bufferFill: 16, nChunksWritten: 2, nFramesPlayed: 0, nFramesCleared: 0, state: BackendState.READY, callbackId: 1 });
+});
+
+test('process() counts the frames of buffered data played', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 1024, nChannels: 1, bufferThreshold: 0 } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(200) } });
+
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS);
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS);
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS); // starved
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'getBufferFill' } });
+
+	expect(spy).toHaveBeenCalledWith(expect.objectContaining({ command: 'bufferFillUpdate', nFramesPlayed: 200 }));
+});
+
+test('clearBuffer counts the frames it discards', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 1024, nChannels: 1, bufferThreshold: 0 } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(300) } });
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS);
+	wp.port.onmessage({ data: { command: 'clearBuffer', fadeMs: 0 } });
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'getBufferFill' } });
+
+	expect(spy).toHaveBeenCalledWith(expect.objectContaining({ nFramesPlayed: 128, nFramesCleared: 172 }));
+});
+
+test('clearBuffer counts what a shared buffer holds beyond bufferLength', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+	const SharedRingBuffer = require('../src/shared-ring-buffer.js').default;
+
+	let wp = new WorkletProcessor.default();
+	let producer = new SharedRingBuffer(256, 1, null, 'drop-oldest');
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 256, nChannels: 1, bufferThreshold: 0 } });
+	wp.port.onmessage({ data: { command: 'useSharedBuffer', sharedBuffers: producer.sharedBuffers } });
+	producer.write(new Float32Array(200));
+	producer.write(new Float32Array(200));
+	wp.port.onmessage({ data: { command: 'clearBuffer', fadeMs: 0 } });
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'getBufferFill' } });
+
+	expect(spy).toHaveBeenCalledWith(expect.objectContaining({ nFramesCleared: 400 }));
+});
+
+test('after end, data below bufferThreshold plays out, then the state moves to ENDED', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+	const spy = jest.spyOn(wp.port, 'postMessage');
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 2048, nChannels: 1, bufferThreshold: 1024, concealment: { fadeMs: 60 } } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(200).fill(0.5) } });
+
+	let outputs = [[new Float32Array(128)]];
+	wp.process(null, outputs, PARAMETERS);
+	expect(wp.state).toBe(BackendState.READY);
+
+	wp.port.onmessage({ data: { command: 'end' } });
+	wp.process(null, outputs, PARAMETERS);
+
+	outputs[0][0].fill(1);
+	wp.process(null, outputs, PARAMETERS);
+	expect(outputs[0][0][71]).toBe(0.5);
+	expect(outputs[0][0][72]).toBe(0);
+
+	wp.process(null, outputs, PARAMETERS);
+	expect(wp.state).toBe(BackendState.ENDED);
+	expect(spy).toHaveBeenCalledWith({ command: 'stateChange', state: BackendState.ENDED });
+});
+
+test('pause completes if the buffer runs dry during the fade out', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 2048, nChannels: 1, bufferThreshold: 0 } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(128).fill(0.5) } });
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS);
+
+	const spy = jest.spyOn(wp.port, 'postMessage');
+	wp.port.onmessage({ data: { command: 'pause', fadeMs: 100 } });
+	wp.process(null, [[new Float32Array(128)]], PARAMETERS); // starved, long before the fade out completes
+
+	expect(wp.state).toBe(BackendState.PAUSED);
+	expect(spy).toHaveBeenCalledWith({ command: 'stateChange', state: BackendState.PAUSED });
+
+	wp.port.onmessage({ data: { command: 'resume' } });
+	expect(wp.state).toBe(BackendState.STARVED);
+});
+
+test('pause and resume hold the buffered data on the audio thread', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+	const spy = jest.spyOn(wp.port, 'postMessage');
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 2048, nChannels: 1, bufferThreshold: 0 } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(1024).fill(0.5) } });
+
+	let outputs = [[new Float32Array(128)]];
+	wp.process(null, outputs, PARAMETERS);
+
+	// 1ms at 44100Hz: fades out within the next render quantum
+	wp.port.onmessage({ data: { command: 'pause', fadeMs: 1 } });
+	wp.process(null, outputs, PARAMETERS);
+	expect(outputs[0][0][127]).toBe(0);
+	expect(wp.state).toBe(BackendState.PAUSED);
+
+	outputs[0][0].fill(1);
+	wp.process(null, outputs, PARAMETERS);
+	expect(outputs[0][0].every((x) => x === 0)).toBe(true);
+	expect(wp._buffer.getNReadableSamples()).toBe(1024 - 256);
+
+	wp.port.onmessage({ data: { command: 'resume', fadeMs: 0 } });
+	wp.process(null, outputs, PARAMETERS);
+	expect(outputs[0][0][0]).toBe(0.5);
+
+	expect(spy).toHaveBeenCalledWith({ command: 'stateChange', state: BackendState.PAUSED });
+	expect(spy).toHaveBeenLastCalledWith({ command: 'stateChange', state: BackendState.PLAYING });
+});
+
+test('clearBuffer with fadeMs fades out the start of what was cleared', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	let wp = new WorkletProcessor.default();
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 2048, nChannels: 1, bufferThreshold: 0 } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(1024).fill(0.5) } });
+
+	let outputs = [[new Float32Array(128)]];
+	wp.process(null, outputs, PARAMETERS);
+
+	// 2ms at 44100Hz: 88 samples
+	wp.port.onmessage({ data: { command: 'clearBuffer', fadeMs: 2 } });
+	expect(wp._buffer.getNReadableSamples()).toBe(0);
+
+	outputs[0][0].fill(0);
+	wp.process(null, outputs, PARAMETERS);
+
+	expect(outputs[0][0][0]).toBeCloseTo(0.5, 1);
+	expect(outputs[0][0][88]).toBe(0);
+});
+
+test('the gain parameter is applied sample by sample', () => {
+	const WorkletProcessor = require('../src/feeder-node.worklet.js');
+
+	expect(WorkletProcessor.default.parameterDescriptors).toEqual([
+		expect.objectContaining({ name: 'gain', defaultValue: 1 }),
+	]);
+
+	let wp = new WorkletProcessor.default();
+
+	wp.port.onmessage({ data: { command: 'init', bufferLength: 2048, nChannels: 2, bufferThreshold: 0 } });
+	wp.port.onmessage({ data: { command: 'feed', data: new Float32Array(512).fill(0.5) } });
+
+	let outputs = [[new Float32Array(128), new Float32Array(128)]];
+	wp.process(null, outputs, { gain: new Float32Array([0.5]) });
+
+	expect(outputs[0][0][0]).toBe(0.25);
+	expect(outputs[0][1][127]).toBe(0.25);
+
+	let ramp = new Float32Array(128).map((x, i) => i / 128);
+	wp.process(null, outputs, { gain: ramp });
+
+	expect(outputs[0][0][0]).toBe(0);
+	expect(outputs[0][1][64]).toBe(0.25);
+});
@@ -0,0 +1,56 @@
+import GainRamp from '../src/gain-ramp.js';
+
+const SAMPLE_RATE = 1000; // 1 sample per ms
+
+test('audio passes thru untouched at a gain of 1', () => {
+	let ramp = new GainRamp(SAMPLE_RATE);
+	let data = new Float32Array([0.5, -0.5, 1]);
+
+	ramp.process([data]);
+
+	expect(Array.from(data)).toEqual([0.5, -0.5, 1]);
+	expect(ramp.isRamping).toBe(false);
+});
+
+test('rampTo() fades linearly over fadeMs, then holds the target', () => {
+	let ramp = new GainRamp(SAMPLE_RATE);
+	let left = new Float32Array(6).fill(1);
+	let right = new Float32Array(6).fill(-1);
+
+	ramp.rampTo(0, 4);
+	expect(ramp.isRamping).toBe(true);
+
+	ramp.process([left, right]);
+
+	expect(Array.from(left)).toEqual([0.75, 0.5, 0.25, 0, 0, 0]);
+	expect(Array.from(right)).toEqual([-0.75, -0.5, -0.25, -0, -0, -0]);
+	expect(ramp.isRamping).toBe(false);
+	expect(ramp.gain).toBe(0);
+});
+
+test('a ramp can span several batches, and be reversed midway', () => {
+	let ramp = new GainRamp(SAMPLE_RATE);
+
+	ramp.rampTo(0, 4);
+	ramp.process([new Float32Array(2).fill(1)]);
+	expect(ramp.gain).toBe(0.5);
+
+	ramp.rampTo(1, 2);
+	let data = new Float32Array(3).fill(1);
+	ramp.process([data]);
+
+	expect(Array.from(data)).toEqual([0.75, 1, 1]);
+	expect(ramp.isRamping).toBe(false);
+});
+
+test('rampTo() with fadeMs 0 jumps straight to the target', () => {
+	let ramp = new GainRamp(SAMPLE_RATE);
+
+	ramp.rampTo(0, 0);
+	let data = new Float32Array(2).fill(1);
+	ramp.process([data]);
+
+	expect(ramp.gain).toBe(0);
+	expect(ramp.isRamping).toBe(false);
+	expect(Array.from(data)).toEqual([0, 0]);
+});
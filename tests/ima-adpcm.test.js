@@ -0,0 +1,38 @@
+import ImaAdpcmDecoder from '../src/ima-adpcm.js';
+
+const toPcm = (decoded) => Array.from(decoded, (x) => Math.round(x * 32767));
+
+test('continuous framing keeps the predictor and step index between calls', () => {
+	let decoder = new ImaAdpcmDecoder(1);
+
+	expect(toPcm(decoder.decode(new Uint8Array([0x77])))).toEqual([11, 41]);
+	expect(toPcm(decoder.decode(new Uint8Array([0x0f]).buffer))).toEqual([-22, -13]);
+
+	decoder.reset();
+	expect(toPcm(decoder.decode(new Uint8Array([0x77])))).toEqual([11, 41]);
+});
+
+test('block framing starts each block from its header, and keeps partial blocks between calls', () => {
+	let decoder = new ImaAdpcmDecoder(1, 8);
+	let block = [0xe8, 0x03, 0, 0, 0x77, 0, 0, 0];
+	let expected = [1000, 1011, 1041, 1045, 1048, 1051, 1054, 1056, 1058];
+
+	expect(toPcm(decoder.decode(new Uint8Array(block.slice(0, 5))))).toEqual([]);
+	expect(toPcm(decoder.decode(new Uint8Array([...block.slice(5), ...block.slice(0, 2)])))).toEqual(expected);
+	expect(toPcm(decoder.decode(new Uint8Array(block.slice(2))))).toEqual(expected);
+});
+
+test('block framing interleaves the channels of each block', () => {
+	let decoder = new ImaAdpcmDecoder(2, 16);
+	let block = new Uint8Array([0, 0, 0, 0, 100, 0, 0, 0, 0, 0, 0, 0, 0x07, 0, 0, 0]);
+
+	let decoded = toPcm(decoder.decode(block));
+
+	expect(decoded.filter((x, i) => i % 2 === 0)).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+	expect(decoded.filter((x, i) => i % 2 === 1)).toEqual([100, 111, 113, 114, 115, 116, 117, 118, 119]);
+});
+
+test('invalid block sizes throw', () => {
+	expect(() => new ImaAdpcmDecoder(2, 8)).toThrow('invalid blockAlign 8 for 2 channels');
+	expect(() => new ImaAdpcmDecoder(1, 10)).toThrow('invalid blockAlign 10 for 1 channels');
+});
@@ -5,7 +5,10 @@
 import 'web-audio-test-api';
 import 'babel-polyfill';
 
-import { createFeederNode } from '../src/index.js';
+import { createFeederNode, createQueueNode, createNodeFromWavStream } from '../src/index.js';
+import FeederNode from '../src/feeder-node.js';
+import { AbstractBackend } from '../src/abstract-backend.js';
+import createReadable from './create-readable.js';
 
 class MessageChannelMock {
 
@@ -33,7 +36,7 @@ test('vaidate() nChannels < 1 fails', (done) => {
 		});
 });
 
-test('validate() nChannels > 2 fails', (done) => {
+test('validate() nChannels > maxChannelCount fails', (done) => {
 	let context = new AudioContext();
 	let nChannels = 3;
 	let options = {
@@ -49,7 +52,7 @@ test('validate() nChannels > 2 fails', (done) => {
 
 		})
 		.catch((err) => {
-			expect(err).toBe('invalid nChannels 3');
+			expect(err).toBe('nChannels 3 exceeds maxChannelCount 2');
 			done();
 		});
 });
@@ -308,4 +311,342 @@ test('createBackend() with AudioWorklet support creates AudioWorkletBackend', (d
 		.catch((err) => {
 			throw err;
 		});
-});
\ No newline at end of file
+});
+
+test('createBackend() falls back to ScriptProcessorBackend when the worklet fails to load', async () => {
+	let context = new AudioContext();
+	global.AudioWorklet = {};
+
+	let feederNode = await createFeederNode(context, 2, { pathToWorklet: '/missing.worklet.js' });
+
+	expect(feederNode._backend.constructor.name).toBe('ScriptProcessorBackend');
+	expect(feederNode.batchSize).toBe(512);
+	expect(feederNode.implementation.backend).toBe('ScriptProcessorBackend');
+	expect(feederNode.implementation.fallbacks[0].component).toBe('backend');
+	expect(feederNode.implementation.fallbacks[0].reason.asset).toBe('worklet');
+
+	global.AudioWorklet = undefined;
+});
+
+test('createBackend() with fallback none rejects when the worklet fails to load', async () => {
+	let context = new AudioContext();
+	global.AudioWorklet = {};
+
+	await expect(createFeederNode(context, 2, { pathToWorklet: '/missing.worklet.js', fallback: 'none' }))
+		.rejects.toMatchObject({ name: 'LoadError', asset: 'worklet' });
+
+	global.AudioWorklet = undefined;
+});
+
+test('createResampler() falls back to MainThreadResampler when the worker fails to load', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { pathToWorker: '/missing.worker.js' });
+
+	expect(feederNode._resampler.constructor.name).toBe('MainThreadResampler');
+	expect(feederNode.implementation.resampler).toBe('MainThreadResampler');
+	expect(feederNode.implementation.fallbacks[1].component).toBe('resampler');
+	expect(feederNode.implementation.fallbacks[1].reason.asset).toBe('worker');
+});
+
+test('createResampler() with fallback none rejects when the worker fails to load', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { pathToWorker: '/missing.worker.js', fallback: 'none' }))
+		.rejects.toMatchObject({ name: 'LoadError', asset: 'worker' });
+});
+
+test('the backend is destroyed if the resampler can\'t be created', async () => {
+	let context = new AudioContext();
+	let spy = jest.spyOn(AbstractBackend.prototype, 'destroy');
+
+	await expect(createFeederNode(context, 2, { pathToWorker: '/missing.worker.js', fallback: 'none' }))
+		.rejects.toMatchObject({ name: 'LoadError', asset: 'worker' });
+	expect(spy).toHaveBeenCalledTimes(1);
+
+	spy.mockRestore();
+});
+
+test('implementation reports feature-detection fallbacks', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2);
+
+	expect(feederNode.implementation).toEqual({
+		backend: 'ScriptProcessorBackend',
+		resampler: 'WorkerResampler',
+		fallbacks: [{
+			component: 'backend',
+			from: 'AudioWorkletBackend',
+			to: 'ScriptProcessorBackend',
+			reason: 'AudioWorklet is not supported',
+		}],
+	});
+});
+
+test('validate() unknown fallback fails', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { fallback: 'sometimes' })).rejects.toBe('invalid fallback sometimes');
+});
+
+test('jitter buffer options are passed to the backend', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { bufferType: 'jitter_buffer', jitterMinDelay: 40 });
+
+	expect(feederNode.getBufferType()).toBe('jitter_buffer');
+	expect(feederNode.bufferThreshold).toBe(128);
+	expect(feederNode._backend.bufferOptions).toEqual({ overflowPolicy: null, minDelay: 40, maxDelay: 500 });
+});
+
+test('validate() invalid jitter buffer delays fail', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { jitterMinDelay: -1 })).rejects.toBe('invalid jitterMinDelay -1');
+	await expect(createFeederNode(context, 2, { jitterMinDelay: 100, jitterMaxDelay: 50 }))
+		.rejects.toBe('invalid jitterMaxDelay 50');
+});
+
+test('concealment options are passed to the backend', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2);
+	expect(feederNode._backend.concealment).toBe(null);
+
+	feederNode = await createFeederNode(context, 2, { concealment: true, concealmentFadeMs: 30 });
+	expect(feederNode._backend.concealment).toEqual({ fadeMs: 30 });
+});
+
+test('validate() invalid concealmentFadeMs fails', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { concealment: true, concealmentFadeMs: -5 }))
+		.rejects.toBe('invalid concealmentFadeMs -5');
+});
+
+test('drift compensation targets bufferThreshold unless targetBufferFill is given', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { driftCompensation: true, bufferThreshold: 8192 });
+	expect(feederNode._driftController.targetFill).toBe(8192);
+
+	feederNode = await createFeederNode(context, 2, { driftCompensation: true, targetBufferFill: 2048 });
+	expect(feederNode._driftController.targetFill).toBe(2048);
+
+	feederNode = await createFeederNode(context, 2);
+	expect(feederNode._driftController).toBe(undefined);
+});
+
+test('validate() targetBufferFill > bufferLength fails', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { targetBufferFill: 200000 })).rejects.toBe('invalid targetBufferFill 200000');
+});
+
+test('overflowPolicy is passed to the backend and FeederNode', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { overflowPolicy: 'reject' });
+
+	expect(feederNode._backend.bufferOptions.overflowPolicy).toBe('reject');
+});
+
+test('a FIFO queue grows without limit, unless a bufferLength or overflowPolicy is given', async () => {
+	let context = new AudioContext();
+
+	let unbounded = await createQueueNode(context, 2);
+	let bounded = await createQueueNode(context, 2, { bufferLength: 48000 });
+	let rejecting = await createQueueNode(context, 2, { overflowPolicy: 'reject' });
+
+	expect(unbounded._backend.bufferOptions.overflowPolicy).toBe('grow');
+	expect(bounded._backend.bufferOptions.overflowPolicy).toBe('drop-oldest');
+	expect(rejecting._backend.bufferOptions.overflowPolicy).toBe('reject');
+});
+
+test('validate() unknown overflowPolicy fails', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { overflowPolicy: 'overwrite' })).rejects.toBe('invalid overflowPolicy overwrite');
+});
+
+test('highWaterMark is passed to FeederNode', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { highWaterMark: 20000 });
+
+	expect(feederNode.highWaterMark).toBe(20000);
+});
+
+test('validate() invalid highWaterMark fails', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { highWaterMark: -1 })).rejects.toBe('invalid highWaterMark -1');
+	await expect(createFeederNode(context, 2, { highWaterMark: 200000 })).rejects.toBe('invalid highWaterMark 200000');
+});
+
+test('nChannels up to the destination\'s maxChannelCount are supported', async () => {
+	let context = new AudioContext();
+	Object.defineProperty(context.destination, 'maxChannelCount', { value: 8 });
+
+	let feederNode = await createFeederNode(context, 6);
+	expect(feederNode.nChannels).toBe(6);
+	expect(feederNode.channelLayout).toBe('5.1');
+	expect(feederNode.channelInterpretation).toBe('speakers');
+
+	feederNode = await createFeederNode(context, 8);
+	expect(feederNode.channelLayout).toBe('discrete');
+	expect(feederNode.channelInterpretation).toBe('discrete');
+
+	feederNode = await createFeederNode(context, 4, { channelLayout: 'discrete' });
+	expect(feederNode.channelLayout).toBe('discrete');
+	expect(feederNode.channelInterpretation).toBe('discrete');
+
+	await expect(createFeederNode(context, 9)).rejects.toBe('nChannels 9 exceeds maxChannelCount 8');
+});
+
+test('nChannels are limited by the ScriptProcessorNode fallback when it\'s used', async () => {
+	let context = new AudioContext();
+	Object.defineProperty(context.destination, 'maxChannelCount', { value: 64 });
+
+	await expect(createFeederNode(context, 33)).rejects.toBe(
+		'nChannels 33 exceeds ScriptProcessorNode\'s maximum of 32, and AudioWorklet is not supported'
+	);
+	expect((await createFeederNode(context, 32)).nChannels).toBe(32);
+
+	global.AudioWorklet = {};
+	expect((await createFeederNode(context, 33))._backend.constructor.name).toBe('AudioWorkletBackend');
+	global.AudioWorklet = undefined;
+});
+
+test('validate() channelLayout must match nChannels', async () => {
+	let context = new AudioContext();
+	Object.defineProperty(context.destination, 'maxChannelCount', { value: 8 });
+
+	await expect(createFeederNode(context, 6, { channelLayout: '7.1' })).rejects.toBe('invalid channelLayout 7.1');
+	await expect(createFeederNode(context, 2, { channelLayout: '5.1' }))
+		.rejects.toBe('channelLayout 5.1 doesn\'t have 2 channels');
+});
+
+test('inputChannels and outputChannels mix thru the default or given channel matrix', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { inputChannels: 1 });
+	expect(feederNode.inputChannels).toBe(1);
+	expect(feederNode.nChannels).toBe(2);
+	expect(feederNode._resampler.nChannels).toBe(1);
+
+	feederNode = await createFeederNode(context, 2, { outputChannels: 1, channelMatrix: 'discrete' });
+	expect(feederNode.inputChannels).toBe(2);
+	expect(feederNode.nChannels).toBe(1);
+	expect(feederNode._resampler.nChannels).toBe(1);
+	expect(feederNode._inputMixer._taps).toEqual([[{ channel: 0, gain: 1 }]]);
+});
+
+test('validate() invalid inputChannels or channelMatrix fails', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { inputChannels: 1.5 })).rejects.toBe('invalid inputChannels 1.5');
+	await expect(createFeederNode(context, 2, { channelMatrix: 'upmix' })).rejects.toBe('invalid channelMatrix upmix');
+	await expect(createFeederNode(context, 2, { inputChannels: 1, channelMatrix: [[1, 1], [1, 1]] }))
+		.rejects.toBe('channelMatrix must have 2 rows of 1 gains');
+});
+
+test('sampleFormat is passed to FeederNode', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { sampleFormat: 's24le' });
+	expect(feederNode.sampleFormat).toBe('s24le');
+
+	await expect(createFeederNode(context, 2, { sampleFormat: 's24' })).rejects.toBe('invalid sampleFormat s24');
+});
+
+test('ima-adpcm is decoded by a resampler with all the input channels', async () => {
+	let context = new AudioContext();
+
+	let feederNode = await createFeederNode(context, 2, { outputChannels: 1, sampleFormat: 'ima-adpcm', blockAlign: 1024 });
+	expect(feederNode._resampler.nChannels).toBe(2);
+	expect(feederNode._resampler._inputDecoder.nChannels).toBe(2);
+	expect(feederNode._resampler._inputDecoder.blockAlign).toBe(1024);
+
+	await expect(createFeederNode(context, 2, { sampleFormat: 'ima-adpcm', blockAlign: 1002 })).rejects.toBe('invalid blockAlign 1002');
+});
+
+/**
+ * The header of a 16-bit mono WAV file at 22050Hz
+ */
+function createWavHeader(dataSize) {
+	let view = new DataView(new ArrayBuffer(44));
+	[...'RIFF'].forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+	view.setUint32(4, 36 + dataSize, true);
+	[...'WAVEfmt '].forEach((c, i) => view.setUint8(8 + i, c.charCodeAt(0)));
+	view.setUint32(16, 16, true);
+	view.setUint16(20, 1, true);
+	view.setUint16(22, 1, true);
+	view.setUint32(24, 22050, true);
+	view.setUint32(28, 44100, true);
+	view.setUint16(32, 2, true);
+	view.setUint16(34, 16, true);
+	[...'data'].forEach((c, i) => view.setUint8(36 + i, c.charCodeAt(0)));
+	view.setUint32(40, dataSize, true);
+	return new Uint8Array(view.buffer);
+}
+
+test('createNodeFromWavStream() configures the node from the header, then feeds it the data', async () => {
+	let context = new AudioContext();
+	let header = createWavHeader(8);
+	let readable = createReadable([header.slice(0, 30), header.slice(30), new Uint8Array(8)]);
+
+	let feed = jest.spyOn(FeederNode.prototype, '_feedInterleaved');
+	let end = jest.spyOn(FeederNode.prototype, 'end').mockImplementation(() => Promise.resolve());
+
+	let feederNode = await createNodeFromWavStream(context, readable);
+	expect(feederNode.nChannels).toBe(1);
+	expect(feederNode.sampleFormat).toBe('s16le');
+	expect(feederNode._resampler.inputSampleRate).toBe(22050);
+
+	await new Promise((resolve) => setTimeout(resolve, 0));
+
+	expect(feed).toHaveBeenCalledTimes(1);
+	expect(feed.mock.calls[0][0]).toEqual(new Float32Array(4)); // 8 bytes of s16le
+	expect(end).toHaveBeenCalled();
+	expect(readable.reader.cancel).toHaveBeenCalled();
+
+	feed.mockRestore();
+	end.mockRestore();
+});
+
+test('createNodeFromWavStream() rejects streams which end before their header', async () => {
+	let context = new AudioContext();
+	let readable = createReadable([createWavHeader(8).slice(0, 20)]);
+
+	await expect(createNodeFromWavStream(context, readable)).rejects.toBe('WAV stream ended before its fmt chunk');
+	expect(readable.reader.cancel).toHaveBeenCalled();
+});
+
+test('validate() initTimeout 0 fails instead of using the default', async () => {
+	let context = new AudioContext();
+
+	await expect(createFeederNode(context, 2, { initTimeout: 0 })).rejects.toBe('invalid initTimeout 0');
+});
+
+test('path options override the default asset paths', async () => {
+	let context = new AudioContext();
+	global.AudioWorklet = {};
+
+	let feederNode = await createFeederNode(context, 2);
+	expect(feederNode._backend.pathToWorklet).toBe('/feeder-node.worklet.js');
+	expect(feederNode._resampler.pathToWorker).toBe('/feeder-node.worker.js');
+	expect(feederNode._resampler.pathToWasm).toBe('/libsamplerate.wasm');
+
+	feederNode = await createFeederNode(context, 2, {
+		pathToWorklet: '/assets/worklet.js',
+		pathToWorker: '/assets/worker.js',
+		pathToWasm: '/assets/libsamplerate.wasm',
+	});
+	expect(feederNode._backend.pathToWorklet).toBe('/assets/worklet.js');
+	expect(feederNode._resampler.pathToWorker).toBe('/assets/worker.js');
+	expect(feederNode._resampler.pathToWasm).toBe('/assets/libsamplerate.wasm');
+
+	global.AudioWorklet = undefined;
+});
@@ -0,0 +1,43 @@
+import getDefaultAssetPaths, { releaseDefaultAssetPaths } from '../src/inline-assets';
+
+test('getDefaultAssetPaths() creates Blob URLs of the embedded worklet + worker, which are revoked on release', async () => {
+	let blobs = [];
+	let create = jest.spyOn(URL, 'createObjectURL').mockImplementation((blob) => {
+		blobs.push(blob);
+		return `blob:${blobs.length}`;
+	});
+	let revoke = jest.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+	let paths = getDefaultAssetPaths();
+
+	expect(paths.pathToWorklet).toBe('blob:1');
+	expect(paths.pathToWorker).toBe('blob:2');
+	expect(blobs.map((blob) => blob.type)).toEqual(['application/javascript', 'application/javascript']);
+	expect(await blobs[0].text()).toBe('/* bundled source */');
+
+	// each call gets its own URLs, so one node releasing them doesn't break another
+	expect(getDefaultAssetPaths().pathToWorklet).toBe('blob:3');
+
+	releaseDefaultAssetPaths(paths);
+	expect(revoke.mock.calls).toEqual([['blob:1'], ['blob:2']]);
+
+	create.mockRestore();
+	revoke.mockRestore();
+});
+
+test('getDefaultAssetPaths() only creates Blob URLs for paths which weren\'t supplied', () => {
+	let create = jest.spyOn(URL, 'createObjectURL').mockImplementation(() => 'blob:1');
+	let revoke = jest.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+	expect(getDefaultAssetPaths({ pathToWorklet: '/worklet.js', pathToWorker: '/worker.js' })).toEqual({});
+	expect(create).not.toHaveBeenCalled();
+
+	let paths = getDefaultAssetPaths({ pathToWorklet: '/worklet.js' });
+	expect(paths).toEqual({ pathToWorker: 'blob:1' });
+
+	releaseDefaultAssetPaths(paths);
+	expect(revoke.mock.calls).toEqual([['blob:1']]);
+
+	create.mockRestore();
+	revoke.mockRestore();
+});
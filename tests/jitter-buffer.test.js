@@ -0,0 +1,157 @@
+import JitterBuffer from '../src/jitter-buffer.js';
+
+// 10 samples per packet at 1000Hz == 10ms per packet, so delays in ms map onto samples 1:1
+const SAMPLE_RATE = 1000;
+const PACKET_LENGTH = 10;
+
+function packet(seq) {
+	return new Float32Array(PACKET_LENGTH).fill(seq);
+}
+
+function writePackets(jb, seqs, timing = () => ({})) {
+	seqs.forEach((seq) => jb.write(packet(seq), Object.assign({ seq: seq }, timing(seq))));
+}
+
+test('creating with channels < 1 or bufferLength < 1 fails', () => {
+	expect(() => new JitterBuffer(100, 0)).toThrow();
+	expect(() => new JitterBuffer(0, 1)).toThrow();
+});
+
+test('write without seq throws', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE);
+	expect(() => jb.write(packet(0))).toThrow('JitterBuffer.write() requires a seq. Received undefined');
+	expect(() => jb.write([1, 2, 3], { seq: 0 })).toThrow();
+});
+
+test('nothing is readable until the target delay is buffered', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 30 });
+
+	writePackets(jb, [0, 1]);
+	expect(jb.getNReadableSamples()).toBe(0);
+
+	writePackets(jb, [2]);
+	expect(jb.getNReadableSamples()).toBe(30);
+});
+
+test('out-of-order packets are played in sequence order', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 30 });
+
+	writePackets(jb, [1, 0, 2]);
+
+	let out = jb.read(30)[0];
+	expect(out[0]).toBe(0);
+	expect(out[10]).toBe(1);
+	expect(out[20]).toBe(2);
+});
+
+test('duplicate and late packets are dropped', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 20 });
+
+	writePackets(jb, [0, 1, 1]);
+	expect(jb.getNReadableSamples()).toBe(20);
+
+	jb.read(15);
+	writePackets(jb, [0, 1]); // 0 has been played, 1 is partially played
+	expect(jb.getNReadableSamples()).toBe(5);
+});
+
+test('a missing packet is waited for, then skipped once enough audio is buffered behind it', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 20 });
+
+	writePackets(jb, [0, 1]);
+	jb.read(20);
+
+	writePackets(jb, [3]);
+	expect(jb.getNReadableSamples()).toBe(0); // waiting for 2
+
+	writePackets(jb, [4]);
+	expect(jb.getNReadableSamples()).toBe(20); // 2 is lost
+
+	writePackets(jb, [2]);
+	expect(jb.read(20)[0][0]).toBe(3);
+});
+
+test('a missing packet which arrives in time is played', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 20 });
+
+	writePackets(jb, [0, 1]);
+	jb.read(20);
+	writePackets(jb, [3, 2]);
+
+	let out = jb.read(20)[0];
+	expect(out[0]).toBe(2);
+	expect(out[10]).toBe(3);
+});
+
+test('reading into channels fills the rest with silence', () => {
+	let jb = new JitterBuffer(1000, 2, SAMPLE_RATE, { minDelay: 5 });
+	let channels = [new Float32Array(8).fill(9), new Float32Array(8).fill(9)];
+
+	jb.write(new Float32Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]), { seq: 0 });
+	jb.read(8, channels);
+
+	expect(Array.from(channels[0])).toEqual([1, 3, 5, 7, 9, 0, 0, 0]);
+	expect(Array.from(channels[1])).toEqual([2, 4, 6, 8, 10, 0, 0, 0]);
+});
+
+test('target delay grows with jitter and shrinks once arrivals even out', () => {
+	let jb = new JitterBuffer(10000, 1, SAMPLE_RATE, { minDelay: 20, maxDelay: 200 });
+	let seq = 0;
+
+	for (let i = 0; i < 50; i++, seq++) {
+		// every other packet arrives 40ms late
+		jb.write(packet(seq), { seq: seq, timestamp: seq * 10, arrival: seq * 10 + (seq % 2) * 40 });
+	}
+	let jitteryDelay = jb.targetDelay;
+	expect(jitteryDelay).toBeGreaterThan(100);
+	expect(jitteryDelay).toBeLessThanOrEqual(200);
+
+	for (let i = 0; i < 100; i++, seq++) {
+		jb.write(packet(seq), { seq: seq, timestamp: seq * 10, arrival: seq * 10 + 5 });
+	}
+	expect(jb.targetDelay).toBeLessThan(25);
+});
+
+test('excess latency is dropped while playing', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 20 });
+
+	writePackets(jb, [0, 1]);
+	jb.read(5);
+	writePackets(jb, [2, 3, 4, 5]);
+
+	expect(jb.getNReadableSamples()).toBeLessThanOrEqual(40);
+	expect(jb.read(1)[0][0]).toBe(2);
+});
+
+test('packets beyond bufferLength drop the oldest', () => {
+	let jb = new JitterBuffer(30, 1, SAMPLE_RATE, { minDelay: 100 });
+
+	writePackets(jb, [0, 1, 2, 3]);
+
+	expect(jb._nSamples).toBe(30);
+	expect(jb._packets[0].seq).toBe(1);
+});
+
+test('clear discards buffered packets, and keeps dropping packets older than them', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 20 });
+
+	writePackets(jb, [0, 1]);
+	expect(jb.clear()).toBe(20); // even though they were still buffering
+	expect(jb.getNReadableSamples()).toBe(0);
+
+	writePackets(jb, [1, 2, 3]);
+	expect(jb.read(20)[0][0]).toBe(2);
+});
+
+test('sequence numbers wrap from 65535 to 0', () => {
+	let jb = new JitterBuffer(1000, 1, SAMPLE_RATE, { minDelay: 40 });
+
+	writePackets(jb, [65534, 0, 65535, 1]);
+
+	let out = jb.read(40)[0];
+	expect([out[0], out[10], out[20], out[30]]).toEqual([65534, 65535, 0, 1]);
+
+	writePackets(jb, [2, 3, 65535, 4, 5]); // 65535 has been played
+	expect(jb.getNReadableSamples()).toBe(40);
+	expect(jb.read(10)[0][0]).toBe(2);
+});
@@ -55,4 +55,66 @@ test('mtr expands buffer to accomodate for large batch', () => {
 	mtr.processBatch(bigInterleaved);
 
 	expect(mtr.inputChannelBuffers[0].length).toBe(200000);
-});
\ No newline at end of file
+});
+test('mtr resamples if a ratio scale is set, even if inputSr === outputSr', (done) => {
+	let mtr = new MainThreadResampler(1, 44100, 44100);
+
+	mtr.onProcessed = (data) => {
+		expect(data.length).toBe(1002);
+		done();
+	};
+
+	mtr.setRatioScale(1.002);
+	mtr.processBatch(new Float32Array(1000));
+});
+
+test('getDelay() is one input sample, or 0 if nothing is resampled', () => {
+	expect(new MainThreadResampler(1, 44100, 44100).getDelay()).toBe(0);
+	expect(new MainThreadResampler(1, 22050, 44100).getDelay()).toBe(1 / 22050);
+
+	let resampler = new MainThreadResampler(1, 44100, 44100);
+	resampler.setRatioScale(1.001);
+	expect(resampler.getDelay()).toBe(1 / 44100);
+});
+
+test('reset() resets the interpolator, then calls onReset()', () => {
+	let resampler = new MainThreadResampler(1, 44100, 48000);
+	let reset = jest.spyOn(resampler._resampler, 'reset');
+	resampler.onReset = jest.fn();
+
+	resampler.reset(5);
+
+	expect(reset).toHaveBeenCalledTimes(1);
+	expect(resampler.onReset).toHaveBeenCalledWith(5);
+});
+
+test('mtr mixes resampled data thru the output matrix', () => {
+	let mtr = new MainThreadResampler(1, 44100, 88200);
+	let processed = [];
+	mtr.onProcessed = (data) => processed.push(Array.from(data));
+
+	mtr.setOutputMatrix([[1], [1]]);
+	mtr.processBatch(new Float32Array([1, 4]));
+
+	expect(processed).toEqual([[1, 1, 1, 1, 2.5, 2.5, 4, 4]]);
+
+	mtr = new MainThreadResampler(1, 44100, 44100);
+	mtr.onProcessed = (data) => processed.push(Array.from(data));
+
+	mtr.setOutputMatrix([[0.5]]);
+	mtr.processBatch(new Float32Array([1, 4]));
+
+	expect(processed[1]).toEqual([0.5, 2]);
+});
+
+test('mtr decodes input with the input format before resampling', () => {
+	let mtr = new MainThreadResampler(1, 44100, 44100);
+	let processed;
+	mtr.onProcessed = (data) => (processed = Array.from(data, (x) => Math.round(x * 32767)));
+
+	mtr.setInputFormat('ima-adpcm', { nChannels: 1, blockAlign: 0 });
+	mtr.processBatch(new Uint8Array([0x77]));
+
+	expect(processed).toEqual([11, 41]);
+	expect(() => mtr.setInputFormat('s16le', { nChannels: 1 })).toThrow('unsupported input format s16le');
+});
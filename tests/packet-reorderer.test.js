@@ -0,0 +1,61 @@
+import PacketReorderer from '../src/packet-reorderer.js';
+
+// 10 samples per packet at 1000Hz == 10ms per packet
+const SAMPLE_RATE = 1000;
+const PACKET_LENGTH = 10;
+
+function push(reorderer, seqs) {
+	let released = [];
+	seqs.forEach((seq) => {
+		let data = new Float32Array(PACKET_LENGTH).fill(seq);
+		released.push(...reorderer.push(data, { seq: seq, timestamp: 0 }, PACKET_LENGTH));
+	});
+
+	// the packets' own seqs, and the consecutive seqs they were renumbered to
+	return released.map((packet) => [packet.data[0], packet.meta.seq]);
+}
+
+test('out-of-order packets are released in sequence order', () => {
+	let reorderer = new PacketReorderer(SAMPLE_RATE, 30);
+
+	expect(push(reorderer, [0, 2, 3])).toEqual([[0, 0]]);
+	expect(push(reorderer, [1])).toEqual([[1, 1], [2, 2], [3, 3]]);
+});
+
+test('duplicate and late packets are dropped', () => {
+	let reorderer = new PacketReorderer(SAMPLE_RATE, 30);
+
+	expect(push(reorderer, [0, 1, 1, 0, 3])).toEqual([[0, 0], [1, 1]]);
+	expect(push(reorderer, [3])).toEqual([]);
+});
+
+test('a missing packet is skipped once maxDelay of audio has queued up behind it, and the rest renumbered', () => {
+	let reorderer = new PacketReorderer(SAMPLE_RATE, 30);
+
+	expect(push(reorderer, [0, 2, 3])).toEqual([[0, 0]]);
+	expect(push(reorderer, [4])).toEqual([[2, 1], [3, 2], [4, 3]]);
+	expect(push(reorderer, [1, 5])).toEqual([[5, 4]]);
+});
+
+test('sequence numbers wrap from 65535 to 0', () => {
+	let reorderer = new PacketReorderer(SAMPLE_RATE, 30);
+
+	expect(push(reorderer, [65534, 0, 65535, 1])).toEqual([
+		[65534, 65534],
+		[65535, 65535],
+		[0, 65536],
+		[1, 65537],
+	]);
+	expect(push(reorderer, [65535])).toEqual([]);
+});
+
+test('flush() releases every packet held, and clear() drops them', () => {
+	let reorderer = new PacketReorderer(SAMPLE_RATE, 100);
+
+	push(reorderer, [0, 2]);
+	expect(reorderer.flush().map((packet) => packet.data[0])).toEqual([2]);
+
+	push(reorderer, [4, 5]);
+	reorderer.clear();
+	expect(push(reorderer, [3, 5, 6])).toEqual([[6, 2]]);
+});
@@ -40,4 +40,26 @@ test('resample() interpolates sequential messages', () => {
 	let correct = new Float32Array([2.21875, 1, 2.293750047683716, 4]);
 
 	expect(JSON.stringify(result)).toBe(JSON.stringify([correct]));
-});
\ No newline at end of file
+});
+test('resample() with a ratioScale != 1 resamples even if inputSr == outputSr', () => {
+	let resampler = new Resampler(44100, 44100, 1);
+	resampler.ratioScale = 0.995;
+
+	let input = new Float32Array(1000).map((x, i) => i);
+	let output = resampler.resample([input])[0];
+
+	expect(output.length).toBe(995);
+	// interpolated rather than dropped: values stay on the input's ramp
+	expect(output[500]).toBeCloseTo((501 / 0.995) - 1, 3);
+});
+
+test('reset() forgets the previous message', () => {
+	let resampler = new Resampler(44100, 48000, 1);
+	let data = new Float32Array([1,1,4,4]);
+
+	let first = resampler.resample([data]);
+	resampler.resample([data]);
+	resampler.reset();
+
+	expect(JSON.stringify(resampler.resample([data]))).toBe(JSON.stringify(first));
+});
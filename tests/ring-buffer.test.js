@@ -1,4 +1,5 @@
 import RingBuffer from '../src/ring-buffer.js';
+import { OverflowPolicy } from '../src/abstract-backend';
 import { writeInterleavedToChannels } from '../src/util';
 
 /**
@@ -478,4 +479,103 @@ test('read correctly wraps and reads 8 channel', () => {
 	let result = rb.read(9);
 
 	expect(JSON.stringify(result)).toBe(JSON.stringify(second));
-});
\ No newline at end of file
+});
+
+test('creating RingBuffer with an unknown overflowPolicy fails', () => {
+	expect(() => {
+		new RingBuffer(100, 1, 'sometimes');
+	}).toThrow();
+});
+
+test('clear() returns the number of samples discarded', () => {
+	let rb = new RingBuffer(10, 2);
+
+	writeToBuffer(rb, 2, 7);
+	expect(rb.clear()).toBe(7);
+	expect(rb.getNReadableSamples()).toBe(0);
+});
+
+test('buffer can be filled completely without reading as empty', () => {
+	let rb = new RingBuffer(10, 2);
+
+	writeToBuffer(rb, 2, 10);
+	expect(rb.getNReadableSamples()).toBe(10);
+
+	rb.read(10);
+	expect(rb.getNReadableSamples()).toBe(0);
+});
+
+test('without an overflowPolicy, writing over unread data reports a buffer\'s worth as dropped', () => {
+	let rb = new RingBuffer(100, 1);
+
+	let first = new Float32Array(75).fill(1);
+	let second = new Float32Array(75).map((_, i) => i);
+	rb.write(first);
+	expect(rb.write(second)).toEqual([false, 100, 100]);
+
+	expect(rb.overflowPolicy).toBe(null);
+	expect(Array.from(rb.read(50)[0])).toEqual(Array.from(second.subarray(25)));
+});
+
+test('grow resizes whenever data does not fit, not only for chunks longer than the buffer', () => {
+	let rb = new RingBuffer(10, 1, OverflowPolicy.GROW);
+
+	let first = writeToBuffer(rb, 1, 8);
+	let [didResize, bufferLength, nDropped] = rb.write(new Float32Array([8, 9, 10, 11]));
+
+	expect(didResize).toBe(true);
+	expect(bufferLength).toBe(12);
+	expect(nDropped).toBe(0);
+	expect(rb.getNReadableSamples()).toBe(12);
+	expect(Array.from(rb.read(8)[0])).toEqual(Array.from(first[0]));
+});
+
+test('grow moves wrapped-around data into the resized buffer', () => {
+	let rb = new RingBuffer(4, 1, OverflowPolicy.GROW);
+
+	rb.write(new Float32Array([0, 1, 2]));
+	rb.read(2);
+	rb.write(new Float32Array([3, 4, 5])); // wraps around
+	rb.write(new Float32Array([6, 7]));
+
+	expect(Array.from(rb.read(6)[0])).toEqual([2, 3, 4, 5, 6, 7]);
+});
+
+test('drop-oldest drops unread data to make room', () => {
+	let rb = new RingBuffer(4, 2, OverflowPolicy.DROP_OLDEST);
+
+	rb.write(new Float32Array([0, 0, 1, 1, 2, 2]));
+	expect(rb.write(new Float32Array([3, 3, 4, 4]))).toEqual([false, 4, 1]);
+
+	let channels = rb.read(4);
+	expect(Array.from(channels[0])).toEqual([1, 2, 3, 4]);
+	expect(Array.from(channels[1])).toEqual([1, 2, 3, 4]);
+});
+
+test('drop-oldest keeps the tail of a chunk longer than the buffer', () => {
+	let rb = new RingBuffer(4, 1, OverflowPolicy.DROP_OLDEST);
+
+	rb.write(new Float32Array([0, 1]));
+	expect(rb.write(new Float32Array([2, 3, 4, 5, 6, 7]))).toEqual([false, 4, 4]);
+
+	expect(Array.from(rb.read(4)[0])).toEqual([4, 5, 6, 7]);
+});
+
+test('drop-newest writes as much as fits and drops the rest', () => {
+	let rb = new RingBuffer(4, 1, OverflowPolicy.DROP_NEWEST);
+
+	rb.write(new Float32Array([0, 1]));
+	expect(rb.write(new Float32Array([2, 3, 4, 5]))).toEqual([false, 4, 2]);
+
+	expect(Array.from(rb.read(4)[0])).toEqual([0, 1, 2, 3]);
+});
+
+test('reject drops a chunk which does not fit entirely', () => {
+	let rb = new RingBuffer(4, 1, OverflowPolicy.REJECT);
+
+	rb.write(new Float32Array([0, 1]));
+	expect(rb.write(new Float32Array([2, 3, 4]))).toEqual([false, 4, 3]);
+	expect(rb.write(new Float32Array([2, 3]))).toEqual([false, 4, 0]);
+
+	expect(Array.from(rb.read(4)[0])).toEqual([0, 1, 2, 3]);
+});
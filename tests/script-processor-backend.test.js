@@ -1,5 +1,5 @@
 import 'web-audio-test-api';
-import { BackendState } from '../src/abstract-backend';
+import { BackendState, BufferType, OverflowPolicy } from '../src/abstract-backend';
 import ScriptProcessorBackend from 'SCRIPT_PROCESSOR_BACKEND';
 
 test('calling _playNext with nothing in buffer writes silence', () => {
@@ -83,7 +83,7 @@ test('writing large chunk resizes and reports correct new buffer length', () =>
 	let bufferLength = 192000;
 	let bufferThreshold = 4096;
 
-	let spr = new ScriptProcessorBackend(con, nChannels, batchSize, bufferLength, bufferThreshold);
+	let spr = new ScriptProcessorBackend(con, nChannels, batchSize, bufferLength, bufferThreshold, BufferType.RING_BUFFER, { overflowPolicy: OverflowPolicy.GROW });
 
 	let data = new Float32Array(193000);
 
@@ -253,4 +253,346 @@ test('disconnect() call audioNode.disconnect()', () => {
 	spr.disconnect('something');
 
 	expect(spy).toHaveBeenCalledTimes(1);
-});
\ No newline at end of file
+});
+
+test('destroy() disconnects and stops processing', async () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 2, 512, 192000, 4096);
+	spr.audioNode.disconnect = jest.fn();
+
+	await spr.destroy();
+
+	expect(spr.audioNode.disconnect).toHaveBeenCalledTimes(1);
+	expect(spr.audioNode.onaudioprocess).toBe(null);
+	expect(spr.state).toBe(BackendState.UNINITIALIZED);
+});
+
+test('feed() passes packet info to a jitter buffer', () => {
+	let con = new AudioContext();
+	// 2ms target delay == 89 samples at 44.1kHz
+	let spr = new ScriptProcessorBackend(con, 1, 512, 192000, 0, BufferType.JITTER_BUFFER, { minDelay: 2 });
+
+	spr.feed(new Float32Array(64).fill(1), { seq: 1 });
+	spr.feed(new Float32Array(64).fill(2), { seq: 1 }); // duplicate
+	expect(spr.getCurrentBufferFill()).toBe(0);
+
+	spr.feed(new Float32Array(64).fill(0), { seq: 0 });
+	expect(spr.getCurrentBufferFill()).toBe(128);
+
+	let out = spr._buffer.read(128)[0];
+	expect(out[63]).toBe(0);
+	expect(out[64]).toBe(1);
+});
+
+test('_playNext conceals dropouts instead of writing silence when concealment is enabled', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 192000, 0, BufferType.RING_BUFFER, {}, { fadeMs: 60 });
+
+	let data = new Float32Array(batchSize);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.feed(new Float32Array(2048).fill(0.5));
+	for (let i = 0; i < 8; i++) spr._playNext(aprMock);
+
+	// out of data: STARVED
+	data.fill(0);
+	spr._playNext(aprMock);
+
+	expect(spr.state).toBe(BackendState.STARVED);
+	expect(data[0]).toBeCloseTo(0.5, 2);
+	expect(data[batchSize - 1]).toBeGreaterThan(0);
+	expect(data[batchSize - 1]).toBeLessThan(data[0]);
+});
+
+test('clearBuffer() resets the concealer', () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 1, 256, 192000, 0, BufferType.RING_BUFFER, {}, { fadeMs: 60 });
+
+	let spy = jest.spyOn(spr._concealer, 'reset');
+	spr.clearBuffer();
+
+	expect(spy).toHaveBeenCalledTimes(1);
+});
+
+test('feed() calls onOverflow with the number of samples dropped', () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 2, 512, 1024, 0, BufferType.RING_BUFFER, { overflowPolicy: OverflowPolicy.REJECT });
+	spr.onOverflow = jest.fn();
+
+	spr.feed(new Float32Array(2 * 1000));
+	expect(spr.onOverflow).not.toHaveBeenCalled();
+
+	spr.feed(new Float32Array(2 * 100));
+	expect(spr.onOverflow).toHaveBeenCalledWith(100);
+	expect(spr.getCurrentBufferFill()).toBe(1000);
+});
+
+test('requestDrain() calls onDrain() once enough chunks were fed and the fill drops below the threshold', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 4096, 0, BufferType.FIFO_QUEUE);
+	spr.onDrain = jest.fn();
+
+	let data = new Float32Array(batchSize);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.feed(new Float32Array(512));
+	spr.requestDrain(256, 2);
+	spr._playNext(aprMock);
+	expect(spr.onDrain).not.toHaveBeenCalled(); // the 2nd chunk hasn't arrived yet
+
+	spr.feed(new Float32Array(256));
+	expect(spr.getNChunksWritten()).toBe(2);
+	expect(spr.onDrain).not.toHaveBeenCalled(); // 512 samples buffered
+
+	spr._playNext(aprMock);
+	spr._playNext(aprMock);
+	expect(spr.onDrain).toHaveBeenCalledTimes(1);
+
+	spr._playNext(aprMock);
+	expect(spr.onDrain).toHaveBeenCalledTimes(1);
+});
+
+test('getNFramesPlayed() counts buffered data played, not silence', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 4096, 0);
+
+	let data = new Float32Array(batchSize);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.feed(new Float32Array(300));
+	spr._playNext(aprMock);
+	spr._playNext(aprMock);
+	spr._playNext(aprMock); // starved
+
+	expect(spr.getNFramesPlayed()).toBe(300);
+});
+
+test('queryState() resolves with the current fill, state and counters', async () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 1, 256, 4096, 0);
+
+	spr.feed(new Float32Array(300));
+
+	await expect(spr.queryState()).resolves.toEqual({
+		bufferFill: 300,
+		state: BackendState.READY,
+		nChunksWritten: 1,
+		nFramesPlayed: 0,
+		nFramesCleared: 0,
+	});
+	await expect(spr.getBufferFillAsync()).resolves.toBe(300);
+});
+
+test('feed() calls onBufferLengthChange() when the buffer grows', () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 1, 256, 1024, 0, BufferType.RING_BUFFER, { overflowPolicy: OverflowPolicy.GROW });
+	spr.onBufferLengthChange = jest.fn();
+
+	spr.feed(new Float32Array(1024));
+	expect(spr.onBufferLengthChange).not.toHaveBeenCalled();
+
+	spr.feed(new Float32Array(500));
+	expect(spr.onBufferLengthChange).toHaveBeenCalledWith(1524);
+	expect(spr.bufferLength).toBe(1524);
+});
+
+test('after end(), data below bufferThreshold plays out, then the state moves to ENDED', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 192000, 4096, BufferType.RING_BUFFER, {}, { fadeMs: 60 });
+	spr.onStateChange = jest.fn();
+
+	let data = new Float32Array(batchSize);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.feed(new Float32Array(300).fill(0.5));
+	spr._playNext(aprMock);
+	expect(spr.state).toBe(BackendState.READY);
+
+	spr.end();
+	spr._playNext(aprMock);
+	expect(spr.state).toBe(BackendState.PLAYING);
+
+	// the last batch is padded with silence, not concealment
+	data.fill(1);
+	spr._playNext(aprMock);
+	expect(data[43]).toBe(0.5);
+	expect(data[44]).toBe(0);
+	expect(data[batchSize - 1]).toBe(0);
+
+	data.fill(1);
+	spr._playNext(aprMock);
+	expect(spr.state).toBe(BackendState.ENDED);
+	expect(data.every((x) => x === 0)).toBe(true);
+	expect(spr.onStateChange.mock.calls).toEqual([[BackendState.PLAYING], [BackendState.ENDED]]);
+});
+
+test('end() with nothing buffered moves straight to ENDED', () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 1, 256, 192000, 4096);
+	spr.onStateChange = jest.fn();
+
+	let data = new Float32Array(256);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.end();
+	spr._playNext(aprMock);
+
+	expect(spr.state).toBe(BackendState.ENDED);
+	expect(spr.onStateChange).toHaveBeenCalledWith(BackendState.ENDED);
+});
+
+test('pause() holds the buffered data until resume(), fading out and back in', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 192000, 0);
+	spr.onStateChange = jest.fn();
+
+	let data = new Float32Array(batchSize);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.feed(new Float32Array(4096).fill(0.5));
+	spr._playNext(aprMock);
+	expect(spr.state).toBe(BackendState.PLAYING);
+
+	// 1ms at 44100Hz: fades out within the next batch
+	spr.pause(1);
+	spr._playNext(aprMock);
+
+	expect(data[0]).toBeLessThan(0.5);
+	expect(data[0]).toBeGreaterThan(0);
+	expect(data[batchSize - 1]).toBe(0);
+	expect(spr.state).toBe(BackendState.PAUSED);
+
+	spr.feed(new Float32Array(256).fill(0.5));
+	data.fill(1);
+	spr._playNext(aprMock);
+
+	expect(data.every((x) => x === 0)).toBe(true);
+	expect(spr.getCurrentBufferFill()).toBe(4096 + 256 - 2 * batchSize);
+
+	spr.resume(1);
+	expect(spr.state).toBe(BackendState.PLAYING);
+
+	spr._playNext(aprMock);
+	expect(data[0]).toBeLessThan(0.5);
+	expect(data[batchSize - 1]).toBe(0.5);
+
+	expect(spr.onStateChange.mock.calls).toEqual([
+		[BackendState.PLAYING],
+		[BackendState.PAUSED],
+		[BackendState.PLAYING],
+	]);
+});
+
+test('pause() completes if the buffer runs dry during the fade out', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 192000, 0);
+	spr.onStateChange = jest.fn();
+
+	let aprMock = { outputBuffer: { getChannelData: () => new Float32Array(batchSize) } };
+
+	spr.feed(new Float32Array(batchSize).fill(0.5));
+	spr._playNext(aprMock);
+
+	spr.pause(100);
+	spr._playNext(aprMock); // starved, long before the fade out completes
+
+	expect(spr.state).toBe(BackendState.PAUSED);
+	expect(spr.onStateChange.mock.calls).toEqual([
+		[BackendState.PLAYING],
+		[BackendState.STARVED],
+		[BackendState.PAUSED],
+	]);
+
+	spr.resume();
+	expect(spr.state).toBe(BackendState.STARVED);
+});
+
+test('pause() without a fade, or while not playing, takes effect straight away', () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 1, 256, 192000, 4096);
+	spr.onStateChange = jest.fn();
+
+	spr.pause(10);
+	expect(spr.state).toBe(BackendState.PAUSED);
+
+	// enough to play, but paused
+	spr.feed(new Float32Array(8192));
+	spr._playNext({ outputBuffer: { getChannelData: () => new Float32Array(256) } });
+	expect(spr.state).toBe(BackendState.PAUSED);
+
+	spr.resume(10);
+	expect(spr.state).toBe(BackendState.READY);
+	expect(spr.onStateChange.mock.calls).toEqual([[BackendState.PAUSED], [BackendState.READY]]);
+
+	// resume() when not paused does nothing
+	spr.resume();
+	expect(spr.onStateChange).toHaveBeenCalledTimes(2);
+});
+
+test('clearBuffer(fadeMs) fades out the start of what was cleared, then plays new data', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 192000, 0);
+
+	let data = new Float32Array(batchSize);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.feed(new Float32Array(4096).fill(0.5));
+	spr._playNext(aprMock);
+
+	// 2ms at 44100Hz: 88 samples
+	spr.clearBuffer(2);
+	expect(spr.getCurrentBufferFill()).toBe(0);
+	expect(spr.getNFramesCleared()).toBe(4096 - batchSize); // including the frames which fade out
+
+	spr._playNext(aprMock);
+	expect(data[0]).toBeCloseTo(0.5, 1);
+	expect(data[44]).toBeCloseTo(0.25, 1);
+	expect(data[88]).toBe(0);
+
+	spr.feed(new Float32Array(batchSize).fill(0.25));
+	spr._playNext(aprMock);
+	expect(data[0]).toBe(0.25);
+});
+
+test('clearBuffer(fadeMs) while not playing clears straight away', () => {
+	let con = new AudioContext();
+	let spr = new ScriptProcessorBackend(con, 1, 256, 192000, 4096);
+
+	spr.feed(new Float32Array(1024).fill(0.5));
+	spr.clearBuffer(10);
+
+	let data = new Float32Array(256).fill(1);
+	spr._playNext({ outputBuffer: { getChannelData: () => data } });
+
+	expect(spr.getCurrentBufferFill()).toBe(0);
+	expect(data.every((x) => x === 0)).toBe(true);
+});
+
+test('setGain() ramps the gain applied to the output', () => {
+	let con = new AudioContext();
+	let batchSize = 256;
+	let spr = new ScriptProcessorBackend(con, 1, batchSize, 192000, 0);
+
+	let data = new Float32Array(batchSize);
+	let aprMock = { outputBuffer: { getChannelData: () => data } };
+
+	spr.feed(new Float32Array(4096).fill(0.5));
+
+	spr.setGain(0.5);
+	spr._playNext(aprMock);
+	expect(data[0]).toBe(0.25);
+
+	// 1ms at 44100Hz: 44 samples
+	spr.setGain(1, 1);
+	spr._playNext(aprMock);
+	expect(data[0]).toBeGreaterThan(0.25);
+	expect(data[0]).toBeLessThan(0.5);
+	expect(data[batchSize - 1]).toBe(0.5);
+});
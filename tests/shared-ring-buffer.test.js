@@ -0,0 +1,215 @@
+import SharedRingBuffer from '../src/shared-ring-buffer.js';
+import { OverflowPolicy } from '../src/abstract-backend';
+
+function interleavedRamp(length) {
+	let data = new Float32Array(length);
+	for (let i = 0; i < data.length; i++) {
+		data[i] = i;
+	}
+	return data;
+}
+
+test('new buffer has no readable samples', () => {
+	let rb = new SharedRingBuffer();
+	expect(rb.getNReadableSamples()).toBe(0);
+});
+
+test('creating with channels < 1 or bufferLength < 1 fails', () => {
+	expect(() => new SharedRingBuffer(100, 0)).toThrow();
+	expect(() => new SharedRingBuffer(0, 2)).toThrow();
+});
+
+test('creating with the grow or an unknown overflowPolicy fails', () => {
+	expect(() => new SharedRingBuffer(100, 2, null, OverflowPolicy.GROW)).toThrow();
+	expect(() => new SharedRingBuffer(100, 2, null, 'overwrite')).toThrow();
+});
+
+test('bufferLength is the usable length per channel', () => {
+	let rb = new SharedRingBuffer(1024, 2);
+	expect(rb.bufferLength).toBe(1024);
+});
+
+test('writing non-TypedArray throws', () => {
+	let rb = new SharedRingBuffer(1024, 2);
+	expect(() => rb.write([1, 2, 3])).toThrow();
+});
+
+test('write then read stereo data deinterleaves it', () => {
+	let rb = new SharedRingBuffer(1024, 2);
+
+	expect(rb.write(interleavedRamp(256))).toEqual([false, 1024, 0]);
+	expect(rb.getNReadableSamples()).toBe(128);
+
+	let channels = rb.read(128);
+	expect(channels.length).toBe(2);
+	expect(channels[0][0]).toBe(0);
+	expect(channels[1][0]).toBe(1);
+	expect(channels[0][127]).toBe(254);
+	expect(channels[1][127]).toBe(255);
+	expect(rb.getNReadableSamples()).toBe(0);
+});
+
+test('read into pre-allocated channels', () => {
+	let rb = new SharedRingBuffer(1024, 2);
+	let channels = [new Float32Array(4), new Float32Array(4)];
+
+	rb.write(interleavedRamp(8));
+	let result = rb.read(4, channels);
+
+	expect(result).toBe(channels);
+	expect(Array.from(channels[0])).toEqual([0, 2, 4, 6]);
+	expect(Array.from(channels[1])).toEqual([1, 3, 5, 7]);
+});
+
+test('reading more than available only reads what is there', () => {
+	let rb = new SharedRingBuffer(1024, 1);
+	let channels = [new Float32Array(8)];
+
+	rb.write(interleavedRamp(4));
+	rb.read(8, channels);
+
+	expect(Array.from(channels[0])).toEqual([0, 1, 2, 3, 0, 0, 0, 0]);
+	expect(rb.getNReadableSamples()).toBe(0);
+});
+
+test('by default, data which does not fit is dropped, unread data is never overwritten', () => {
+	let rb = new SharedRingBuffer(8, 1);
+
+	expect(rb.write(interleavedRamp(12))).toEqual([false, 8, 4]);
+	expect(rb.getNReadableSamples()).toBe(8);
+	expect(Array.from(rb.read(8)[0])).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('reads and writes wrap around the end of the buffer', () => {
+	let rb = new SharedRingBuffer(8, 2);
+
+	rb.write(interleavedRamp(12));
+	rb.read(6);
+	rb.write(new Float32Array([100, 101, 102, 103, 104, 105, 106, 107]));
+
+	expect(rb.getNReadableSamples()).toBe(4);
+
+	let channels = rb.read(4);
+	expect(Array.from(channels[0])).toEqual([100, 102, 104, 106]);
+	expect(Array.from(channels[1])).toEqual([101, 103, 105, 107]);
+});
+
+test('clear discards readable data', () => {
+	let rb = new SharedRingBuffer(1024, 2);
+
+	rb.write(interleavedRamp(256));
+	expect(rb.clear()).toBe(128);
+
+	expect(rb.getNReadableSamples()).toBe(0);
+});
+
+test('clear counts data beyond bufferLength, which a read would have skipped', () => {
+	let producer = new SharedRingBuffer(8, 1, null, OverflowPolicy.DROP_OLDEST);
+	let consumer = new SharedRingBuffer(undefined, undefined, producer.sharedBuffers);
+
+	producer.write(interleavedRamp(6));
+	producer.write(interleavedRamp(6));
+	expect(consumer.getNReadableSamples()).toBe(8);
+
+	expect(consumer.clear()).toBe(12);
+	expect(producer.write(interleavedRamp(0))).toEqual([false, 8, 0]); // not skipped, so not dropped
+});
+
+test('buffers attached to the same sharedBuffers see the same data', () => {
+	let producer = new SharedRingBuffer(1024, 2);
+	let consumer = new SharedRingBuffer(undefined, undefined, producer.sharedBuffers);
+
+	expect(consumer.bufferLength).toBe(1024);
+
+	producer.write(interleavedRamp(64));
+	expect(consumer.getNReadableSamples()).toBe(32);
+
+	consumer.read(16);
+	expect(producer.getNReadableSamples()).toBe(16);
+});
+
+test('sharedBuffers carry the overflowPolicy to the other thread', () => {
+	let producer = new SharedRingBuffer(8, 1, null, OverflowPolicy.REJECT);
+	let consumer = new SharedRingBuffer(undefined, undefined, producer.sharedBuffers);
+
+	expect(consumer.overflowPolicy).toBe(OverflowPolicy.REJECT);
+	expect(consumer.bufferLength).toBe(8);
+});
+
+test('reject drops a chunk which does not fit entirely', () => {
+	let rb = new SharedRingBuffer(8, 1, null, OverflowPolicy.REJECT);
+
+	rb.write(interleavedRamp(6));
+	expect(rb.write(interleavedRamp(3))).toEqual([false, 8, 3]);
+	expect(rb.write(interleavedRamp(2))).toEqual([false, 8, 0]);
+	expect(rb.getNReadableSamples()).toBe(8);
+});
+
+test('drop-oldest has the consumer skip the oldest data, and reports it on the next write', () => {
+	let producer = new SharedRingBuffer(8, 2, null, OverflowPolicy.DROP_OLDEST);
+	let consumer = new SharedRingBuffer(undefined, undefined, producer.sharedBuffers);
+
+	producer.write(interleavedRamp(12));
+	expect(producer.write(new Float32Array([100, 101, 102, 103, 104, 105, 106, 107]))).toEqual([false, 8, 0]);
+	expect(consumer.getNReadableSamples()).toBe(8);
+
+	let channels = consumer.read(8);
+	expect(Array.from(channels[0])).toEqual([4, 6, 8, 10, 100, 102, 104, 106]);
+	expect(Array.from(channels[1])).toEqual([5, 7, 9, 11, 101, 103, 105, 107]);
+
+	expect(producer.write(interleavedRamp(2))).toEqual([false, 8, 2]);
+	expect(producer.write(interleavedRamp(2))).toEqual([false, 8, 0]);
+});
+
+test('drop-oldest keeps the tail of a chunk longer than the buffer', () => {
+	let rb = new SharedRingBuffer(4, 1, null, OverflowPolicy.DROP_OLDEST);
+
+	rb.write(interleavedRamp(2));
+	expect(rb.write(interleavedRamp(6))).toEqual([false, 4, 2]);
+	expect(Array.from(rb.read(4)[0])).toEqual([2, 3, 4, 5]);
+	expect(rb.write(interleavedRamp(0))).toEqual([false, 4, 2]);
+});
+
+test('drop-oldest drops the newest data if several writes fill the spare room before a read', () => {
+	let rb = new SharedRingBuffer(4, 1, null, OverflowPolicy.DROP_OLDEST);
+
+	rb.write(interleavedRamp(4));
+	rb.write(new Float32Array([4, 5, 6]));
+	expect(rb.write(new Float32Array([7, 8]))).toEqual([false, 4, 1]);
+
+	expect(Array.from(rb.read(4)[0])).toEqual([4, 5, 6, 7]);
+});
+
+test('drop-oldest never replays or tears data when the producer drops during a read', () => {
+	let producer = new SharedRingBuffer(4, 1, null, OverflowPolicy.DROP_OLDEST);
+	let consumer = new SharedRingBuffer(undefined, undefined, producer.sharedBuffers);
+	producer.write(new Float32Array([0, 1, 2, 3]));
+
+	// the producer overflows the buffer after the consumer has loaded the positions, mid-read
+	let load = Atomics.load;
+	let spy = jest.spyOn(Atomics, 'load').mockImplementation((state, index) => {
+		let pos = load(state, index);
+		if (index === 1) {
+			spy.mockRestore();
+			producer.write(new Float32Array([10, 11]));
+		}
+		return pos;
+	});
+
+	expect(Array.from(consumer.read(2)[0])).toEqual([0, 1]);
+
+	// 2 and 3 were oldest when the producer overflowed. 0 and 1 were already being read, so aren't replayed
+	expect(consumer.getNReadableSamples()).toBe(4);
+	expect(Array.from(consumer.read(4)[0])).toEqual([2, 3, 10, 11]);
+	expect(consumer.getNReadableSamples()).toBe(0);
+});
+
+test('nWrites counts every write, including rejected ones', () => {
+	let producer = new SharedRingBuffer(4, 1, null, OverflowPolicy.REJECT);
+	let consumer = new SharedRingBuffer(undefined, undefined, producer.sharedBuffers);
+
+	producer.write(interleavedRamp(3));
+	producer.write(interleavedRamp(3));
+
+	expect(consumer.nWrites).toBe(2);
+});
@@ -5,7 +5,11 @@ import {
 	copyInterleavedToChannels,
 	writeChannelsToInterleaved,
 	writeInterleavedToChannels,
+	interleavePlanar,
+	bytesPerSample,
+	SampleFormat,
 	checkFileExists,
+	supportsSharedMemory,
 } from '../src/util';
 
 import 'web-audio-test-api';
@@ -162,10 +166,93 @@ test('writeInterleavedToChannels does whats expected', () => {
 	expect(JSON.stringify(writeInterleavedToChannels(interleaved, 2))).toBe(JSON.stringify(correct));
 });
 
+test('interleavePlanar converts each channel to float32 and interleaves them', () => {
+	let channels = [new Float32Array([0.5, 0.25]), new Int8Array([127, -127])];
+
+	expect(Array.from(interleavePlanar(channels))).toEqual([0.5, 1, 0.25, -1]);
+});
+
+test('interleavePlanar fails if channel lengths differ', () => {
+	expect(() => {
+		interleavePlanar([new Float32Array(2), new Float32Array(3)]);
+	}).toThrow('incorrect channel lengths');
+});
+
 test('writeInterleavedToChannels fails if nChannels isnt a number', () => {
 	let interleaved = new Float32Array([1,2,3,4]);
 
 	expect(() => {
 		writeInterleavedToChannels(interleaved);
 	}).toThrow('nChannels must be an integer');
-});
\ No newline at end of file
+});
+
+test('supportsSharedMemory requires cross-origin isolation', () => {
+	expect(supportsSharedMemory()).toBe(false);
+
+	global.crossOriginIsolated = true;
+	expect(supportsSharedMemory()).toBe(true);
+
+	delete global.crossOriginIsolated;
+});
+
+test('toFloat32 float64', () => {
+	let result = toFloat32(new Float64Array([0.5, -0.25, 1]));
+
+	expect(result.constructor).toBe(Float32Array);
+	expect(Array.from(result)).toEqual([0.5, -0.25, 1]);
+});
+
+test('toFloat32 decodes 16-bit little and big-endian bytes', () => {
+	let bytes = new Uint8Array([0xff, 0x7f, 0x01, 0x80]);
+
+	expect(Array.from(toFloat32(bytes, SampleFormat.S16LE))).toEqual([1, -1]);
+	expect(Array.from(toFloat32(bytes.buffer, SampleFormat.S16BE))).toEqual([-129 / 32767, 384 / 32767].map(Math.fround));
+});
+
+test('toFloat32 decodes packed 24-bit bytes', () => {
+	let le = new Uint8Array([0xff, 0xff, 0x7f, 0x01, 0x00, 0x80, 0xff, 0xff, 0xff]);
+	let be = new Uint8Array([0x7f, 0xff, 0xff, 0x80, 0x00, 0x01, 0xff, 0xff, 0xff]);
+	let expected = [1, -1, -1 / 8388607].map(Math.fround);
+
+	expect(Array.from(toFloat32(le, SampleFormat.S24LE))).toEqual(expected);
+	expect(Array.from(toFloat32(be, SampleFormat.S24BE))).toEqual(expected);
+});
+
+test('toFloat32 decodes float and 32-bit bytes in either byte order', () => {
+	let view = new DataView(new ArrayBuffer(24));
+	view.setFloat64(0, 0.5, false);
+	view.setFloat32(8, -0.25, true);
+	view.setInt32(12, 2147483647, false);
+	view.setUint8(16, 254);
+
+	expect(Array.from(toFloat32(new Uint8Array(view.buffer, 0, 8), SampleFormat.F64BE))).toEqual([0.5]);
+	expect(Array.from(toFloat32(new Uint8Array(view.buffer, 8, 4), SampleFormat.F32LE))).toEqual([-0.25]);
+	expect(Array.from(toFloat32(new Uint8Array(view.buffer, 12, 4), SampleFormat.S32BE))).toEqual([1]);
+	expect(Array.from(toFloat32(new Uint8Array(view.buffer, 16, 1), SampleFormat.U8))).toEqual([1]);
+});
+
+test('toFloat32 with a sampleFormat fails on partial samples or unknown formats', () => {
+	expect(() => toFloat32(new Uint8Array(5), SampleFormat.S24LE)).toThrow("5 bytes isn't a whole number of s24le samples");
+	expect(() => toFloat32(new Uint8Array(4), 's12le')).toThrow('invalid sampleFormat s12le');
+});
+
+test('toFloat32 decodes G.711 mu-law', () => {
+	let codes = new Uint8Array([0xff, 0x7f, 0x00, 0x80, 0xef]);
+
+	let expected = [0, -0, -32124, 32124, 132].map((x) => Math.fround(x / 32767));
+	expect(Array.from(toFloat32(codes, SampleFormat.MULAW))).toEqual(expected);
+});
+
+test('toFloat32 decodes G.711 A-law', () => {
+	let codes = new Uint8Array([0xd5, 0x55, 0xaa, 0x2a, 0xd4]);
+
+	let expected = [8, -8, 32256, -32256, 24].map((x) => Math.fround(x / 32767));
+	expect(Array.from(toFloat32(codes, SampleFormat.ALAW))).toEqual(expected);
+});
+
+test('bytesPerSample gives the size of each format\'s samples', () => {
+	expect(bytesPerSample(SampleFormat.U8)).toBe(1);
+	expect(bytesPerSample(SampleFormat.S24BE)).toBe(3);
+	expect(bytesPerSample(SampleFormat.F64LE)).toBe(8);
+	expect(() => bytesPerSample(SampleFormat.IMA_ADPCM)).toThrow('invalid sampleFormat ima-adpcm');
+});
@@ -0,0 +1,98 @@
+import WavStreamParser from '../src/wav-stream-parser.js';
+
+/**
+ * Builds a WAV file with a LIST chunk before the data, to check that unknown chunks are skipped
+ */
+function createWav({ formatTag = 1, nChannels = 2, sampleRate = 16000, bitsPerSample = 16, blockAlign, data }) {
+	blockAlign = blockAlign || (nChannels * bitsPerSample) / 8;
+
+	let list = [...'LIST'].map((c) => c.charCodeAt(0)).concat([3, 0, 0, 0, 1, 2, 3, 0]); // padded to even
+	let bytes = new Uint8Array(12 + 24 + list.length + 8 + data.length);
+	let view = new DataView(bytes.buffer);
+	let writeId = (offset, id) => [...id].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+	writeId(0, 'RIFF');
+	view.setUint32(4, bytes.length - 8, true);
+	writeId(8, 'WAVE');
+	writeId(12, 'fmt ');
+	view.setUint32(16, 16, true);
+	view.setUint16(20, formatTag, true);
+	view.setUint16(22, nChannels, true);
+	view.setUint32(24, sampleRate, true);
+	view.setUint32(28, sampleRate * blockAlign, true);
+	view.setUint16(32, blockAlign, true);
+	view.setUint16(34, bitsPerSample, true);
+	bytes.set(list, 36);
+	writeId(36 + list.length, 'data');
+	view.setUint32(40 + list.length, data.length, true);
+	bytes.set(data, 44 + list.length);
+
+	return bytes;
+}
+
+const DATA = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+
+test('the header and data are parsed however the stream is split', () => {
+	let wav = createWav({ data: DATA });
+
+	for (let chunkSize of [1, 3, 7, wav.length]) {
+		let parser = new WavStreamParser();
+		let events = [];
+		let data = [];
+
+		parser.onFormat = (format) => events.push(format);
+		parser.onData = (bytes) => {
+			expect(bytes.length % 4).toBe(0); // whole frames only
+			data.push(...bytes);
+		};
+		parser.onEnd = () => events.push('end');
+
+		for (let i = 0; i < wav.length; i += chunkSize) parser.push(wav.slice(i, i + chunkSize));
+
+		expect(events).toEqual([
+			{ formatTag: 1, nChannels: 2, sampleRate: 16000, bitsPerSample: 16, blockAlign: 4, sampleFormat: 's16le' },
+			'end',
+		]);
+		expect(data).toEqual(Array.from(DATA));
+	}
+});
+
+test('format tags and bit depths map to sample formats', () => {
+	let sampleFormatOf = (options) => {
+		let parser = new WavStreamParser();
+		parser.push(createWav(Object.assign({ data: new Uint8Array(0) }, options)).buffer);
+		return parser.format.sampleFormat;
+	};
+
+	expect(sampleFormatOf({ bitsPerSample: 8 })).toBe('u8');
+	expect(sampleFormatOf({ bitsPerSample: 24 })).toBe('s24le');
+	expect(sampleFormatOf({ formatTag: 3, bitsPerSample: 32 })).toBe('f32le');
+	expect(sampleFormatOf({ formatTag: 3, bitsPerSample: 64 })).toBe('f64le');
+	expect(sampleFormatOf({ formatTag: 6, bitsPerSample: 8 })).toBe('alaw');
+	expect(sampleFormatOf({ formatTag: 7, bitsPerSample: 8 })).toBe('mulaw');
+	expect(sampleFormatOf({ formatTag: 0x11, bitsPerSample: 4, blockAlign: 256 })).toBe('ima-adpcm');
+
+	expect(() => sampleFormatOf({ formatTag: 0x55 })).toThrow('unsupported WAV format: tag 85, 16 bits per sample');
+});
+
+test('a data chunk of unknown size is streamed until the end', () => {
+	let wav = createWav({ data: DATA });
+	new DataView(wav.buffer).setUint32(wav.length - DATA.length - 4, 0xffffffff, true);
+
+	let parser = new WavStreamParser();
+	let nBytes = 0;
+	parser.onData = (bytes) => (nBytes += bytes.length);
+	parser.onEnd = jest.fn();
+
+	parser.push(wav);
+	parser.push(DATA);
+
+	expect(nBytes).toBe(24);
+	expect(parser.onEnd).not.toHaveBeenCalled();
+});
+
+test('streams which aren\'t WAV throw', () => {
+	let parser = new WavStreamParser();
+
+	expect(() => parser.push(new Uint8Array(12))).toThrow('not a RIFF/WAV stream');
+});
@@ -61,6 +61,29 @@ test('calling setPort() passes port to the worker', (done) => {
 		});
 });
 
+test('calling setSharedBuffer() passes the shared buffer to the worker', (done) => {
+	let workerPath = '../src/feeder-node.worker.js';
+	let sharedBuffers = { state: 'state', data: 'data', nChannels: 2 };
+
+	createWorkerResampler(2, 44100, 48000, 0, workerPath, 'doesnt matter')
+		.then((resampler) => {
+			resampler.setSharedBuffer(sharedBuffers);
+			expect(resampler.worker.sharedBuffers).toBe(sharedBuffers);
+			done();
+		})
+		.catch((err) => {
+			throw err;
+		});
+});
+
+test('calling setRatioScale() passes the scale to the worker', async () => {
+	let resampler = await createWorkerResampler(2, 44100, 48000, 0, '../src/feeder-node.worker.js', 'doesnt matter');
+
+	resampler.setRatioScale(1.001);
+
+	expect(resampler.worker.ratioScale).toBe(1.001);
+});
+
 test('calling processBatch() calls onProcessed() once complete', (done) => {
 	let nChannels = 2;
 	let inputSampleRate = 44100;
@@ -83,4 +106,165 @@ test('calling processBatch() calls onProcessed() once complete', (done) => {
 		.catch((err) => {
 			throw err;
 		});
-});
\ No newline at end of file
+});
+
+test('worker which fails to load rejects with a LoadError', async () => {
+	class BadWorker extends Worker {
+		postMessage() {
+			this.onerror({ type: 'error', message: 'script not found' });
+		}
+	}
+	global.Worker = BadWorker;
+
+	let workerPath = '/missing.worker.js';
+
+	await expect(createWorkerResampler(2, 44100, 48000, 0, workerPath, 'wasm')).rejects.toMatchObject({
+		name: 'LoadError',
+		asset: 'worker',
+		url: workerPath,
+		message: `failed to load worker from ${workerPath}: script not found`,
+	});
+
+	global.Worker = Worker;
+});
+
+test('wasm which fails to load rejects with a LoadError and terminates the worker', async () => {
+	let instance;
+	class BadWasmWorker extends Worker {
+		constructor() {
+			super();
+			instance = this;
+		}
+
+		postMessage() {
+			this.onmessage({ data: { command: 'initError', error: 'CompileError' } });
+		}
+	}
+	global.Worker = BadWasmWorker;
+
+	let wasmPath = '/missing.wasm';
+
+	await expect(createWorkerResampler(2, 44100, 48000, 0, 'worker', wasmPath)).rejects.toMatchObject({
+		asset: 'wasm',
+		url: wasmPath,
+		cause: 'CompileError',
+	});
+	expect(instance.terminated).toBe(true);
+
+	global.Worker = Worker;
+});
+
+test('worker which never initializes rejects after initTimeout', async () => {
+	class SilentWorker extends Worker {
+		postMessage() {}
+	}
+	global.Worker = SilentWorker;
+
+	await expect(createWorkerResampler(2, 44100, 48000, 0, 'worker', 'wasm', 10)).rejects.toMatchObject({
+		asset: 'worker',
+		cause: 'timed out after 10ms',
+	});
+
+	global.Worker = Worker;
+});
+
+test('calling destroy() terminates the worker once it has cleaned up', async () => {
+	let resampler = await createWorkerResampler(2, 44100, 48000, 0, 'worker', 'wasm');
+	let spy = jest.spyOn(resampler.worker, 'postMessage');
+
+	await resampler.destroy();
+
+	expect(spy).toHaveBeenCalledWith({ command: 'destroy' });
+	expect(resampler.worker.terminated).toBe(true);
+});
+
+test('calling destroy() terminates a worker which never answers, or has crashed', async () => {
+	jest.useFakeTimers();
+
+	let hung = await createWorkerResampler(2, 44100, 48000, 0, 'worker', 'wasm');
+	hung.worker.postMessage = () => {};
+	let destroyed = hung.destroy();
+	jest.advanceTimersByTime(1000);
+
+	await destroyed;
+	expect(hung.worker.terminated).toBe(true);
+
+	jest.useRealTimers();
+
+	let crashed = await createWorkerResampler(2, 44100, 48000, 0, 'worker', 'wasm');
+	crashed.worker.postMessage = () => {};
+	destroyed = crashed.destroy();
+	crashed.worker.onerror({ type: 'error' });
+
+	await destroyed;
+	expect(crashed.worker.terminated).toBe(true);
+});
+
+test('overflow messages from the worker call onOverflow()', async () => {
+	let resampler = await createWorkerResampler(2, 44100, 48000, 0, '../src/feeder-node.worker.js', 'doesnt matter');
+	resampler.onOverflow = jest.fn();
+
+	resampler._onMessage({ data: { command: 'overflow', nDropped: 12 } });
+
+	expect(resampler.onOverflow).toHaveBeenCalledWith(12);
+});
+
+test('getDelay() depends on the converter type and the lower sample rate', async () => {
+	let path = '../src/feeder-node.worker.js';
+
+	let best = await createWorkerResampler(2, 44100, 48000, 0, path, 'doesnt matter');
+	let fastest = await createWorkerResampler(2, 48000, 16000, 2, path, 'doesnt matter');
+	let bypassed = await createWorkerResampler(2, 48000, 48000, 0, path, 'doesnt matter');
+
+	expect(best.getDelay()).toBeCloseTo(143 / 44100, 6);
+	expect(fastest.getDelay()).toBeCloseTo(19 / 16000, 6);
+	expect(bypassed.getDelay()).toBe(0);
+});
+
+test('errors thrown by the worker after init call onError()', async () => {
+	let resampler = await createWorkerResampler(2, 44100, 48000, 0, '../src/feeder-node.worker.js', 'doesnt matter');
+	resampler.onError = jest.fn();
+
+	let event = { type: 'error', message: 'out of memory' };
+	resampler.worker.onerror(event);
+
+	expect(resampler.onError).toHaveBeenCalledWith(event);
+});
+
+test('flush() asks the worker to flush, and flushed calls onFlushed()', async () => {
+	let resampler = await createWorkerResampler(2, 44100, 48000, 0, '../src/feeder-node.worker.js', 'doesnt matter');
+	let spy = jest.spyOn(resampler.worker, 'postMessage');
+	resampler.onFlushed = jest.fn();
+
+	resampler.flush();
+
+	expect(spy).toHaveBeenCalledWith({ command: 'flush', withTail: true });
+	expect(resampler.onFlushed).toHaveBeenCalledTimes(1);
+});
+
+test('reset() asks the worker to reset, and its reply calls onReset()', async () => {
+	let resampler = await createWorkerResampler(2, 44100, 48000, 0, '../src/feeder-node.worker.js', 'doesnt matter');
+	let spy = jest.spyOn(resampler.worker, 'postMessage');
+	resampler.onReset = jest.fn();
+
+	resampler.reset(5);
+
+	expect(spy).toHaveBeenCalledWith({ command: 'reset', fadeMs: 5 });
+	expect(resampler.onReset).toHaveBeenCalledWith(5);
+});
+
+test('calling setOutputMatrix() passes the matrix to the worker', async () => {
+	let resampler = await createWorkerResampler(1, 44100, 48000, 0, '../src/feeder-node.worker.js', 'doesnt matter');
+
+	resampler.setOutputMatrix([[1], [1]]);
+
+	expect(resampler.worker.matrix).toEqual([[1], [1]]);
+});
+
+test('calling setInputFormat() passes the format to the worker', async () => {
+	let resampler = await createWorkerResampler(1, 8000, 48000, 0, '../src/feeder-node.worker.js', 'doesnt matter');
+
+	resampler.setInputFormat('ima-adpcm', { nChannels: 1, blockAlign: 256 });
+
+	expect(resampler.worker.inputFormat).toEqual({ sampleFormat: 'ima-adpcm', options: { nChannels: 1, blockAlign: 256 } });
+});
@@ -1,5 +1,6 @@
 const path = require('path');
 const fs = require('fs');
+const webpack = require('webpack');
 const AfterBuildPlugin = require('@fiverr/afterbuild-webpack-plugin');
 
 /**
@@ -42,6 +43,7 @@ let commonConfig = {
 }
 
 let workletConfig = Object.assign({}, commonConfig, {
+	name: 'worklet',
 	entry: './src/feeder-node.worklet.js',
 	output: {
 		filename: 'feeder-node.worklet.js',
@@ -50,6 +52,7 @@ let workletConfig = Object.assign({}, commonConfig, {
 });
 
 let workerConfig = Object.assign({}, commonConfig, {
+	name: 'worker',
 	entry: './src/feeder-node.worker.js',
 	output: {
 		filename: 'feeder-node.worker.js',
@@ -68,8 +71,39 @@ let moduleConfig = Object.assign({}, commonConfig, {
 	},
 });
 
+/**
+ * Self-contained build. Swaps default-assets.js for inline-assets.js, which embeds the worklet + worker
+ * bundles as source strings. The worklet + worker must therefore be built first. `self` isn't replaced here; doing so would break the embedded worker/worklet source.
+ */
+let inlineConfig = Object.assign({}, commonConfig, {
+	name: 'inline',
+	dependencies: ['worklet', 'worker'],
+	entry: './src/index.js',
+	output: {
+		filename: 'feeder-node.inline.js',
+		path: path.resolve(__dirname, 'dist'),
+		library: 'FeederNode',
+		libraryTarget: 'umd',
+		globalObject: 'this'
+	},
+	module: {
+		rules: [
+			{
+				oneOf: [
+					{ resourceQuery: /source/, type: 'asset/source' },
+					...commonConfig.module.rules
+				]
+			}
+		]
+	},
+	plugins: [
+		new webpack.NormalModuleReplacementPlugin(/default-assets/, './inline-assets.js')
+	]
+});
+
 module.exports = [
 	moduleConfig,
 	workletConfig,
-	workerConfig
+	workerConfig,
+	inlineConfig
 ];
\ No newline at end of file